@@ -3,21 +3,29 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs-extra');
 const apiRoutes = require('./routes/api');
+const replayRoutes = require('./routes/replay');
+const archiverService = require('./services/archiver');
+const storageService = require('./services/storage');
+const schedulerService = require('./services/scheduler');
+const webhookService = require('./services/webhooks');
+const storageDriver = require('./drivers');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// Memento clients read these headers from cross-origin responses
+app.use(cors({ exposedHeaders: ['Memento-Datetime', 'Link', 'Location', 'Vary'] }));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Ensure archives directory exists
+// Ensure the archives directory (metadata and indexes) exists
 const archivesDir = path.join(__dirname, '../archives');
 fs.ensureDirSync(archivesDir);
 
 // Routes
 app.use('/api', apiRoutes);
+app.use('/', replayRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -40,8 +48,14 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Web Archiver Backend running on port ${PORT}`);
-  console.log(`📁 Archives stored in: ${archivesDir}`);
+  console.log(`📁 Archive records and indexes in: ${archivesDir}`);
+  console.log(`🗄️  Archived content stored in: ${storageDriver.describe()}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+  // Records of earlier versions are imported before queued crawls resume
+  storageService.start().catch(error => console.error('Storage startup error:', error));
+  archiverService.start();
+  schedulerService.start();
+  webhookService.start();
 });
 
 module.exports = app;
@@ -0,0 +1,62 @@
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Open the SQLite database holding archive, page and asset records
+ * (archives/archive.db, or DATABASE_PATH) and bring its schema up to date
+ * @param {string} file - Database file
+ * @returns {Object} better-sqlite3 database
+ */
+function openDatabase(file) {
+  fs.ensureDirSync(path.dirname(file));
+  const db = new Database(file);
+  // WAL lets readers carry on while a job writes; a crash never leaves a half-written record
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+  runMigrations(db);
+  return db;
+}
+
+/**
+ * Apply the migrations in db/migrations that have not run yet, in version
+ * order, each in its own transaction. Files are named <version>_<name>.js and
+ * export up(db); applied versions are recorded in schema_migrations.
+ * @param {Object} db - Database
+ * @returns {Array<number>} Versions applied now
+ */
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ file, version: Number(version), name }))
+    .sort((a, b) => a.version - b.version);
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+  pending.forEach(migration => {
+    const { up } = require(path.join(MIGRATIONS_DIR, migration.file));
+    db.transaction(() => {
+      up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`🗃️  Applied database migration ${migration.version} (${migration.name})`);
+  });
+
+  return pending.map(migration => migration.version);
+}
+
+module.exports = openDatabase(process.env.DATABASE_PATH || path.join(__dirname, '../../archives/archive.db'));
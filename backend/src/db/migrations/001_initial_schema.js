@@ -0,0 +1,56 @@
+/**
+ * Archives, their pages and assets (one resources table, told apart by kind),
+ * skipped URLs and page behavior logs. Record fields without a column of their
+ * own are kept as JSON in the data columns.
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE archives (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      domain TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      data TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX archives_domain_timestamp ON archives (domain, timestamp);
+    CREATE INDEX archives_timestamp ON archives (timestamp);
+
+    CREATE TABLE resources (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      archive_id TEXT NOT NULL REFERENCES archives (id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('page', 'asset')),
+      url TEXT NOT NULL,
+      path TEXT NOT NULL,
+      saved_at TEXT NOT NULL,
+      captured_at TEXT,
+      capture TEXT,
+      data TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX resources_archive ON resources (archive_id, kind);
+    CREATE INDEX resources_url ON resources (url, captured_at);
+
+    CREATE TABLE skipped_urls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      archive_id TEXT NOT NULL REFERENCES archives (id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      type TEXT,
+      reason TEXT,
+      skipped_at TEXT NOT NULL
+    );
+    CREATE INDEX skipped_urls_archive ON skipped_urls (archive_id);
+
+    CREATE TABLE behavior_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      archive_id TEXT NOT NULL REFERENCES archives (id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      steps TEXT NOT NULL,
+      ran_at TEXT NOT NULL
+    );
+    CREATE INDEX behavior_logs_archive ON behavior_logs (archive_id);
+  `);
+}
+
+module.exports = { up };
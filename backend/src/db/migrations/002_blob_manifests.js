@@ -0,0 +1,44 @@
+/**
+ * Archive manifests (archive path -> blob in the content-addressed store) and
+ * the number of manifest entries referring to each blob. Triggers keep
+ * blob_refs in step with manifest_entries, including cascading deletes, so a
+ * blob is unreferenced exactly when it has no row.
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE manifest_entries (
+      archive_id TEXT NOT NULL REFERENCES archives (id) ON DELETE CASCADE,
+      path TEXT NOT NULL,
+      url TEXT,
+      digest TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      PRIMARY KEY (archive_id, path)
+    );
+    CREATE INDEX manifest_entries_digest ON manifest_entries (digest);
+
+    CREATE TABLE blob_refs (
+      digest TEXT PRIMARY KEY,
+      refs INTEGER NOT NULL
+    );
+
+    CREATE TRIGGER manifest_entries_insert AFTER INSERT ON manifest_entries BEGIN
+      INSERT INTO blob_refs (digest, refs) VALUES (NEW.digest, 1)
+        ON CONFLICT (digest) DO UPDATE SET refs = refs + 1;
+    END;
+
+    CREATE TRIGGER manifest_entries_delete AFTER DELETE ON manifest_entries BEGIN
+      DELETE FROM blob_refs WHERE digest = OLD.digest AND refs <= 1;
+      UPDATE blob_refs SET refs = refs - 1 WHERE digest = OLD.digest;
+    END;
+
+    CREATE TRIGGER manifest_entries_update AFTER UPDATE OF digest ON manifest_entries
+    WHEN OLD.digest != NEW.digest BEGIN
+      INSERT INTO blob_refs (digest, refs) VALUES (NEW.digest, 1)
+        ON CONFLICT (digest) DO UPDATE SET refs = refs + 1;
+      DELETE FROM blob_refs WHERE digest = OLD.digest AND refs <= 1;
+      UPDATE blob_refs SET refs = refs - 1 WHERE digest = OLD.digest;
+    END;
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+/**
+ * The CDX index: one row per saved page or asset, looked up by SURT key and
+ * timestamp. Rows go with their archive.
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE cdx_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      urlkey TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      url TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      status TEXT NOT NULL,
+      digest TEXT NOT NULL,
+      length TEXT NOT NULL,
+      archive_id TEXT NOT NULL REFERENCES archives (id) ON DELETE CASCADE,
+      path TEXT NOT NULL
+    );
+    CREATE INDEX cdx_entries_key ON cdx_entries (urlkey, timestamp);
+    CREATE INDEX cdx_entries_archive ON cdx_entries (archive_id);
+  `);
+}
+
+module.exports = { up };
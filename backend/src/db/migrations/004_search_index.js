@@ -0,0 +1,24 @@
+/**
+ * The full-text search index over archived pages (SQLite FTS5), one row per
+ * page with its searchable fields; the other columns are stored, not indexed.
+ * Terms are lowercased and stripped of diacritics, as in utils/text.
+ */
+function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE search_documents USING fts5(
+      title,
+      description,
+      headings,
+      body,
+      archive_id UNINDEXED,
+      url UNINDEXED,
+      path UNINDEXED,
+      host UNINDEXED,
+      timestamp UNINDEXED,
+      timestamp14 UNINDEXED,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,65 @@
+/**
+ * Webhook subscriptions with their delivery log, and recurring capture
+ * schedules with their run history. List fields (events, URL prefixes,
+ * selectors, delivery attempts, crawl options) are kept as JSON.
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE webhooks (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      url_prefixes TEXT NOT NULL DEFAULT '[]',
+      change_threshold REAL NOT NULL,
+      ignore_selectors TEXT NOT NULL DEFAULT '[]',
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE webhook_deliveries (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'failed')),
+      attempts TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL,
+      next_attempt_at TEXT,
+      completed_at TEXT
+    );
+    CREATE INDEX webhook_deliveries_webhook ON webhook_deliveries (webhook_id, seq);
+    CREATE INDEX webhook_deliveries_status ON webhook_deliveries (status, seq);
+
+    CREATE TABLE schedules (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      options TEXT NOT NULL,
+      cron TEXT,
+      interval_minutes INTEGER,
+      jitter_seconds INTEGER NOT NULL,
+      skip_if_running INTEGER NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('active', 'paused')),
+      last_run_at TEXT,
+      next_run_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX schedules_due ON schedules (status, next_run_at);
+
+    CREATE TABLE schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id TEXT NOT NULL REFERENCES schedules (id) ON DELETE CASCADE,
+      run_at TEXT NOT NULL,
+      status TEXT NOT NULL,
+      archive_id TEXT,
+      reason TEXT
+    );
+    CREATE INDEX schedule_runs_schedule ON schedule_runs (schedule_id, id);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,20 @@
+/**
+ * Archive jobs waiting for or holding one of the crawl slots, one per archive
+ */
+function up(db) {
+  db.exec(`
+    CREATE TABLE jobs (
+      archive_id TEXT PRIMARY KEY REFERENCES archives (id) ON DELETE CASCADE,
+      state TEXT NOT NULL CHECK (state IN ('queued', 'running', 'paused', 'cancelled', 'completed', 'failed')),
+      priority INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      queued_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT,
+      error TEXT
+    );
+    CREATE INDEX jobs_state_priority ON jobs (state, priority DESC, queued_at);
+  `);
+}
+
+module.exports = { up };
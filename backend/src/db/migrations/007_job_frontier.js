@@ -0,0 +1,9 @@
+/**
+ * Where a paused crawl stopped: its remaining queue and visited pages, as
+ * JSON { urlQueue, visitedUrls }, kept until the job is resumed
+ */
+function up(db) {
+  db.exec('ALTER TABLE jobs ADD COLUMN frontier TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,62 @@
+const path = require('path');
+const LocalDriver = require('./local');
+const S3Driver = require('./s3');
+
+/**
+ * A storage driver holds the archived content (pages, blobs, renditions,
+ * manifests) as opaque keys like "<archiveId>/index.html". Every driver
+ * implements the same promise-based methods:
+ *
+ *   put(key, content, { contentType })  store a Buffer or string
+ *   get(key)                            -> Buffer, or null if missing
+ *   stream(key, { start, end })         -> { stream, size }, or null; the range is optional and inclusive
+ *   stat(key)                           -> { size, modifiedAt }, or null
+ *   exists(key)                         -> boolean
+ *   list(prefix)                        -> [{ key, size }] for the keys below a "dir/" prefix
+ *   delete(key)                         removes a key; missing keys are fine
+ *
+ * @typedef {LocalDriver|S3Driver} StorageDriver
+ */
+
+const DRIVERS = ['local', 's3'];
+
+/**
+ * Create the storage driver chosen by the environment:
+ *   STORAGE_DRIVER        "local" (default) or "s3"
+ *   STORAGE_PATH          local: root directory (default backend/archives)
+ *   S3_BUCKET             s3: bucket name (required)
+ *   S3_PREFIX             s3: key prefix inside the bucket
+ *   S3_ENDPOINT           s3: endpoint of an S3-compatible server, e.g. http://localhost:9000
+ *   S3_REGION             s3: region (default us-east-1)
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ *   S3_FORCE_PATH_STYLE   s3: "true" to address buckets as <endpoint>/<bucket> (default when S3_ENDPOINT is set)
+ * @param {Object} env - Environment variables
+ * @returns {StorageDriver} Driver
+ */
+function createStorageDriver(env = process.env) {
+  const name = String(env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (name === 'local') {
+    return new LocalDriver({ root: env.STORAGE_PATH || path.join(__dirname, '../../archives') });
+  }
+
+  if (name === 's3') {
+    if (!env.S3_BUCKET) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER is "s3"');
+    }
+    return new S3Driver({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || '',
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most stand-ins do not serve bucket subdomains
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== undefined ? env.S3_FORCE_PATH_STYLE === 'true' : Boolean(env.S3_ENDPOINT)
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${name}" (use one of: ${DRIVERS.join(', ')})`);
+}
+
+module.exports = createStorageDriver();
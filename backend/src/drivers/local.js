@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Storage driver keeping every key as a file below a root directory
+ * (key "a/b/c" is <root>/a/b/c)
+ */
+class LocalDriver {
+  /**
+   * @param {Object} config - { root: directory holding the files }
+   */
+  constructor({ root }) {
+    this.root = path.resolve(root);
+    fs.ensureDirSync(this.root);
+  }
+
+  /**
+   * Where the driver stores things, for logs
+   */
+  describe() {
+    return this.root;
+  }
+
+  /**
+   * Store content under a key, replacing what was there
+   */
+  async put(key, content) {
+    const filePath = this.toFilePath(key);
+    // Write then rename, so a file is never seen half-written
+    const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tmpFile, content);
+    await fs.rename(tmpFile, filePath);
+  }
+
+  /**
+   * Read the content of a key
+   * @returns {Promise<Buffer|null>} Content, or null if there is no such key
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.toFilePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, modifiedAt }, or null if there is no such key
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.toFilePath(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * Open a key for reading, optionally only a byte range of it
+   * @param {string} key - Key
+   * @param {Object} [range] - { start, end } (inclusive)
+   * @returns {Promise<Object|null>} { stream, size: full size }, or null if there is no such key
+   */
+  async stream(key, range = null) {
+    const stats = await this.stat(key);
+    if (!stats) {
+      return null;
+    }
+    const stream = fs.createReadStream(this.toFilePath(key), range ? { start: range.start, end: range.end } : {});
+    return { stream, size: stats.size };
+  }
+
+  /**
+   * List the keys starting with a prefix (a directory, i.e. ending in "/")
+   * @returns {Promise<Array<Object>>} [{ key, size }]
+   */
+  async list(prefix) {
+    const dir = this.toFilePath(prefix);
+    const walk = async current => {
+      const entries = await fs.readdir(current, { withFileTypes: true });
+      const nested = await Promise.all(entries.map(async entry => {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          return walk(entryPath);
+        }
+        const { size } = await fs.stat(entryPath);
+        return [{ key: path.relative(this.root, entryPath).split(path.sep).join('/'), size }];
+      }));
+      return nested.flat();
+    };
+
+    if (!(await fs.pathExists(dir)) || !(await fs.stat(dir)).isDirectory()) {
+      return [];
+    }
+    return walk(dir);
+  }
+
+  /**
+   * Delete a key (deleting a missing key is not an error)
+   */
+  async delete(key) {
+    const filePath = this.toFilePath(key);
+    await fs.remove(filePath);
+
+    // Drop the directories this leaves empty, up to the root
+    let dir = path.dirname(filePath);
+    while (dir !== this.root && dir.startsWith(this.root)) {
+      try {
+        await fs.rmdir(dir);
+      } catch (error) {
+        break; // not empty (or already gone)
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Map a key to its file, refusing keys with "." or ".." segments and any
+   * that would escape the root
+   */
+  toFilePath(key) {
+    const segments = String(key).split('/').filter(Boolean);
+    if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\'))) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    const filePath = path.resolve(this.root, ...segments);
+    if (filePath !== this.root && !filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+module.exports = LocalDriver;
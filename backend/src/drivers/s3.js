@@ -0,0 +1,148 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Storage driver keeping every key as an object in an S3 bucket. Works with
+ * AWS S3 and S3-compatible servers (MinIO, Ceph, ...) given an endpoint.
+ */
+class S3Driver {
+  /**
+   * @param {Object} config - { bucket, prefix, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }
+   */
+  constructor({ bucket, prefix = '', endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.bucket = bucket;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+    this.endpoint = endpoint || null;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Without explicit keys the SDK looks in the usual places (environment, profiles, instance roles)
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Where the driver stores things, for logs
+   */
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}${this.endpoint ? ` at ${this.endpoint}` : ''}`;
+  }
+
+  /**
+   * Store content under a key, replacing what was there
+   */
+  async put(key, content, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.toObjectKey(key),
+      Body: content,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+  }
+
+  /**
+   * Read the content of a key
+   * @returns {Promise<Buffer|null>} Content, or null if there is no such key
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.toObjectKey(key) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, modifiedAt }, or null if there is no such key
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.toObjectKey(key) }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  /**
+   * Open a key for reading, optionally only a byte range of it
+   * @param {string} key - Key
+   * @param {Object} [range] - { start, end } (inclusive)
+   * @returns {Promise<Object|null>} { stream, size: full size }, or null if there is no such key
+   */
+  async stream(key, range = null) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.toObjectKey(key),
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined
+      }));
+      // "bytes 0-99/1234" carries the full size of a partial response
+      const total = response.ContentRange && response.ContentRange.split('/')[1];
+      return { stream: response.Body, size: total ? Number(total) : response.ContentLength };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the keys starting with a prefix
+   * @returns {Promise<Array<Object>>} [{ key, size }]
+   */
+  async list(prefix) {
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.toObjectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+      (response.Contents || []).forEach(object => {
+        keys.push({ key: object.Key.substring(this.prefix.length), size: object.Size });
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  /**
+   * Delete a key (deleting a missing key is not an error)
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.toObjectKey(key) }));
+  }
+
+  toObjectKey(key) {
+    return `${this.prefix}${String(key).replace(/^\/+/, '')}`;
+  }
+}
+
+function isNotFound(error) {
+  return ['NoSuchKey', 'NotFound'].includes(error.name) || (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+module.exports = S3Driver;
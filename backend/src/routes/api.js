@@ -1,15 +1,54 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs-extra');
 const mime = require('mime-types');
+const multer = require('multer');
 const archiverService = require('../services/archiver');
 const storageService = require('../services/storage');
+const warcService = require('../services/warc');
+const importService = require('../services/importer');
+const replayService = require('../services/replay');
+const mementoService = require('../services/memento');
+const cdxService = require('../services/cdx');
+const searchService = require('../services/search');
+const diffService = require('../services/diff');
+const visualDiffService = require('../services/visualDiff');
+const schedulerService = require('../services/scheduler');
+const webhookService = require('../services/webhooks');
+const jobQueue = require('../services/jobQueue');
+const { validateCrawlOptions } = require('../utils/crawlOptions');
+const { sendStream } = require('../utils/range');
 
 const router = express.Router();
 
+// Uploaded WARC/WACZ files are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }
+});
+
+/**
+ * Add the current state of each run's archive to a schedule
+ */
+const describeSchedule = (schedule, archives) => ({
+  ...schedule,
+  runs: schedule.runs.map(run => {
+    const archive = run.archiveId && archives.get(run.archiveId);
+    return archive
+      ? { ...run, archive: { id: archive.id, status: archive.status, timestamp: archive.timestamp, pagesArchived: archive.pagesArchived || 0 } }
+      : run;
+  })
+});
+
+/**
+ * Webhooks are listed without their signing secret, which is only returned
+ * when it is set
+ */
+const describeWebhook = ({ secret, ...webhook }) => webhook;
+
+const getArchivesById = () => new Map(storageService.getAllArchives().map(archive => [archive.id, archive]));
+
 /**
  * POST /api/archive
- * Start archiving a website
+ * Queue a website for archiving (body: url, options, priority)
  */
 router.post('/archive', async (req, res) => {
   try {
@@ -26,26 +65,56 @@ router.post('/archive', async (req, res) => {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
-    const job = await archiverService.startArchiving(url);
+    // Validate crawl options
+    const { options, errors } = validateCrawlOptions(req.body.options);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid crawl options: ${errors.join('; ')}`, details: errors });
+    }
+
+    const job = await archiverService.startArchiving(url, options, { priority: req.body.priority });
     res.json(job);
 
   } catch (error) {
     console.error('Archive creation error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/import
+ * Import a WARC or WACZ file (multipart field "file") as a new archive
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A WARC or WACZ file is required' });
+    }
+
+    if (!/\.(warc|warc\.gz|wacz)$/i.test(req.file.originalname)) {
+      return res.status(400).json({ error: 'File must be a .warc, .warc.gz or .wacz file' });
+    }
+
+    const job = await importService.importFile(req.file.buffer, req.file.originalname);
+    res.json(job);
+
+  } catch (error) {
+    console.error('Archive import error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 /**
  * GET /api/status/:jobId
- * Get archiving job status
+ * Get archiving job status, with the job's attempts and place in the queue
  */
 router.get('/status/:jobId', (req, res) => {
   try {
     const { jobId } = req.params;
     const status = archiverService.getJobStatus(jobId);
     
-    if (status.error) {
-      return res.status(404).json(status);
+    // A retried or interrupted job has an error too, but it exists
+    if (!status) {
+      return res.status(404).json({ error: 'Job not found' });
     }
     
     res.json(status);
@@ -55,6 +124,48 @@ router.get('/status/:jobId', (req, res) => {
   }
 });
 
+/**
+ * POST /api/archive/:archiveId/cancel
+ * Cancel an archiving job; the pages it already saved are kept
+ */
+router.post('/archive/:archiveId/cancel', (req, res) => {
+  try {
+    jobQueue.cancel(req.params.archiveId);
+    res.json(archiverService.getJobStatus(req.params.archiveId));
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/archive/:archiveId/pause
+ * Pause an archiving job, keeping its crawl frontier for resuming
+ */
+router.post('/archive/:archiveId/pause', (req, res) => {
+  try {
+    jobQueue.pause(req.params.archiveId);
+    res.json(archiverService.getJobStatus(req.params.archiveId));
+  } catch (error) {
+    console.error('Job pause error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/archive/:archiveId/resume
+ * Queue a paused archiving job again
+ */
+router.post('/archive/:archiveId/resume', (req, res) => {
+  try {
+    jobQueue.resume(req.params.archiveId);
+    res.json(archiverService.getJobStatus(req.params.archiveId));
+  } catch (error) {
+    console.error('Job resume error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/archives/:domain
  * Get all archives for a domain
@@ -73,7 +184,9 @@ router.get('/archives/:domain', (req, res) => {
         status: archive.status,
         pagesArchived: archive.pagesArchived || 0,
         createdAt: archive.createdAt,
-        completedAt: archive.completedAt
+        completedAt: archive.completedAt,
+        incremental: archive.incremental || null,
+        renditions: storageService.getStartPageRenditions(archive)
       }))
     });
   } catch (error) {
@@ -97,7 +210,8 @@ router.get('/archives', (req, res) => {
         domain: archive.domain,
         timestamp: archive.timestamp,
         status: archive.status,
-        pagesArchived: archive.pagesArchived || 0
+        pagesArchived: archive.pagesArchived || 0,
+        renditions: storageService.getStartPageRenditions(archive)
       }))
     });
   } catch (error) {
@@ -106,11 +220,163 @@ router.get('/archives', (req, res) => {
   }
 });
 
+/**
+ * GET /api/cdx?url=&matchType=exact|prefix|host|domain&from=&to=&filter=&collapse=&limit=&output=cdxj|json
+ * Query the capture index (Wayback CDX server style)
+ */
+router.get('/cdx', (req, res) => {
+  try {
+    const { params, errors } = cdxService.parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid CDX query: ${errors.join('; ')}`, details: errors });
+    }
+
+    const rows = cdxService.query(params);
+    if (params.output === 'json') {
+      return res.json(cdxService.format(rows, 'json'));
+    }
+    res.type('text/plain').send(cdxService.format(rows, 'cdxj'));
+  } catch (error) {
+    console.error('CDX query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/search?q=&domain=&from=&to=&limit=&offset=
+ * Full-text search over archived pages. Quoted text is matched as a phrase.
+ */
+router.get('/search', (req, res) => {
+  try {
+    const { params, errors } = searchService.parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid search: ${errors.join('; ')}`, details: errors });
+    }
+
+    const { total, results } = searchService.search(params);
+    const archives = getArchivesById();
+
+    res.json({
+      query: req.query.q,
+      total,
+      offset: params.offset,
+      limit: params.limit,
+      results: results
+        .filter(result => archives.has(result.archiveId))
+        .map(result => {
+          const archive = archives.get(result.archiveId);
+          const page = (archive.pages || []).find(entry => entry.path === result.path);
+          return {
+            ...result,
+            renditions: (page && page.renditions) || null,
+            archive: {
+              id: archive.id,
+              url: archive.url,
+              domain: archive.domain,
+              timestamp: archive.timestamp,
+              status: archive.status,
+              pagesArchived: archive.pagesArchived || 0
+            }
+          };
+        })
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/diff?url=&from=&to=
+ * Compare two captures of a page; from/to are archive IDs or timestamps (nearest capture)
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const { params, errors } = diffService.parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid diff request: ${errors.join('; ')}`, details: errors });
+    }
+
+    const captures = storageService.getPageCaptures(params.url);
+    if (captures.length === 0) {
+      return res.status(404).json({ error: `No captures of ${params.url}` });
+    }
+
+    const from = diffService.selectCapture(captures, params.from);
+    const to = diffService.selectCapture(captures, params.to);
+    if (!from || !to) {
+      return res.status(404).json({ error: `${!from ? 'from' : 'to'} does not match a capture of ${params.url}` });
+    }
+
+    res.json(await diffService.diff(params.url, from, to));
+  } catch (error) {
+    console.error('Diff error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/visual-diff?url=&from=&to=&threshold=
+ * Pixel comparison of capture-time screenshots. With a url, compares that page
+ * (from/to as in /api/diff); without one, every page two archives share (from/to are archive IDs).
+ */
+router.get('/visual-diff', async (req, res) => {
+  try {
+    const threshold = visualDiffService.parseThreshold(req.query.threshold);
+    if (threshold === null) {
+      return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+    }
+
+    if (!req.query.url) {
+      const fromArchive = storageService.getArchive(String(req.query.from || ''));
+      const toArchive = storageService.getArchive(String(req.query.to || ''));
+      if (!fromArchive || !toArchive) {
+        return res.status(404).json({ error: 'from and to must be the IDs of existing archives' });
+      }
+      return res.json(await visualDiffService.compareArchives(fromArchive, toArchive, threshold));
+    }
+
+    const { params, errors } = diffService.parseQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid visual diff request: ${errors.join('; ')}`, details: errors });
+    }
+
+    const captures = storageService.getPageCaptures(params.url);
+    const from = diffService.selectCapture(captures, params.from);
+    const to = diffService.selectCapture(captures, params.to);
+    if (!from || !to) {
+      return res.status(404).json({ error: `No matching captures of ${params.url}` });
+    }
+
+    const result = await visualDiffService.comparePage(from, to, threshold);
+    if (!result) {
+      return res.status(404).json({ error: 'Both captures need a screenshot; enable screenshots when archiving' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Visual diff error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/visual-diff/image/:imageId
+ * Highlighted diff image of a page comparison, kept in memory only for a while
+ */
+router.get('/visual-diff/image/:imageId', (req, res) => {
+  const image = visualDiffService.getImage(req.params.imageId);
+  if (!image) {
+    return res.status(404).json({ error: 'Diff image not found; compare the snapshots again' });
+  }
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.type('image/png').send(image);
+});
+
 /**
  * GET /api/view/:archiveId/*
- * Serve archived content
+ * Serve archived content, streamed from the storage driver (Range requests supported)
  */
-router.get('/view/:archiveId/*', (req, res) => {
+router.get('/view/:archiveId/*', async (req, res) => {
   try {
     const { archiveId } = req.params;
     const requestPath = req.params[0] || 'index.html';
@@ -121,41 +387,63 @@ router.get('/view/:archiveId/*', (req, res) => {
       return res.status(404).json({ error: 'Archive not found' });
     }
 
-    if (archive.status !== 'completed') {
+    if (!storageService.isViewable(archive)) {
       return res.status(400).json({ 
         error: 'Archive not ready', 
         status: archive.status 
       });
     }
 
-    // Get file path
-    const filePath = storageService.getArchivedFilePath(archiveId, requestPath);
-    
     // Check if file exists
-    if (!fs.existsSync(filePath)) {
+    const file = await storageService.statFile(archiveId, requestPath);
+    if (!file) {
       return res.status(404).json({ error: 'File not found in archive' });
     }
 
-    // Determine content type
-    const contentType = mime.lookup(filePath) || 'application/octet-stream';
+    // Determine content type (blobs have no file extension)
+    const contentType = mime.lookup(requestPath) || 'application/octet-stream';
     
-    // Set appropriate headers
-    res.setHeader('Content-Type', contentType);
+    // Set appropriate headers (text is stored as UTF-8)
+    res.setHeader('Content-Type', mime.contentType(contentType) || contentType);
     res.setHeader('X-Archive-Id', archiveId);
     res.setHeader('X-Archive-Timestamp', archive.timestamp);
-    
-    // Handle text files (HTML, CSS, JS) with UTF-8 encoding
-    if (contentType.startsWith('text/') || contentType.includes('javascript') || contentType.includes('json')) {
-      const content = fs.readFileSync(filePath, 'utf8');
-      res.send(content);
-    } else {
-      // Handle binary files (images, etc.)
-      const content = fs.readFileSync(filePath);
-      res.send(content);
+
+    // Archived files are mementos of their original URL
+    const entry = [...(archive.pages || []), ...(archive.assets || [])].find(resource => resource.path === requestPath);
+    if (entry) {
+      const capturedAt = (entry.capture && entry.capture.capturedAt) || entry.savedAt;
+      mementoService.setMementoHeaders(res, mementoService.getBaseUrl(req), entry.url, capturedAt);
+    }
+
+    // Keep navigation inside the snapshot; the stored HTML stays as captured
+    const page = contentType === 'text/html' && (archive.pages || []).find(resource => resource.path === requestPath);
+    if (page) {
+      const html = (await storageService.readFile(archiveId, requestPath)).toString('utf8');
+      return res.send(replayService.rewritePageLinks(archive, page, html));
     }
 
+    await sendStream(req, res, file.size, range => storageService.streamFile(archiveId, requestPath, range));
+
   } catch (error) {
     console.error('Archive serving error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/archive/:archiveId/not-archived?url=
+ * Explain that a link target was not captured in this archive
+ */
+router.get('/archive/:archiveId/not-archived', (req, res) => {
+  try {
+    const archive = storageService.getArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+
+    res.status(404).type('html').send(replayService.renderNotArchived(archive, String(req.query.url || '')));
+  } catch (error) {
+    console.error('Not-archived page error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -180,9 +468,317 @@ router.get('/archive/:archiveId/info', (req, res) => {
   }
 });
 
+/**
+ * GET /api/archive/:archiveId/export?format=warc|wacz
+ * Export an archive as a WARC 1.1 file or a WACZ package
+ */
+router.get('/archive/:archiveId/export', async (req, res) => {
+  try {
+    const { archiveId } = req.params;
+    const format = (req.query.format || 'warc').toLowerCase();
+
+    if (!['warc', 'wacz'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be warc or wacz' });
+    }
+
+    const archive = storageService.getArchive(archiveId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+
+    if (!storageService.isViewable(archive)) {
+      return res.status(400).json({ 
+        error: 'Archive not ready', 
+        status: archive.status 
+      });
+    }
+
+    const baseName = `${archive.domain}-${archive.timestamp.replace(/[-:.]/g, '')}`;
+    let content;
+    let fileName;
+    let contentType;
+
+    if (format === 'wacz') {
+      content = await warcService.buildWacz(archive);
+      fileName = `${baseName}.wacz`;
+      contentType = 'application/wacz';
+    } else {
+      content = (await warcService.buildWarc(archive)).buffer;
+      fileName = `${baseName}.warc.gz`;
+      // Record-by-record gzip: the file itself is gzip, and stays so when saved
+      contentType = 'application/gzip';
+    }
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('X-Archive-Id', archiveId);
+    res.send(content);
+
+  } catch (error) {
+    console.error('Archive export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules
+ * List recurring captures with their run history
+ */
+router.get('/schedules', (req, res) => {
+  try {
+    const archives = getArchivesById();
+    res.json({ schedules: schedulerService.getAll().map(schedule => describeSchedule(schedule, archives)) });
+  } catch (error) {
+    console.error('Schedules retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a recurring capture: { url, options, cron | intervalMinutes, jitterSeconds, skipIfRunning }
+ */
+router.post('/schedules', (req, res) => {
+  try {
+    const { schedule, errors } = schedulerService.create(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid schedule: ${errors.join('; ')}`, details: errors });
+    }
+    res.json(describeSchedule(schedule, getArchivesById()));
+  } catch (error) {
+    console.error('Schedule creation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get one schedule with its run history
+ */
+router.get('/schedules/:scheduleId', (req, res) => {
+  try {
+    const schedule = schedulerService.get(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(describeSchedule(schedule, getArchivesById()));
+  } catch (error) {
+    console.error('Schedule retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Edit a schedule; { status: 'paused' | 'active' } pauses or resumes it
+ */
+router.patch('/schedules/:scheduleId', (req, res) => {
+  try {
+    const result = schedulerService.update(req.params.scheduleId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: `Invalid schedule: ${result.errors.join('; ')}`, details: result.errors });
+    }
+    res.json(describeSchedule(result.schedule, getArchivesById()));
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/run
+ * Run a schedule now, outside its timetable
+ */
+router.post('/schedules/:scheduleId/run', async (req, res) => {
+  try {
+    const run = await schedulerService.runSchedule(req.params.scheduleId);
+    if (!run) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Schedule run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule (its archives are kept)
+ */
+router.delete('/schedules/:scheduleId', (req, res) => {
+  try {
+    if (!schedulerService.remove(req.params.scheduleId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Schedule deletion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions
+ */
+router.get('/webhooks', (req, res) => {
+  try {
+    res.json({ webhooks: webhookService.getAll().map(describeWebhook) });
+  } catch (error) {
+    console.error('Webhooks retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to events: { url, events, secret, urlPrefixes, changeThreshold, ignoreSelectors, active }.
+ * The response is the only one that includes the signing secret.
+ */
+router.post('/webhooks', (req, res) => {
+  try {
+    const { webhook, errors } = webhookService.create(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid webhook: ${errors.join('; ')}`, details: errors });
+    }
+    res.json(webhook);
+  } catch (error) {
+    console.error('Webhook creation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId
+ * Get one webhook subscription
+ */
+router.get('/webhooks/:webhookId', (req, res) => {
+  try {
+    const webhook = webhookService.get(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(describeWebhook(webhook));
+  } catch (error) {
+    console.error('Webhook retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Edit a webhook; { active: false } pauses it. A new secret is echoed back.
+ */
+router.patch('/webhooks/:webhookId', (req, res) => {
+  try {
+    const result = webhookService.update(req.params.webhookId, req.body);
+    if (!result) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: `Invalid webhook: ${result.errors.join('; ')}`, details: result.errors });
+    }
+    res.json(req.body.secret !== undefined ? result.webhook : describeWebhook(result.webhook));
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a webhook and its delivery log
+ */
+router.delete('/webhooks/:webhookId', (req, res) => {
+  try {
+    if (!webhookService.remove(req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Webhook deletion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/ping
+ * Send a test "ping" event
+ */
+router.post('/webhooks/:webhookId/ping', (req, res) => {
+  try {
+    const delivery = webhookService.ping(req.params.webhookId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Webhook ping error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries?event=&status=&limit=&offset=
+ * Query a webhook's delivery log, newest first
+ */
+router.get('/webhooks/:webhookId/deliveries', (req, res) => {
+  try {
+    if (!webhookService.get(req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { params, errors } = webhookService.parseDeliveryQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid delivery query: ${errors.join('; ')}`, details: errors });
+    }
+    res.json(webhookService.getDeliveries(req.params.webhookId, params));
+  } catch (error) {
+    console.error('Webhook deliveries retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries/:deliveryId
+ * Get one delivery with its payload and every attempt
+ */
+router.get('/webhooks/:webhookId/deliveries/:deliveryId', (req, res) => {
+  try {
+    const delivery = webhookService.getDelivery(req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Webhook delivery retrieval error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a logged delivery's payload again
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', (req, res) => {
+  try {
+    const delivery = webhookService.redeliver(req.params.webhookId, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Webhook redelivery error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/archive/:archiveId
- * Delete an archive (optional feature)
+ * Delete an archive (optional feature). Refused with 409 while its job is queued or running.
  */
 router.delete('/archive/:archiveId', async (req, res) => {
   try {
@@ -192,17 +788,12 @@ router.delete('/archive/:archiveId', async (req, res) => {
     if (!archive) {
       return res.status(404).json({ error: 'Archive not found' });
     }
-
-    // Remove archive directory
-    const archiveDir = path.join(__dirname, '../../archives', archiveId);
-    if (fs.existsSync(archiveDir)) {
-      await fs.remove(archiveDir);
+    // A crawl still going would keep saving into the archive as it is deleted
+    if (jobQueue.isActive(archiveId)) {
+      return res.status(409).json({ error: 'The archive is still being archived; cancel its job and wait for it to stop first' });
     }
 
-    // Remove from metadata
-    const metadata = fs.readJsonSync(storageService.metadataFile);
-    metadata.archives = metadata.archives.filter(a => a.id !== archiveId);
-    fs.writeJsonSync(storageService.metadataFile, metadata, { spaces: 2 });
+    await storageService.deleteArchive(archiveId);
 
     res.json({ message: 'Archive deleted successfully' });
   } catch (error) {
@@ -0,0 +1,156 @@
+const express = require('express');
+const mime = require('mime-types');
+const { URL } = require('url');
+const storageService = require('../services/storage');
+const replayService = require('../services/replay');
+const mementoService = require('../services/memento');
+const { fromTimestamp14 } = require('../utils/timestamp');
+const { sendStream } = require('../utils/range');
+
+const router = express.Router();
+
+/**
+ * Recover the original URL from the rest of a replay path. Proxies and
+ * browsers may collapse the "//" after the scheme, and the scheme may be
+ * missing altogether.
+ * @param {string} rest - Everything after /web/<timestamp>/, including the query
+ * @returns {string|null} Normalized URL without fragment, or null if invalid
+ */
+function parseTargetUrl(rest) {
+  const raw = /^https?:/i.test(rest) ? rest.replace(/^(https?:)\/*/i, '$1//') : `http://${rest}`;
+
+  try {
+    const url = new URL(raw);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Everything in the request URL after a route prefix (keeps the target's query string)
+ */
+function getRest(req, prefix) {
+  return req.url.substring(req.url.indexOf(prefix) + prefix.length);
+}
+
+/**
+ * GET /web/:timestamp/:url
+ * Replay the capture of a URL closest to a timestamp, across all archives.
+ * Inexact timestamps redirect to the canonical timestamp of the capture.
+ */
+router.get(/^\/web\/(\d{1,14})\/(.+)$/, async (req, res) => {
+  try {
+    const timestamp = req.params[0];
+    const targetUrl = parseTargetUrl(getRest(req, `/web/${timestamp}/`));
+    const date = fromTimestamp14(timestamp);
+
+    if (!targetUrl || !date) {
+      return res.status(400).json({ error: 'Invalid replay URL. Use /web/<YYYYMMDDhhmmss>/<url>' });
+    }
+
+    const capture = replayService.findNearestCapture(targetUrl, date);
+    if (!capture) {
+      return res.status(404).type('html').send(replayService.renderNotArchived(null, targetUrl));
+    }
+
+    if (capture.timestamp !== timestamp) {
+      return res.redirect(302, replayService.getReplayUrl(capture.timestamp, targetUrl));
+    }
+
+    const { archive, entry, isPage } = capture;
+    const file = await storageService.statFile(archive.id, entry.path);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in archive' });
+    }
+
+    const headers = (entry.capture && entry.capture.headers) || {};
+    const contentType = String(headers['content-type'] || mime.lookup(entry.path) || 'application/octet-stream');
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('X-Archive-Id', archive.id);
+    res.setHeader('X-Archive-Timestamp', capture.capturedAt.toISOString());
+    mementoService.setMementoHeaders(res, mementoService.getBaseUrl(req), targetUrl, capture.capturedAt);
+
+    if (isPage && mimeType === 'text/html') {
+      const html = (await storageService.readFile(archive.id, entry.path)).toString('utf8');
+      return res.send(replayService.rewritePageForReplay(archive, entry, html, capture.timestamp));
+    }
+    if (mimeType === 'text/css') {
+      const css = (await storageService.readFile(archive.id, entry.path)).toString('utf8');
+      return res.send(replayService.rewriteCssForReplay(archive, entry, css, capture.timestamp));
+    }
+
+    await sendStream(req, res, file.size, range => storageService.streamFile(archive.id, entry.path, range));
+  } catch (error) {
+    console.error('Replay error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /timegate/:url
+ * Memento TimeGate: redirect to the capture closest to Accept-Datetime (latest if absent)
+ */
+router.get(/^\/timegate\/(.+)$/, (req, res) => {
+  try {
+    const targetUrl = parseTargetUrl(getRest(req, '/timegate/'));
+    const date = mementoService.parseAcceptDatetime(req.get('Accept-Datetime'));
+
+    if (!targetUrl) {
+      return res.status(400).json({ error: 'Invalid URL. Use /timegate/<url>' });
+    }
+    if (date === null) {
+      return res.status(400).json({ error: 'Accept-Datetime must be an RFC 1123 date, e.g. "Thu, 25 Sep 2025 07:27:02 GMT"' });
+    }
+
+    const baseUrl = mementoService.getBaseUrl(req);
+    res.setHeader('Vary', 'accept-datetime');
+
+    const capture = mementoService.selectCapture(mementoService.getCaptures(targetUrl), date);
+    if (!capture) {
+      res.setHeader('Link', `<${targetUrl}>; rel="original"`);
+      return res.status(404).json({ error: 'No captures of this URL' });
+    }
+
+    res.setHeader('Link', mementoService.getDiscoveryLinks(baseUrl, targetUrl)
+      .filter(link => !link.endsWith('rel="timegate"'))
+      .join(', '));
+    res.redirect(302, mementoService.getMementoUrl(baseUrl, capture.capturedAt, targetUrl));
+  } catch (error) {
+    console.error('TimeGate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /timemap/:format/:url
+ * Memento TimeMap listing every capture of a URL, as link-format or JSON
+ */
+router.get(/^\/timemap\/(link|json)\/(.+)$/, (req, res) => {
+  try {
+    const format = req.params[0];
+    const targetUrl = parseTargetUrl(getRest(req, `/timemap/${format}/`));
+    if (!targetUrl) {
+      return res.status(400).json({ error: 'Invalid URL. Use /timemap/link/<url> or /timemap/json/<url>' });
+    }
+
+    const captures = mementoService.getCaptures(targetUrl);
+    if (captures.length === 0) {
+      return res.status(404).json({ error: 'No captures of this URL' });
+    }
+
+    const baseUrl = mementoService.getBaseUrl(req);
+    if (format === 'json') {
+      return res.json(mementoService.buildJsonTimeMap(baseUrl, targetUrl, captures));
+    }
+    res.type('application/link-format').send(mementoService.buildLinkTimeMap(baseUrl, targetUrl, captures));
+  } catch (error) {
+    console.error('TimeMap error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
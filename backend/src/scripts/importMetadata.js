@@ -0,0 +1,23 @@
+/**
+ * Import the archive records of a metadata.json file (e.g. from a backup or
+ * another installation) into the database. The metadata.json of the storage
+ * directory itself is imported when the server starts.
+ * Usage: npm run import:metadata -- <path/to/metadata.json>
+ */
+const fs = require('fs-extra');
+
+const file = process.argv[2];
+
+if (!file || !fs.existsSync(file)) {
+  console.error('Usage: npm run import:metadata -- <path/to/metadata.json>');
+  process.exitCode = 1;
+} else {
+  try {
+    const storageService = require('../services/storage');
+    const { imported, skipped } = storageService.importMetadataFile(file);
+    console.log(`🗃️  Imported ${imported} archives (${skipped} already present)`);
+  } catch (error) {
+    console.error('Metadata import failed:', error);
+    process.exitCode = 1;
+  }
+}
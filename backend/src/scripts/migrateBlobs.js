@@ -0,0 +1,19 @@
+/**
+ * Move the assets and original responses of existing archives into the shared,
+ * content-addressed blob store. Stop the server first; safe to run again.
+ * Usage: npm run migrate:blobs
+ */
+const storageService = require('../services/storage');
+
+const toMegabytes = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+async function migrate() {
+  const { archives, files, bytes, blobs, blobBytes } = await storageService.migrateToBlobStore();
+  console.log(`📦 Moved ${files} files (${toMegabytes(bytes)} MB) from ${archives} archives into the blob store`);
+  console.log(`🧮 Blob store now holds ${blobs} blobs (${toMegabytes(blobBytes)} MB)`);
+}
+
+migrate().catch(error => {
+  console.error('Blob store migration failed:', error);
+  process.exitCode = 1;
+});
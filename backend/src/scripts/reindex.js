@@ -0,0 +1,18 @@
+/**
+ * Rebuild the capture (CDX) and full-text search indexes from the stored archives.
+ * Usage: npm run reindex
+ */
+const storageService = require('../services/storage');
+
+async function reindex() {
+  const captures = await storageService.rebuildCdxIndex();
+  console.log(`📇 Indexed ${captures} captures in the CDX index`);
+
+  const pages = await storageService.rebuildSearchIndex();
+  console.log(`🔎 Indexed ${pages} pages in the search index`);
+}
+
+reindex().catch(error => {
+  console.error('Reindex failed:', error);
+  process.exitCode = 1;
+});
@@ -2,9 +2,18 @@ const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const path = require('path');
+const crypto = require('crypto');
 const { URL } = require('url');
+const zlib = require('zlib');
 const mime = require('mime-types');
 const storageService = require('./storage');
+const behaviorService = require('./behaviors');
+const jobQueue = require('./jobQueue');
+const { DEFAULT_CRAWL_OPTIONS, isInScope, getFilterRejection, isAssetHostAllowed } = require('../utils/crawlOptions');
+const { parseRobots, isAllowedByRobots } = require('../utils/robots');
+const { parseSitemap } = require('../utils/sitemap');
+const { findCssReferences, rewriteCssReferences } = require('../utils/css');
+const { sha1Base32 } = require('../utils/digest');
 
 // Create axios instance with better defaults for handling connection issues
 const httpClient = axios.create({
@@ -30,62 +39,189 @@ const httpClient = axios.create({
   })
 });
 
+// Browser viewport; thumbnails are the first screen scaled down
+const VIEWPORT = { width: 1280, height: 800 };
+const THUMBNAIL_SCALE = 0.25;
+
+// Elements and attributes that reference page assets. `kind: 'media'` sources
+// are subject to the job's media size cap; `rel` limits <link> elements.
+const ASSET_SOURCES = [
+  { selector: 'img[src]', attribute: 'src' },
+  { selector: 'img[srcset], source[srcset]', attribute: 'srcset', srcset: true },
+  { selector: 'link[rel="stylesheet"][href]', attribute: 'href' },
+  { selector: 'script[src]', attribute: 'src' },
+  { selector: 'video[src], audio[src], source[src], track[src]', attribute: 'src', kind: 'media' },
+  { selector: 'video[poster]', attribute: 'poster' },
+  {
+    selector: 'link[href]',
+    attribute: 'href',
+    rel: ['icon', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon', 'preload', 'modulepreload', 'manifest']
+  },
+  { selector: 'link[imagesrcset]', attribute: 'imagesrcset', srcset: true },
+  { selector: 'object[data]', attribute: 'data', kind: 'media' },
+  { selector: 'embed[src]', attribute: 'src', kind: 'media' },
+  { selector: 'use[href]', attribute: 'href' },
+  { selector: 'use[xlink\\:href]', attribute: 'xlink:href' },
+  { selector: 'input[type="image"][src]', attribute: 'src' }
+];
+
+/**
+ * Wait, or stop waiting as soon as the signal aborts
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Signal of the job
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', done);
+      }
+      resolve();
+    };
+    const timer = setTimeout(done, signal && signal.aborted ? 0 : ms);
+    if (signal) {
+      signal.addEventListener('abort', done, { once: true });
+    }
+  });
+}
+
 class ArchiverService {
   constructor() {
-    this.activeJobs = new Map(); // Track active archiving jobs
-    this.maxDepth = 3; // Maximum crawl depth
-    this.maxPages = 50; // Maximum pages per domain
-    this.timeout = 30000; // 30 second timeout per page
+    this.activeJobs = new Map(); // Archive ID -> state of each crawl running in this process
   }
 
   /**
-   * Start archiving a website
+   * Start running the queued crawls, picking up those a previous process
+   * left unfinished
+   */
+  start() {
+    jobQueue.start(job => this.runJob(job));
+  }
+
+  /**
+   * Queue a website for archiving
    * @param {string} url - URL to archive
+   * @param {Object} [options] - Validated crawl options (see utils/crawlOptions)
+   * @param {Object} [job] - { priority: -10 to 10, higher runs first }
    * @returns {Object} Job information
    */
-  async startArchiving(url) {
+  async startArchiving(url, options = DEFAULT_CRAWL_OPTIONS, { priority = 0 } = {}) {
+    let domain;
     try {
-      const parsedUrl = new URL(url);
-      const domain = parsedUrl.hostname;
-      
-      // Create archive entry
-      const archive = storageService.createArchive(url, domain);
-      
-      // Start archiving process (non-blocking)
-      this.archiveWebsite(archive.id, url).catch(error => {
-        console.error(`Archiving failed for ${url}:`, error);
-        storageService.updateArchive(archive.id, {
-          status: 'failed',
-          error: error.message
-        });
-      });
+      domain = new URL(url).hostname;
+    } catch (error) {
+      throw new Error(`Invalid URL: ${error.message}`);
+    }
+    const priorityError = jobQueue.validatePriority(priority);
+    if (priorityError) {
+      const error = new Error(`Invalid job: ${priorityError}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const baseArchive = this.resolveBaseArchive(domain, options.baseArchive);
+
+    try {
+      // Create archive entry and wait for a free crawl slot
+      const archive = storageService.createArchive(url, domain, { options, baseArchiveId: baseArchive ? baseArchive.id : null });
+      const queue = jobQueue.enqueue(archive.id, { priority });
 
       return {
         jobId: archive.id,
-        status: 'started',
+        status: storageService.getArchive(archive.id).status,
         url,
-        domain
+        domain,
+        options,
+        baseArchiveId: archive.baseArchiveId,
+        queue
       };
     } catch (error) {
-      throw new Error(`Invalid URL: ${error.message}`);
+      throw new Error(`Could not start archiving: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the archive an incremental crawl compares against
+   * @param {string} domain - Domain being archived
+   * @param {string|null} baseArchive - 'latest', an archive ID, or null for a full crawl
+   * @returns {Object|null} Completed archive of the same domain; null for a full crawl or
+   *   when 'latest' finds no earlier archive
+   */
+  resolveBaseArchive(domain, baseArchive) {
+    if (!baseArchive) {
+      return null;
+    }
+    if (baseArchive === 'latest') {
+      return storageService.getArchivesByDomain(domain).find(archive => archive.status === 'completed') || null;
+    }
+
+    const archive = storageService.getArchive(baseArchive);
+    if (!archive || archive.domain !== domain || archive.status !== 'completed') {
+      const error = new Error(`baseArchive ${baseArchive} is not a completed archive of ${domain}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return archive;
+  }
+
+  /**
+   * Run a crawl taken off the job queue. A paused crawl continues from its
+   * frontier; another attempt at a failed crawl starts over, so what the
+   * earlier attempt captured is thrown away first.
+   * @param {Object} job - Running job (see jobQueue)
+   * @returns {Promise<Object|null>} Frontier if the crawl was paused or cancelled
+   */
+  async runJob(job) {
+    const archive = storageService.getArchive(job.archiveId);
+    if (!archive) {
+      return null; // deleted while queued
+    }
+    if (job.attempts > 1 && !job.frontier) {
+      await storageService.clearCaptures(archive.id);
+      storageService.updateArchive(archive.id, { pagesArchived: undefined, incremental: undefined });
     }
+    return this.archiveWebsite(archive.id, archive.url, { ...DEFAULT_CRAWL_OPTIONS, ...archive.options }, {
+      signal: job.signal,
+      frontier: job.frontier
+    });
   }
 
   /**
-   * Archive a website and all its same-domain pages
+   * Archive a website and all its same-domain pages. Throws if the crawl as
+   * a whole failed; the job queue decides whether to try again.
    * @param {string} archiveId - Archive ID
    * @param {string} startUrl - Starting URL
+   * @param {Object} [options] - Validated crawl options
+   * @param {Object} [run] - { signal: aborts to pause or cancel the crawl, frontier: where a paused crawl stopped }
+   * @returns {Promise<Object|null>} When stopped by the signal, the frontier { urlQueue, visitedUrls } to
+   *   resume from (null if nothing was crawled yet); otherwise null
    */
-  async archiveWebsite(archiveId, startUrl) {
+  async archiveWebsite(archiveId, startUrl, options = DEFAULT_CRAWL_OPTIONS, { signal = null, frontier = null } = {}) {
     let browser;
     let usePuppeteer = true;
-    const visitedUrls = new Set();
-    const urlQueue = [{ url: startUrl, depth: 0 }];
-    const domain = new URL(startUrl).hostname;
+    const visitedUrls = new Set(frontier ? frontier.visitedUrls : []);
+    const urlQueue = frontier ? [...frontier.urlQueue] : [{ url: startUrl, depth: 0 }];
+    const start = new URL(startUrl);
+    const record = storageService.getArchive(archiveId);
+    const baseArchive = record && record.baseArchiveId ? storageService.getArchive(record.baseArchiveId) : null;
+    const stopped = () => Boolean(signal && signal.aborted);
+
+    this.activeJobs.set(archiveId, {
+      options,
+      signal,
+      base: baseArchive ? this.indexBaseArchive(baseArchive) : null, // captures an incremental crawl compares against
+      robots: new Map(), // origin -> parsed robots.txt
+      host: start.host,
+      // A resumed crawl has already recorded some
+      skippedUrls: new Set(frontier && record ? (record.skipped || []).map(entry => entry.url) : []),
+      pendingAssets: new Map(), // asset URL -> in-flight capture promise
+      pendingStylesheets: new Set(), // URLs of stylesheets whose references are being captured
+      browserResponses: new Map() // URL -> response the browser received for the current page
+    });
 
     try {
       // Update status to processing
-      storageService.updateArchive(archiveId, { status: 'processing' });
+      storageService.updateArchive(archiveId, { status: 'processing', error: undefined });
 
       // Try to launch browser, fallback to HTTP-only mode if it fails
       try {
@@ -118,14 +254,38 @@ class ArchiverService {
         browser = null;
       }
 
-      while (urlQueue.length > 0 && visitedUrls.size < this.maxPages) {
+      // Optionally seed the queue from the site's sitemaps (a resumed crawl already has)
+      if (options.sitemap && !frontier) {
+        await this.seedFromSitemaps(archiveId, start, urlQueue);
+        if (stopped()) {
+          return null; // nothing crawled yet, so resuming starts over
+        }
+      }
+
+      while (urlQueue.length > 0 && visitedUrls.size < options.maxPages && !stopped()) {
         const { url, depth } = urlQueue.shift();
         
         // Skip if already visited or too deep
-        if (visitedUrls.has(url) || depth > this.maxDepth) {
+        if (visitedUrls.has(url) || depth > options.maxDepth) {
           continue;
         }
 
+        // Honor robots.txt unless the job explicitly ignores it
+        let crawlDelay = 0;
+        if (options.robots === 'obey') {
+          const robots = await this.getRobotsPolicy(archiveId, new URL(url));
+          if (stopped()) {
+            urlQueue.unshift({ url, depth });
+            break;
+          }
+          const verdict = isAllowedByRobots(robots, new URL(url));
+          if (!verdict.allowed) {
+            this.recordSkipped(archiveId, url, `Disallowed by robots.txt (${verdict.rule.type}: ${verdict.rule.pattern})`);
+            continue;
+          }
+          crawlDelay = (robots.crawlDelay || 0) * 1000;
+        }
+
         try {
           console.log(`Archiving: ${url} (depth: ${depth})`);
           visitedUrls.add(url);
@@ -133,12 +293,19 @@ class ArchiverService {
           // Archive the page
           const links = await this.archivePage(browser, archiveId, url);
           
-          // Add same-domain links to queue
-          if (depth < this.maxDepth) {
+          // Add in-scope links to queue
+          if (depth < options.maxDepth) {
             for (const link of links) {
               try {
                 const linkUrl = new URL(link, url);
-                if (linkUrl.hostname === domain && !visitedUrls.has(linkUrl.href)) {
+                linkUrl.hash = '';
+                if (!isInScope(linkUrl, start, options) || visitedUrls.has(linkUrl.href)) {
+                  continue;
+                }
+                const rejection = getFilterRejection(linkUrl.href, options);
+                if (rejection) {
+                  this.recordSkipped(archiveId, linkUrl.href, rejection);
+                } else {
                   urlQueue.push({ url: linkUrl.href, depth: depth + 1 });
                 }
               } catch (e) {
@@ -148,37 +315,248 @@ class ArchiverService {
             }
           }
           
-          // Add small delay between pages to be respectful
-          await new Promise(resolve => setTimeout(resolve, 1000));
+          // Add small delay between pages to be respectful (robots.txt Crawl-delay may ask for more)
+          await sleep(Math.max(options.delay, crawlDelay), signal);
           
         } catch (error) {
+          if (stopped()) {
+            // Stopped halfway through the page: a resumed crawl visits it again
+            visitedUrls.delete(url);
+            urlQueue.unshift({ url, depth });
+            break;
+          }
           console.error(`Failed to archive ${url}:`, error.message);
           // Continue with next URL instead of failing the entire job
         }
       }
 
+      if (stopped()) {
+        storageService.updateArchive(archiveId, { pagesArchived: visitedUrls.size });
+        console.log(`⏹️ Archiving ${signal.reason === 'pause' ? 'paused' : 'cancelled'} for ${startUrl} (${visitedUrls.size} pages)`);
+        return { urlQueue, visitedUrls: [...visitedUrls] };
+      }
+
+      // Anything left in the queue was cut off by the page limit
+      urlQueue
+        .filter(({ url }) => !visitedUrls.has(url))
+        .forEach(({ url }) => this.recordSkipped(archiveId, url, `Page limit of ${options.maxPages} reached`));
+
       // Update status to completed
+      const incremental = this.summarizeIncremental(archiveId);
       storageService.updateArchive(archiveId, {
         status: 'completed',
         pagesArchived: visitedUrls.size,
-        completedAt: new Date().toISOString()
+        completedAt: new Date().toISOString(),
+        ...(incremental ? { incremental } : {})
       });
 
       console.log(`✅ Archiving completed for ${startUrl} (${visitedUrls.size} pages)`);
+      return null;
 
     } catch (error) {
       console.error('Archiving error:', error);
-      storageService.updateArchive(archiveId, {
-        status: 'failed',
-        error: error.message
-      });
+      throw error;
     } finally {
+      this.activeJobs.delete(archiveId);
       if (browser) {
         await browser.close();
       }
     }
   }
 
+  /**
+   * Fetch and cache the robots.txt rules for a URL's origin.
+   * Per RFC 9309, a missing robots.txt (4xx) allows everything and an
+   * unreachable one (5xx/network error) disallows everything.
+   * @param {string} archiveId - Archive ID
+   * @param {URL} url - URL whose origin to look up
+   * @returns {Promise<Object>} Parsed robots rules
+   */
+  async getRobotsPolicy(archiveId, url) {
+    const job = this.activeJobs.get(archiveId);
+    if (job && job.robots.has(url.origin)) {
+      return job.robots.get(url.origin);
+    }
+
+    const robotsUrl = `${url.origin}/robots.txt`;
+    let robots;
+    let status = null;
+
+    try {
+      const response = await this.downloadWithRetry(robotsUrl, {
+        responseType: 'text',
+        timeout: 15000,
+        validateStatus: () => true,
+        signal: this.getJobSignal(archiveId)
+      }, 2);
+      status = response.status;
+
+      if (status >= 200 && status < 300) {
+        robots = parseRobots(String(response.data));
+      } else if (status >= 400 && status < 500) {
+        robots = { rules: [], crawlDelay: null, sitemaps: [] };
+      } else {
+        robots = { rules: [{ type: 'disallow', pattern: '/' }], crawlDelay: null, sitemaps: [] };
+      }
+    } catch (error) {
+      console.warn(`Could not fetch ${robotsUrl}: ${error.message}`);
+      robots = { rules: [{ type: 'disallow', pattern: '/' }], crawlDelay: null, sitemaps: [] };
+    }
+
+    if (job) {
+      job.robots.set(url.origin, robots);
+    }
+
+    // Keep a record of the policy that governed this crawl
+    const archive = storageService.getArchive(archiveId);
+    if (archive) {
+      const robotsTxt = archive.robotsTxt || [];
+      robotsTxt.push({
+        url: robotsUrl,
+        status,
+        fetchedAt: new Date().toISOString(),
+        rules: robots.rules,
+        crawlDelay: robots.crawlDelay,
+        sitemaps: robots.sitemaps
+      });
+      storageService.updateArchive(archiveId, { robotsTxt });
+    }
+
+    return robots;
+  }
+
+  /**
+   * Seed the crawl queue from sitemap.xml (or the sitemaps listed in robots.txt),
+   * following sitemap indexes.
+   * @param {string} archiveId - Archive ID
+   * @param {URL} start - Job start URL
+   * @param {Array} urlQueue - Crawl queue to append to
+   */
+  async seedFromSitemaps(archiveId, start, urlQueue) {
+    const options = this.getJobOptions(archiveId);
+    const robots = await this.getRobotsPolicy(archiveId, start);
+    const pending = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${start.origin}/sitemap.xml`];
+    const fetched = new Set();
+    const queued = new Set(urlQueue.map(entry => entry.url));
+    const maxSitemaps = 25;
+    let seeded = 0;
+
+    while (pending.length > 0 && fetched.size < maxSitemaps && queued.size < options.maxPages) {
+      const sitemapUrl = pending.shift();
+      if (fetched.has(sitemapUrl)) {
+        continue;
+      }
+      fetched.add(sitemapUrl);
+
+      try {
+        const response = await this.downloadWithRetry(sitemapUrl, {
+          responseType: 'arraybuffer',
+          timeout: 15000,
+          signal: this.getJobSignal(archiveId)
+        }, 2);
+        let body = Buffer.from(response.data);
+        if (body[0] === 0x1f && body[1] === 0x8b) {
+          body = zlib.gunzipSync(body);
+        }
+
+        const { urls, sitemaps } = parseSitemap(body.toString('utf8'));
+        pending.push(...sitemaps);
+
+        for (const loc of urls) {
+          if (queued.size >= options.maxPages) {
+            break;
+          }
+          try {
+            const pageUrl = new URL(loc);
+            pageUrl.hash = '';
+            if (!isInScope(pageUrl, start, options) || queued.has(pageUrl.href)) {
+              continue;
+            }
+            const rejection = getFilterRejection(pageUrl.href, options);
+            if (rejection) {
+              this.recordSkipped(archiveId, pageUrl.href, rejection);
+              continue;
+            }
+            queued.add(pageUrl.href);
+            urlQueue.push({ url: pageUrl.href, depth: 0 });
+            seeded++;
+          } catch (e) {
+            // Skip invalid sitemap entries
+            continue;
+          }
+        }
+      } catch (error) {
+        console.warn(`Could not read sitemap ${sitemapUrl}: ${error.message}`);
+      }
+    }
+
+    console.log(`Seeded ${seeded} URLs from ${fetched.size} sitemap(s)`);
+  }
+
+  /**
+   * Record a URL the crawler decided not to fetch, once per job
+   * @param {string} archiveId - Archive ID
+   * @param {string} url - Skipped URL
+   * @param {string} reason - Why it was skipped
+   * @param {string} [type] - 'page', 'asset' or 'media'
+   */
+  recordSkipped(archiveId, url, reason, type = 'page') {
+    const job = this.activeJobs.get(archiveId);
+    if (job) {
+      if (job.skippedUrls.has(url)) {
+        return;
+      }
+      job.skippedUrls.add(url);
+    }
+    storageService.addSkipped(archiveId, { url, type, reason });
+  }
+
+  /**
+   * Get the host of an archive's start URL, used to namespace files from other hosts
+   * @param {string} archiveId - Archive ID
+   * @returns {string|null} Host (with port, if any)
+   */
+  getJobHost(archiveId) {
+    const job = this.activeJobs.get(archiveId);
+    if (job) {
+      return job.host;
+    }
+    const archive = storageService.getArchive(archiveId);
+    return archive ? new URL(archive.url).host : null;
+  }
+
+  /**
+   * Get the crawl options of a running job
+   * @param {string} archiveId - Archive ID
+   * @returns {Object} Crawl options (defaults if the job is not running)
+   */
+  getJobOptions(archiveId) {
+    const job = this.activeJobs.get(archiveId);
+    return job ? job.options : DEFAULT_CRAWL_OPTIONS;
+  }
+
+  /**
+   * Get the signal that aborts a running job's requests when it is paused or cancelled
+   * @param {string} archiveId - Archive ID
+   * @returns {AbortSignal|undefined} Signal, if the job has one
+   */
+  getJobSignal(archiveId) {
+    const job = this.activeJobs.get(archiveId);
+    return (job && job.signal) || undefined;
+  }
+
+  /**
+   * Throw if a running job was paused or cancelled, so a page it was in the
+   * middle of is not saved half-captured
+   * @param {string} archiveId - Archive ID
+   */
+  throwIfStopped(archiveId) {
+    const signal = this.getJobSignal(archiveId);
+    if (signal && signal.aborted) {
+      throw new Error(`Archiving ${signal.reason === 'pause' ? 'paused' : 'cancelled'}`);
+    }
+  }
+
   /**
    * Archive a single page and its assets
    * @param {Object} browser - Puppeteer browser instance
@@ -192,6 +570,7 @@ class ArchiverService {
       try {
         return await this.archivePageWithPuppeteer(browser, archiveId, url);
       } catch (error) {
+        this.throwIfStopped(archiveId);
         console.warn(`Puppeteer failed for ${url}, trying fallback method: ${error.message}`);
         return await this.archivePageWithHttp(archiveId, url);
       }
@@ -206,31 +585,63 @@ class ArchiverService {
   async archivePageWithPuppeteer(browser, archiveId, url) {
     const page = await browser.newPage();
     const links = [];
+    const options = this.getJobOptions(archiveId);
+    const { pageTimeout } = options;
+    const job = this.activeJobs.get(archiveId);
+    // Pausing or cancelling aborts the page load by closing the page
+    const signal = this.getJobSignal(archiveId);
+    const abort = () => page.close().catch(() => {});
+    if (signal) {
+      signal.addEventListener('abort', abort, { once: true });
+    }
 
     try {
-      // Set timeout and user agent
-      await page.setDefaultTimeout(this.timeout);
+      // Set timeout, user agent and a desktop viewport (also the screenshot width)
+      await page.setDefaultTimeout(pageTimeout);
       await page.setUserAgent('Mozilla/5.0 (compatible; WebArchiver/1.0)');
+      await page.setViewport(VIEWPORT);
+
+      // Record everything the browser loads, including requests made from scripts
+      const recorder = this.recordBrowserResponses(page, options);
 
       // Navigate to page with more lenient waiting
-      await page.goto(url, { 
+      const response = await page.goto(url, { 
         waitUntil: 'domcontentloaded',
-        timeout: this.timeout 
+        timeout: pageTimeout 
       });
 
-      // Wait a bit for dynamic content to load
-      await page.waitForTimeout(2000);
+      // Trigger lazy content (infinite scroll, lazy images, "load more") before serializing
+      if (options.behaviors.length > 0) {
+        const steps = await behaviorService.run(page, options);
+        storageService.addBehaviorLog(archiveId, { url, steps });
+      } else {
+        // Wait a bit for dynamic content to load
+        await page.waitForTimeout(2000);
+      }
 
       // Get page content
       const content = await page.content();
+
+      // The browser's responses are authoritative for the assets of this page
+      const recorded = await recorder.settle();
+      if (job) {
+        job.browserResponses = new Map(recorded.filter(capture => capture.method === 'GET').map(capture => [capture.url, capture]));
+      }
       
       // Parse with Cheerio to extract links and modify content
       const $ = cheerio.load(content);
       const modifiedContent = await this.processPageContent($, archiveId, url);
 
-      // Save the page
-      const relativePath = this.getRelativePath(url);
-      storageService.savePage(archiveId, url, modifiedContent, relativePath);
+      // Save the page along with the original response
+      const relativePath = this.getRelativePath(url, this.getJobHost(archiveId));
+      const capture = response ? await this.toRevisit(archiveId, url, await this.captureFromPuppeteer(response, null, pageTimeout)) : null;
+      const renditions = await this.captureRenditions(page, archiveId, relativePath, options);
+      this.throwIfStopped(archiveId);
+      await storageService.savePage(archiveId, url, modifiedContent, relativePath, capture, renditions ? { renditions } : {});
+
+      // Keep XHR/fetch and script-loaded responses for replay
+      const documentUrls = [url, response && response.url()];
+      await this.saveBrowserResponses(archiveId, url, recorded.filter(capture => !documentUrls.includes(capture.url)));
 
       // Extract links for crawling
       $('a[href]').each((i, element) => {
@@ -243,8 +654,167 @@ class ArchiverService {
       return links;
 
     } finally {
-      await page.close();
+      if (job) {
+        job.browserResponses = new Map();
+      }
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+      if (!page.isClosed()) {
+        await page.close();
+      }
+    }
+  }
+
+  /**
+   * Save a full-page screenshot, a thumbnail and optionally a PDF print of a page
+   * as it looked at capture time
+   * @param {Object} page - Puppeteer page
+   * @param {string} archiveId - Archive ID
+   * @param {string} relativePath - Archive path of the page
+   * @param {Object} options - Validated crawl options
+   * @returns {Promise<Object|null>} { screenshot, thumbnail, pdf } archive paths, or null if none were taken
+   */
+  async captureRenditions(page, archiveId, relativePath, options) {
+    const renditions = {};
+    const render = async (name, suffix, produce) => {
+      try {
+        renditions[name] = await storageService.saveRendition(archiveId, relativePath, suffix, await produce());
+      } catch (error) {
+        console.warn(`Could not render ${name} of ${relativePath}: ${error.message}`);
+      }
+    };
+
+    if (options.screenshot) {
+      await render('screenshot', 'png', () => page.screenshot({ type: 'png', fullPage: true }));
+      await render('thumbnail', 'thumb.png', () => page.screenshot({
+        type: 'png',
+        clip: { x: 0, y: 0, width: VIEWPORT.width, height: VIEWPORT.height, scale: THUMBNAIL_SCALE }
+      }));
+    }
+    if (options.pdf) {
+      await render('pdf', 'pdf', () => page.pdf({ format: 'A4', printBackground: true }));
+    }
+
+    return Object.keys(renditions).length > 0 ? renditions : null;
+  }
+
+  /**
+   * Start recording every response a page receives
+   * @param {Object} page - Puppeteer page
+   * @param {Object} options - Crawl options: pageTimeout is how long to wait for each body (responses
+   *   still unread are dropped), maxAssetSize and maxMediaSize cap the bodies that are read
+   * @returns {Object} { settle } resolving to the capture records once all bodies are read
+   */
+  recordBrowserResponses(page, options) {
+    const startedAt = new Map(); // request -> time it was sent
+    const pending = [];
+
+    page.on('request', request => startedAt.set(request, Date.now()));
+    page.on('response', response => {
+      if (!/^https?:/i.test(response.url())) {
+        return;
+      }
+      pending.push(this.captureFromPuppeteer(response, startedAt.get(response.request()), options.pageTimeout, options));
+    });
+
+    return {
+      settle: async () => {
+        const results = await Promise.allSettled(pending);
+        return results
+          .filter(result => result.status === 'fulfilled' && result.value)
+          .map(result => result.value);
+      }
+    };
+  }
+
+  /**
+   * Look up what the browser received for a URL while loading the current page,
+   * following redirects it recorded
+   * @param {string} archiveId - Archive ID
+   * @param {string} url - Absolute URL
+   * @returns {Object|null} Capture record of the final response, or null if the browser never requested it
+   */
+  getBrowserResponse(archiveId, url) {
+    const job = this.activeJobs.get(archiveId);
+    if (!job) {
+      return null;
+    }
+
+    let current = url;
+    for (let hops = 0; hops <= 5; hops++) {
+      const capture = job.browserResponses.get(current);
+      if (!capture) {
+        return null;
+      }
+      const location = capture.status >= 300 && capture.status < 400 && capture.headers.location;
+      if (!location) {
+        return capture.status < 400 ? capture : null;
+      }
+      current = new URL(location, current).href;
+    }
+    return null;
+  }
+
+  /**
+   * Save the browser responses that page processing did not already store as
+   * assets (XHR/fetch data, script-injected resources), so they can be replayed
+   * @param {string} archiveId - Archive ID
+   * @param {string} pageUrl - Page the responses belong to
+   * @param {Array<Object>} captures - Capture records from recordBrowserResponses
+   */
+  async saveBrowserResponses(archiveId, pageUrl, captures) {
+    const options = this.getJobOptions(archiveId);
+    const primaryHost = this.getJobHost(archiveId);
+
+    for (const capture of captures) {
+      // Redirects are resolved when the target is captured
+      if (capture.status >= 300 && capture.status < 400) {
+        continue;
+      }
+      if (!this.isAssetAllowed(archiveId, new URL(capture.url), new URL(pageUrl))) {
+        continue;
+      }
+
+      const relativePath = this.getResponsePath(capture, primaryHost);
+      if (await storageService.fileExists(archiveId, relativePath)) {
+        continue;
+      }
+
+      const { kind, sizeLimit } = this.getResponseSizeLimit(options, capture.resourceType);
+      if (!capture.body || capture.body.length > sizeLimit) {
+        this.recordSkipped(archiveId, capture.url, `Exceeds ${kind} size limit of ${sizeLimit} bytes`, kind);
+        continue;
+      }
+
+      try {
+        await storageService.saveAsset(archiveId, capture.url, capture.body, relativePath, await this.toRevisit(archiveId, capture.url, capture));
+      } catch (error) {
+        console.error(`Failed to save browser response ${capture.url}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Archive path for a recorded response. Non-GET requests (e.g. POSTed
+   * fetch calls) get a suffix derived from the method and request body so
+   * they do not overwrite the GET response for the same URL.
+   * @param {Object} capture - Capture record
+   * @param {string} [primaryHost] - Host of the archive's start URL
+   * @returns {string} Relative path
+   */
+  getResponsePath(capture, primaryHost = null) {
+    const assetPath = this.getAssetPath(capture.url, primaryHost);
+    if (capture.method === 'GET') {
+      return assetPath;
     }
+
+    const hash = crypto.createHash('sha1')
+      .update(`${capture.method}\n${capture.requestBody || ''}`)
+      .digest('hex')
+      .substring(0, 8);
+    const ext = path.posix.extname(assetPath);
+    return `${assetPath.substring(0, assetPath.length - ext.length)}_${capture.method.toLowerCase()}_${hash}${ext}`;
   }
 
   /**
@@ -257,24 +827,31 @@ class ArchiverService {
       console.log(`Using HTTP fallback for: ${url}`);
       
       // Download page with HTTP client
-      const response = await this.downloadWithRetry(url, {
-        timeout: 15000,
+      const requestOptions = {
+        responseType: 'arraybuffer',
+        timeout: this.getJobOptions(archiveId).pageTimeout,
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; WebArchiver/1.0)',
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
           'Accept-Language': 'en-US,en;q=0.5',
           'Accept-Encoding': 'gzip, deflate',
           'Connection': 'keep-alive'
-        }
-      });
+        },
+        signal: this.getJobSignal(archiveId)
+      };
+      const response = await this.downloadWithRetry(url, requestOptions, 3, this.getBaseCapture(archiveId, url));
+      // A 304 is answered with the body stored by the base archive
+      const capture = await this.toRevisit(archiveId, url, this.captureFromAxios(response),
+        async () => this.captureFromAxios(await this.downloadWithRetry(url, requestOptions)));
 
       // Parse with Cheerio
-      const $ = cheerio.load(response.data);
+      const $ = cheerio.load(capture.body.toString('utf8'));
       const modifiedContent = await this.processPageContent($, archiveId, url);
 
-      // Save the page
-      const relativePath = this.getRelativePath(url);
-      storageService.savePage(archiveId, url, modifiedContent, relativePath);
+      // Save the page along with the original response
+      const relativePath = this.getRelativePath(url, this.getJobHost(archiveId));
+      this.throwIfStopped(archiveId);
+      await storageService.savePage(archiveId, url, modifiedContent, relativePath, capture);
 
       // Extract links for crawling
       $('a[href]').each((i, element) => {
@@ -287,6 +864,7 @@ class ArchiverService {
       return links;
 
     } catch (error) {
+      this.throwIfStopped(archiveId);
       console.error(`HTTP fallback also failed for ${url}:`, error.message);
       return [];
     }
@@ -302,35 +880,42 @@ class ArchiverService {
   async processPageContent($, archiveId, pageUrl) {
     const baseUrl = new URL(pageUrl);
 
-    // Process images
-    const imgPromises = [];
-    $('img[src]').each((i, element) => {
-      const src = $(element).attr('src');
-      if (src) {
-        imgPromises.push(this.downloadAndReplaceAsset($, element, 'src', src, archiveId, baseUrl));
-      }
+    // Process images, stylesheets, scripts, media, icons and preloads
+    const assetPromises = [];
+    ASSET_SOURCES.forEach(source => {
+      $(source.selector).each((i, element) => {
+        if (source.rel && !this.hasRel($(element), source.rel)) {
+          return;
+        }
+        const value = $(element).attr(source.attribute);
+        if (!value || value.startsWith('#')) {
+          return;
+        }
+        assetPromises.push(source.srcset
+          ? this.downloadAndReplaceSrcset($, element, source.attribute, value, archiveId, baseUrl)
+          : this.downloadAndReplaceAsset($, element, source.attribute, value, archiveId, baseUrl, source.kind));
+      });
     });
 
-    // Process CSS files
-    const cssPromises = [];
-    $('link[rel="stylesheet"][href]').each((i, element) => {
-      const href = $(element).attr('href');
-      if (href) {
-        cssPromises.push(this.downloadAndReplaceAsset($, element, 'href', href, archiveId, baseUrl));
-      }
-    });
+    // Wait for all assets to download
+    await Promise.allSettled(assetPromises);
 
-    // Process JavaScript files
-    const jsPromises = [];
-    $('script[src]').each((i, element) => {
-      const src = $(element).attr('src');
-      if (src) {
-        jsPromises.push(this.downloadAndReplaceAsset($, element, 'src', src, archiveId, baseUrl));
-      }
+    // Process inline CSS (<style> blocks and style="" attributes)
+    const pagePath = this.getRelativePath(pageUrl, this.getJobHost(archiveId));
+    const inlinePromises = [];
+    $('style').each((i, element) => {
+      inlinePromises.push(
+        this.processCss(archiveId, $(element).html() || '', pageUrl, pagePath, pageUrl, [])
+          .then(css => $(element).text(css))
+      );
     });
-
-    // Wait for all assets to download
-    await Promise.allSettled([...imgPromises, ...cssPromises, ...jsPromises]);
+    $('[style]').each((i, element) => {
+      inlinePromises.push(
+        this.processCss(archiveId, $(element).attr('style'), pageUrl, pagePath, pageUrl, [])
+          .then(css => $(element).attr('style', css))
+      );
+    });
+    await Promise.allSettled(inlinePromises);
 
     return $.html();
   }
@@ -343,28 +928,262 @@ class ArchiverService {
    * @param {string} assetUrl - Asset URL
    * @param {string} archiveId - Archive ID
    * @param {URL} baseUrl - Base URL for resolving relative URLs
+   * @param {string} [kind] - 'media' for audio/video/embedded objects
    */
-  async downloadAndReplaceAsset($, element, attribute, assetUrl, archiveId, baseUrl) {
+  async downloadAndReplaceAsset($, element, attribute, assetUrl, archiveId, baseUrl, kind = 'asset') {
     try {
-      // Resolve relative URLs
-      const absoluteUrl = new URL(assetUrl, baseUrl.href);
+      const href = await this.captureReference(archiveId, assetUrl, baseUrl, kind);
       
-      // Skip external assets (different domain)
-      if (absoluteUrl.hostname !== baseUrl.hostname) {
-        return;
+      // Update HTML reference
+      if (href) {
+        $(element).attr(attribute, href);
       }
 
-      // Generate local path for asset
-      const relativePath = this.getAssetPath(absoluteUrl.href);
-      
-      // Check if already downloaded
-      if (storageService.fileExists(archiveId, relativePath)) {
-        $(element).attr(attribute, relativePath);
-        return;
+    } catch (error) {
+      console.error(`Failed to download asset ${assetUrl}:`, error.message);
+    }
+  }
+
+  /**
+   * Download every candidate of a srcset/imagesrcset attribute and rewrite it
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} element - HTML element
+   * @param {string} attribute - Attribute name (srcset or imagesrcset)
+   * @param {string} srcset - Attribute value
+   * @param {string} archiveId - Archive ID
+   * @param {URL} baseUrl - Base URL for resolving relative URLs
+   */
+  async downloadAndReplaceSrcset($, element, attribute, srcset, archiveId, baseUrl) {
+    const candidates = this.parseSrcset(srcset);
+
+    const rewritten = await Promise.all(candidates.map(async candidate => {
+      try {
+        const href = await this.captureReference(archiveId, candidate.url, baseUrl, 'asset');
+        return { ...candidate, url: href || candidate.url };
+      } catch (error) {
+        console.error(`Failed to download asset ${candidate.url}:`, error.message);
+        return candidate;
+      }
+    }));
+
+    $(element).attr(attribute, rewritten
+      .map(candidate => (candidate.descriptor ? `${candidate.url} ${candidate.descriptor}` : candidate.url))
+      .join(', '));
+  }
+
+  /**
+   * Resolve, capture and build the archive-local href for an asset reference
+   * found in a page. Fragments (e.g. SVG sprite ids) are preserved.
+   * @param {string} archiveId - Archive ID
+   * @param {string} reference - Reference as written in the page
+   * @param {URL} baseUrl - Page URL
+   * @param {string} kind - 'asset' or 'media'
+   * @returns {Promise<string|null>} Rewritten href, or null to leave the reference alone
+   */
+  async captureReference(archiveId, reference, baseUrl, kind) {
+    // Resolve relative URLs
+    const absoluteUrl = new URL(reference, baseUrl.href);
+    const fragment = absoluteUrl.hash;
+    absoluteUrl.hash = '';
+
+    // Skip external assets the job's asset policy does not allow
+    if (!this.isAssetAllowed(archiveId, absoluteUrl, baseUrl)) {
+      return null;
+    }
+
+    const relativePath = await this.captureAsset(archiveId, absoluteUrl.href, baseUrl.href, { kind });
+    if (!relativePath) {
+      return null;
+    }
+
+    // Relative to the page's own location in the archive
+    return this.toArchiveHref(this.getRelativePath(baseUrl.href, this.getJobHost(archiveId)), relativePath) + fragment;
+  }
+
+  /**
+   * Parse a srcset attribute into its image candidates
+   * @param {string} srcset - srcset value
+   * @returns {Array} [{ url, descriptor }]
+   */
+  parseSrcset(srcset) {
+    const candidates = [];
+    let position = 0;
+
+    // Follows the HTML candidate parsing rules: the URL runs to the next
+    // whitespace (trailing commas end the candidate), descriptors to the next comma
+    while (position < srcset.length) {
+      while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+        position++;
+      }
+      const urlStart = position;
+      while (position < srcset.length && !/\s/.test(srcset[position])) {
+        position++;
+      }
+      let url = srcset.substring(urlStart, position);
+      let descriptor = '';
+
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        const descriptorEnd = srcset.indexOf(',', position);
+        const end = descriptorEnd === -1 ? srcset.length : descriptorEnd;
+        descriptor = srcset.substring(position, end).trim();
+        position = end + 1;
+      }
+
+      if (url) {
+        candidates.push({ url, descriptor });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Check whether a <link> element has one of the given rel tokens
+   */
+  hasRel(element, rels) {
+    const tokens = (element.attr('rel') || '').toLowerCase().split(/\s+/);
+    return tokens.some(token => rels.includes(token));
+  }
+
+  /**
+   * List the asset references of a page as written in its HTML
+   * @param {Object} $ - Cheerio instance of the page
+   * @returns {Array<string>} References, with srcset candidates listed one by one
+   */
+  getAssetReferences($) {
+    const references = [];
+    ASSET_SOURCES.forEach(source => {
+      $(source.selector).each((i, element) => {
+        if (source.rel && !this.hasRel($(element), source.rel)) {
+          return;
+        }
+        const value = $(element).attr(source.attribute);
+        if (!value || value.startsWith('#')) {
+          return;
+        }
+        if (source.srcset) {
+          this.parseSrcset(value).forEach(candidate => references.push(candidate.url));
+        } else {
+          references.push(value);
+        }
+      });
+    });
+    return references;
+  }
+
+  /**
+   * Whether an asset may be captured for a page under the job's asset policy
+   * @param {string} archiveId - Archive ID
+   * @param {URL} assetUrl - Absolute asset URL
+   * @param {URL} pageUrl - URL of the page referencing it
+   * @returns {boolean} Whether to capture the asset
+   */
+  isAssetAllowed(archiveId, assetUrl, pageUrl) {
+    if (!['http:', 'https:'].includes(assetUrl.protocol)) {
+      return false;
+    }
+    return isAssetHostAllowed(assetUrl.hostname, pageUrl.hostname, this.getJobOptions(archiveId));
+  }
+
+  /**
+   * Download and save an asset once per archive. Stylesheets are processed so
+   * the resources they reference are captured and rewritten too.
+   * @param {string} archiveId - Archive ID
+   * @param {string} assetUrl - Absolute asset URL
+   * @param {string} pageUrl - URL of the page the asset belongs to
+   * @param {Object} [details] - { kind: 'asset'|'media', cssChain: stylesheets being processed (cycle guard) }
+   * @returns {Promise<string|null>} Relative path of the saved asset, or null if it was skipped
+   */
+  async captureAsset(archiveId, assetUrl, pageUrl, { kind = 'asset', cssChain = [] } = {}) {
+    // Generate local path for asset
+    const relativePath = this.getAssetPath(assetUrl, this.getJobHost(archiveId));
+
+    // Share a download already in progress for another element or stylesheet
+    const job = this.activeJobs.get(archiveId);
+    if (job && job.pendingAssets.has(assetUrl)) {
+      return job.pendingAssets.get(assetUrl);
+    }
+
+    // Check if already downloaded
+    if (await storageService.fileExists(archiveId, relativePath)) {
+      return relativePath;
+    }
+    // Another element may have started the download while we were checking
+    if (job && job.pendingAssets.has(assetUrl)) {
+      return job.pendingAssets.get(assetUrl);
+    }
+
+    const options = this.getJobOptions(archiveId);
+    const sizeLimit = kind === 'media' ? options.maxMediaSize : options.maxAssetSize;
+
+    const pending = (async () => {
+      // Prefer what the browser itself received; download only what it never requested
+      let capture = this.getBrowserResponse(archiveId, assetUrl);
+      if (capture && (!capture.body || capture.body.length > sizeLimit)) {
+        this.recordSkipped(archiveId, assetUrl, `Exceeds ${kind} size limit of ${sizeLimit} bytes`, kind);
+        return null;
+      }
+
+      if (!capture) {
+        capture = await this.downloadAsset(archiveId, assetUrl, kind, sizeLimit);
+        if (!capture) {
+          return null;
+        }
+      }
+      capture = await this.toRevisit(archiveId, assetUrl, capture,
+        () => this.downloadAsset(archiveId, assetUrl, kind, sizeLimit, false));
+      if (!capture) {
+        return null;
+      }
+
+      let content = capture.body;
+      if (this.isStylesheet(capture, relativePath)) {
+        const css = capture.body.toString('utf8');
+        if (job) {
+          job.pendingStylesheets.add(assetUrl);
+        }
+        try {
+          content = await this.processCss(archiveId, css, assetUrl, relativePath, pageUrl, [...cssChain, assetUrl]);
+        } finally {
+          if (job) {
+            job.pendingStylesheets.delete(assetUrl);
+          }
+        }
+      }
+
+      // Save asset along with the original response
+      await storageService.saveAsset(archiveId, assetUrl, content, relativePath, capture);
+      return relativePath;
+    })();
+
+    if (job) {
+      job.pendingAssets.set(assetUrl, pending);
+    }
+    try {
+      return await pending;
+    } finally {
+      if (job) {
+        job.pendingAssets.delete(assetUrl);
       }
+    }
+  }
 
-      // Download asset with retry logic
-      const response = await this.downloadWithRetry(absoluteUrl.href, {
+  /**
+   * Download an asset over HTTP (for resources the browser did not load)
+   * @param {string} archiveId - Archive ID
+   * @param {string} assetUrl - Absolute asset URL
+   * @param {string} kind - 'asset' or 'media'
+   * @param {number} sizeLimit - Maximum size in bytes
+   * @param {boolean} [revalidate] - Make the request conditional on the base archive's capture
+   * @returns {Promise<Object|null>} Capture record, or null if the asset exceeds the size limit
+   */
+  async downloadAsset(archiveId, assetUrl, kind, sizeLimit, revalidate = true) {
+    // Download asset with retry logic
+    let response;
+    try {
+      response = await this.downloadWithRetry(assetUrl, {
         responseType: 'arraybuffer',
         timeout: 15000,
         headers: {
@@ -374,32 +1193,97 @@ class ArchiverService {
           'Connection': 'keep-alive'
         },
         maxRedirects: 5,
-        validateStatus: (status) => status < 400
-      });
-
-      // Save asset
-      storageService.saveAsset(archiveId, absoluteUrl.href, response.data, relativePath);
-      
-      // Update HTML reference
-      $(element).attr(attribute, relativePath);
-
+        maxContentLength: sizeLimit,
+        validateStatus: (status) => status < 400,
+        signal: this.getJobSignal(archiveId)
+      }, 3, revalidate ? this.getBaseCapture(archiveId, assetUrl) : null);
     } catch (error) {
-      console.error(`Failed to download asset ${assetUrl}:`, error.message);
+      if (this.isSizeLimitError(error)) {
+        this.recordSkipped(archiveId, assetUrl, `Exceeds ${kind} size limit of ${sizeLimit} bytes`, kind);
+        return null;
+      }
+      throw error;
     }
+
+    return this.captureFromAxios(response);
+  }
+
+  /**
+   * Capture everything a piece of CSS references (url() values, @import,
+   * @font-face sources) and rewrite the references to archive-local paths.
+   * References resolve against the stylesheet's own URL.
+   * @param {string} archiveId - Archive ID
+   * @param {string} css - Stylesheet text
+   * @param {string} cssUrl - URL the CSS was loaded from (the page URL for inline CSS)
+   * @param {string} cssPath - Archive path the CSS will be saved at (the page path for inline CSS)
+   * @param {string} pageUrl - URL of the page the stylesheet belongs to
+   * @param {Array<string>} cssChain - Stylesheets currently being processed (cycle guard)
+   * @returns {Promise<string>} Rewritten CSS
+   */
+  async processCss(archiveId, css, cssUrl, cssPath, pageUrl, cssChain) {
+    const replacements = new Map();
+    const baseUrl = new URL(pageUrl);
+    const job = this.activeJobs.get(archiveId);
+
+    await Promise.allSettled(findCssReferences(css).map(async reference => {
+      try {
+        const absoluteUrl = new URL(reference, cssUrl);
+        absoluteUrl.hash = '';
+        if (!this.isAssetAllowed(archiveId, absoluteUrl, baseUrl)) {
+          return;
+        }
+
+        // An @import cycle: point at the stylesheet without fetching it again. A stylesheet another
+        // element is processing may be waiting for this one (A imports B, B imports A), so never wait for it.
+        const cycle = cssChain.includes(absoluteUrl.href) || Boolean(job && job.pendingStylesheets.has(absoluteUrl.href));
+        const targetPath = cycle
+          ? this.getAssetPath(absoluteUrl.href, this.getJobHost(archiveId))
+          : await this.captureAsset(archiveId, absoluteUrl.href, pageUrl, { cssChain });
+
+        if (targetPath) {
+          replacements.set(reference, this.toArchiveHref(cssPath, targetPath));
+        }
+      } catch (error) {
+        console.error(`Failed to download CSS resource ${reference}:`, error.message);
+      }
+    }));
+
+    return rewriteCssReferences(css, reference => replacements.get(reference) || null);
+  }
+
+  /**
+   * Whether a captured asset is a stylesheet
+   */
+  isStylesheet(capture, relativePath) {
+    const contentType = String(capture.headers['content-type'] || '');
+    return contentType.includes('text/css') || path.extname(relativePath).toLowerCase() === '.css';
+  }
+
+  /**
+   * Build a reference from one archived file to another, relative to the
+   * referencing file's location so it resolves when served from /api/view
+   * @param {string} fromPath - Archive path of the referencing file
+   * @param {string} toPath - Archive path of the target
+   * @returns {string} Relative href
+   */
+  toArchiveHref(fromPath, toPath) {
+    return path.posix.relative(path.posix.dirname(fromPath), toPath) || path.posix.basename(toPath);
   }
 
   /**
    * Generate relative path for a page URL
    * @param {string} url - Page URL
+   * @param {string} [primaryHost] - Host of the archive's start URL; pages on other hosts are namespaced
    * @returns {string} Relative file path
    */
-  getRelativePath(url) {
+  getRelativePath(url, primaryHost = null) {
     const parsedUrl = new URL(url);
+    const prefix = this.getHostPrefix(parsedUrl, primaryHost);
     let pathname = parsedUrl.pathname;
     
     // Handle root path
     if (pathname === '/') {
-      return 'index.html';
+      return `${prefix}index.html`;
     }
     
     // Handle paths ending with /
@@ -413,17 +1297,19 @@ class ArchiverService {
     }
     
     // Remove leading slash and return
-    return pathname.startsWith('/') ? pathname.substring(1) : pathname;
+    return prefix + (pathname.startsWith('/') ? pathname.substring(1) : pathname);
   }
 
   /**
    * Generate asset path
    * @param {string} url - Asset URL
+   * @param {string} [primaryHost] - Host of the archive's start URL; assets from other hosts are namespaced
    * @returns {string} Relative asset path
    */
-  getAssetPath(url) {
+  getAssetPath(url, primaryHost = null) {
     const parsedUrl = new URL(url);
     let pathname = parsedUrl.pathname;
+    const assetsDir = path.posix.join('assets', this.getHostPrefix(parsedUrl, primaryHost));
     
     // Create assets directory structure
     const dir = path.dirname(pathname);
@@ -434,20 +1320,49 @@ class ArchiverService {
       const ext = path.extname(filename);
       const name = path.basename(filename, ext);
       const hash = Buffer.from(parsedUrl.search).toString('base64').replace(/[/+=]/g, '').substring(0, 8);
-      return path.join('assets', dir, `${name}_${hash}${ext}`).replace(/\\/g, '/');
+      return path.join(assetsDir, dir, `${name}_${hash}${ext}`).replace(/\\/g, '/');
     }
     
-    return path.join('assets', pathname).replace(/\\/g, '/');
+    return path.join(assetsDir, pathname).replace(/\\/g, '/');
+  }
+
+  /**
+   * Directory prefix keeping files from other origins apart, e.g. "_hosts/cdn.example.com/"
+   * @param {URL} parsedUrl - URL being stored
+   * @param {string} [primaryHost] - Host of the archive's start URL
+   * @returns {string} Prefix ('' for the primary host)
+   */
+  getHostPrefix(parsedUrl, primaryHost) {
+    if (!primaryHost || parsedUrl.host === primaryHost) {
+      return '';
+    }
+    return `_hosts/${parsedUrl.host.replace(/:/g, '_')}/`;
   }
 
   /**
    * Download with retry logic to handle socket hang up errors
    * @param {string} url - URL to download
-   * @param {Object} options - Axios options
+   * @param {Object} options - Axios options; options.signal aborts the download and any retries
    * @param {number} retries - Number of retries (default: 3)
+   * @param {Object} [previous] - Base archive capture of the URL (see getBaseCapture); its ETag and
+   *   Last-Modified make the request conditional, and a 304 Not Modified counts as success
    * @returns {Promise<Object>} Axios response
    */
-  async downloadWithRetry(url, options, retries = 3) {
+  async downloadWithRetry(url, options, retries = 3, previous = null) {
+    if (previous) {
+      const { headers } = previous.entry.capture;
+      const validateStatus = options.validateStatus || (status => status >= 200 && status < 300);
+      options = {
+        ...options,
+        headers: {
+          ...options.headers,
+          ...(headers.etag ? { 'If-None-Match': headers.etag } : {}),
+          ...(headers['last-modified'] ? { 'If-Modified-Since': headers['last-modified'] } : {})
+        },
+        validateStatus: status => status === 304 || validateStatus(status)
+      };
+    }
+
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
         const response = await httpClient.get(url, options);
@@ -455,7 +1370,8 @@ class ArchiverService {
       } catch (error) {
         console.warn(`Download attempt ${attempt}/${retries} failed for ${url}: ${error.message}`);
         
-        if (attempt === retries) {
+        // Oversized responses will not get smaller on retry, and aborted jobs want no more requests
+        if (attempt === retries || this.isSizeLimitError(error) || (options.signal && options.signal.aborted)) {
           throw error;
         }
         
@@ -466,15 +1382,255 @@ class ArchiverService {
     }
   }
 
+  /**
+   * Index the captures of the archive an incremental crawl compares against
+   * @param {Object} archive - Base archive record
+   * @returns {Object} { archiveId, captures: Map<url, page or asset record> }
+   */
+  indexBaseArchive(archive) {
+    const captures = new Map();
+    [...(archive.pages || []), ...(archive.assets || [])].forEach(entry => {
+      const { capture } = entry;
+      // Only successful GETs can be revalidated or reused
+      if (capture && (capture.method || 'GET') === 'GET' && capture.status >= 200 && capture.status < 300 && !captures.has(entry.url)) {
+        captures.set(entry.url, entry);
+      }
+    });
+    return { archiveId: archive.id, captures };
+  }
+
+  /**
+   * Look up the base archive's capture of a URL
+   * @param {string} archiveId - Archive ID of the running job
+   * @param {string} url - Absolute URL
+   * @returns {Object|null} { archiveId, entry }, or null outside incremental crawls or for URLs the base lacks
+   */
+  getBaseCapture(archiveId, url) {
+    const job = this.activeJobs.get(archiveId);
+    const entry = job && job.base && job.base.captures.get(url);
+    return entry ? { archiveId: job.base.archiveId, entry } : null;
+  }
+
+  /**
+   * Turn a capture that is unchanged since the base archive into a revisit: a
+   * reference to the body the base archive already stores. A 304 response
+   * takes the base capture's status, headers and body; if that body can no
+   * longer be read, the resource is fetched again without revalidation.
+   * @param {string} archiveId - Archive ID of the running job
+   * @param {string} url - Absolute URL of the capture
+   * @param {Object|null} capture - Capture record
+   * @param {Function} [refetch] - Downloads the resource unconditionally, resolving to a capture (or null)
+   * @returns {Promise<Object|null>} The capture, with a revisit reference if it is unchanged
+   */
+  async toRevisit(archiveId, url, capture, refetch = null) {
+    const previous = capture && this.getBaseCapture(archiveId, url);
+    if (!previous) {
+      return capture;
+    }
+
+    const base = previous.entry.capture;
+    let body;
+    try {
+      body = await storageService.readOriginal(previous.archiveId, base);
+    } catch (error) {
+      console.warn(`Cannot reuse ${url} from archive ${previous.archiveId}: ${error.message}`);
+      if (capture.status !== 304) {
+        return capture;
+      }
+      // A 304 has no body of its own, so saving it as is would leave an empty capture
+      if (!refetch) {
+        throw new Error(`Not modified since archive ${previous.archiveId}, whose copy of ${url} is unavailable`);
+      }
+      return refetch();
+    }
+
+    const notModified = capture.status === 304;
+    if (!notModified && (capture.status !== base.status || sha1Base32(capture.body) !== sha1Base32(body))) {
+      return capture;
+    }
+
+    // Point straight at the archive holding the bytes, even if the base capture was a revisit itself
+    const revisit = {
+      archiveId: previous.archiveId,
+      capturedAt: base.revisit ? base.revisit.capturedAt : base.capturedAt,
+      reason: notModified ? 'not-modified' : 'identical-digest',
+      originalArchiveId: base.originalArchiveId || previous.archiveId,
+      originalPath: base.originalPath
+    };
+
+    return notModified
+      ? { ...capture, status: base.status, statusText: base.statusText, headers: base.headers, body, revisit }
+      : { ...capture, revisit };
+  }
+
+  /**
+   * Count the resources of an incremental crawl that were new, changed or
+   * unchanged (revisited) compared with the base archive
+   * @param {string} archiveId - Archive ID of the running job
+   * @returns {Object|null} { baseArchiveId, new, changed, revisited }, or null for a full crawl
+   */
+  summarizeIncremental(archiveId) {
+    const job = this.activeJobs.get(archiveId);
+    const archive = storageService.getArchive(archiveId);
+    if (!job || !job.base || !archive) {
+      return null;
+    }
+
+    const summary = { baseArchiveId: job.base.archiveId, new: 0, changed: 0, revisited: 0 };
+    [...(archive.pages || []), ...(archive.assets || [])].forEach(entry => {
+      if (entry.capture && entry.capture.revisit) {
+        summary.revisited++;
+      } else if (job.base.captures.has(entry.url)) {
+        summary.changed++;
+      } else {
+        summary.new++;
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Whether a download failed because it exceeded maxContentLength
+   */
+  isSizeLimitError(error) {
+    return /maxContentLength/.test(error.message || '');
+  }
+
+  /**
+   * Build a capture record (original request/response) from an axios response
+   * @param {Object} response - Axios response
+   * @returns {Object} Capture record for storageService
+   */
+  captureFromAxios(response) {
+    return {
+      method: (response.config.method || 'get').toUpperCase(),
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.normalizeHeaders(response.headers),
+      requestHeaders: this.normalizeHeaders(response.config.headers),
+      body: Buffer.from(response.data),
+      capturedAt: new Date().toISOString(),
+      source: 'http'
+    };
+  }
+
+  /**
+   * Size limit that applies to a browser response of a given resource type
+   * @param {Object} options - Crawl options
+   * @param {string} [resourceType] - Puppeteer resource type
+   * @returns {Object} { kind: 'asset' or 'media', sizeLimit }
+   */
+  getResponseSizeLimit(options, resourceType) {
+    const kind = ['media', 'object'].includes(resourceType) ? 'media' : 'asset';
+    return { kind, sizeLimit: kind === 'media' ? options.maxMediaSize : options.maxAssetSize };
+  }
+
+  /**
+   * Build a capture record (original request/response) from a Puppeteer response
+   * @param {Object} response - Puppeteer HTTPResponse
+   * @param {number} [startedAt] - Time the request was sent (ms since epoch)
+   * @param {number} [timeout] - How long to wait for the body (ms)
+   * @param {Object} [limits] - Crawl options whose size limits apply; a body declared larger than
+   *   its limit is not read, and the capture has a null body
+   * @returns {Promise<Object|null>} Capture record, or null if the body is unavailable
+   */
+  async captureFromPuppeteer(response, startedAt = null, timeout = DEFAULT_CRAWL_OPTIONS.pageTimeout, limits = null) {
+    // Server-sent event streams never end, so there is no whole body to keep
+    if (/^text\/event-stream/i.test(response.headers()['content-type'] || '')) {
+      return null;
+    }
+
+    try {
+      const request = response.request();
+      const status = response.status();
+      const { sizeLimit } = limits ? this.getResponseSizeLimit(limits, request.resourceType()) : {};
+      const declaredSize = Number(response.headers()['content-length']);
+      let body = null;
+      try {
+        // Oversized bodies would be held in memory only to be discarded
+        if (!(declaredSize > sizeLimit)) {
+          body = await this.readResponseBody(response, timeout);
+        }
+      } catch (error) {
+        // Redirects have no body to read
+        if (status < 300 || status >= 400) {
+          throw error;
+        }
+        body = Buffer.alloc(0);
+      }
+      const capturedAt = new Date();
+
+      return {
+        url: response.url(),
+        method: request.method(),
+        status,
+        statusText: response.statusText(),
+        headers: this.normalizeHeaders(response.headers()),
+        requestHeaders: this.normalizeHeaders(request.headers()),
+        requestBody: request.postData(),
+        body,
+        capturedAt: capturedAt.toISOString(),
+        source: 'browser',
+        resourceType: request.resourceType(),
+        timing: {
+          startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+          durationMs: startedAt ? capturedAt.getTime() - startedAt : null,
+          fromCache: response.fromCache()
+        }
+      };
+    } catch (error) {
+      console.warn(`Could not capture original response for ${response.url()}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read the body of a Puppeteer response, giving up after a timeout: a
+   * long-polling or stalled response would otherwise never finish
+   * @param {Object} response - Puppeteer HTTPResponse
+   * @param {number} timeout - Time limit (ms)
+   * @returns {Promise<Buffer>} Body
+   */
+  async readResponseBody(response, timeout) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Body not received within ${timeout} ms`)), timeout);
+    });
+    try {
+      return await Promise.race([response.buffer(), expired]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Convert axios/Puppeteer headers into a plain object with lowercase names
+   * @param {Object} headers - Headers object
+   * @returns {Object} Plain header map
+   */
+  normalizeHeaders(headers) {
+    const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+    const normalized = {};
+
+    for (const [name, value] of Object.entries(plain)) {
+      if (value === undefined || value === null || typeof value === 'object' && !Array.isArray(value)) {
+        continue;
+      }
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value.map(String) : String(value);
+    }
+
+    return normalized;
+  }
+
   /**
    * Get job status
    * @param {string} jobId - Job ID (archive ID)
-   * @returns {Object} Job status
+   * @returns {Object|null} Job status (error is why the crawl failed or was interrupted), or null if there is no such job
    */
   getJobStatus(jobId) {
     const archive = storageService.getArchive(jobId);
     if (!archive) {
-      return { error: 'Job not found' };
+      return null;
     }
 
     return {
@@ -483,8 +1639,13 @@ class ArchiverService {
       url: archive.url,
       domain: archive.domain,
       timestamp: archive.timestamp,
-      pagesArchived: archive.pagesArchived || 0,
-      error: archive.error
+      // Counted as pages are saved until the crawl finishes
+      pagesArchived: archive.pagesArchived || (archive.pages || []).length,
+      options: archive.options,
+      baseArchiveId: archive.baseArchiveId || null,
+      incremental: archive.incremental || null,
+      queue: jobQueue.getJob(jobId),
+      error: archive.error || null
     };
   }
 }
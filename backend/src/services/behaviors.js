@@ -0,0 +1,154 @@
+const { BEHAVIORS } = require('../utils/crawlOptions');
+
+// How long to let the page settle after a scroll or click (ms)
+const SETTLE_DELAY = 500;
+const NETWORK_IDLE = { idleTime: 500, timeout: 10000 };
+
+class BehaviorService {
+  /**
+   * Run the job's page behaviors in a fixed order so lazy content is
+   * present before the DOM is serialized
+   * @param {Object} page - Puppeteer page
+   * @param {Object} options - Validated crawl options
+   * @returns {Promise<Array<Object>>} Steps that ran: { behavior, durationMs, ...details }
+   */
+  async run(page, options) {
+    const steps = [];
+
+    for (const behavior of BEHAVIORS) {
+      if (!options.behaviors.includes(behavior)) {
+        continue;
+      }
+      if (behavior === 'click' && options.clickSelectors.length === 0) {
+        continue;
+      }
+
+      const startedAt = Date.now();
+      let details;
+      try {
+        details = await this[behavior](page, options);
+      } catch (error) {
+        details = { error: error.message };
+      }
+      steps.push({ behavior, durationMs: Date.now() - startedAt, ...details });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Scroll to the bottom until the page height stops growing (infinite scroll)
+   */
+  async autoscroll(page, options) {
+    let height = await page.evaluate(() => document.body.scrollHeight);
+    let scrolls = 0;
+    let stable = false;
+
+    while (scrolls < options.maxScrolls) {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      scrolls++;
+      await this.settle(page);
+
+      const newHeight = await page.evaluate(() => document.body.scrollHeight);
+      if (newHeight <= height) {
+        stable = true;
+        break;
+      }
+      height = newHeight;
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    return { scrolls, finalHeight: height, reachedEnd: stable };
+  }
+
+  /**
+   * Promote lazy-loading images, sources and frames to eager loading
+   */
+  async lazyload(page) {
+    const promoted = await page.evaluate(() => {
+      let count = 0;
+      const promote = (element, from, to) => {
+        const value = element.getAttribute(from);
+        if (value && element.getAttribute(to) !== value) {
+          element.setAttribute(to, value);
+          count++;
+        }
+      };
+
+      document.querySelectorAll('img, source, iframe, video').forEach(element => {
+        promote(element, 'data-src', 'src');
+        promote(element, 'data-lazy-src', 'src');
+        promote(element, 'data-srcset', 'srcset');
+        promote(element, 'data-lazy-srcset', 'srcset');
+        if (element.getAttribute('loading') === 'lazy') {
+          element.setAttribute('loading', 'eager');
+          count++;
+        }
+      });
+
+      return count;
+    });
+
+    if (promoted > 0) {
+      await this.waitForNetworkIdle(page);
+    }
+    return { promoted };
+  }
+
+  /**
+   * Click "load more"-style elements until they disappear or the cap is reached
+   */
+  async click(page, options) {
+    const clicks = {};
+
+    for (const selector of options.clickSelectors) {
+      clicks[selector] = 0;
+      while (clicks[selector] < options.maxClicks) {
+        const handle = await page.$(selector);
+        if (!handle) {
+          break;
+        }
+        // Hidden or detached elements cannot be clicked
+        const box = await handle.boundingBox();
+        if (!box) {
+          await handle.dispose();
+          break;
+        }
+        await handle.click();
+        await handle.dispose();
+        clicks[selector]++;
+        await this.waitForNetworkIdle(page);
+      }
+    }
+
+    return { clicks };
+  }
+
+  /**
+   * Wait until no requests have been in flight for a moment
+   */
+  async networkidle(page) {
+    return { idle: await this.waitForNetworkIdle(page) };
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the network went idle before the timeout
+   */
+  async waitForNetworkIdle(page) {
+    try {
+      await page.waitForNetworkIdle(NETWORK_IDLE);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Give the page a moment to react to a scroll
+   */
+  async settle(page) {
+    await page.waitForNetworkIdle({ idleTime: SETTLE_DELAY, timeout: NETWORK_IDLE.timeout }).catch(() => {});
+  }
+}
+
+module.exports = new BehaviorService();
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../db');
+const storageDriver = require('../drivers');
+const { createKeyedQueue } = require('../utils/queue');
+
+const BLOB_PREFIX = 'blobs/sha256/';
+
+/**
+ * Content-addressed store shared by all archives: each distinct body is kept
+ * once in the storage driver under blobs/sha256/<xx>/<hex>. Which archive
+ * paths refer to a blob is recorded in the manifest_entries table, and the
+ * blob_refs table counts them; a blob without references is deleted.
+ */
+class BlobService {
+  constructor() {
+    // Writing and deleting the same blob must not interleave
+    this.queue = createKeyedQueue();
+    this.holds = new Map(); // digest -> stores that wrote the blob but have not recorded their reference yet
+  }
+
+  /**
+   * Write content to the store unless an identical blob already exists, then
+   * let the caller record its references. Until `record` returns, the blobs
+   * are not deleted even though nothing refers to them yet.
+   * @param {Array<Buffer|string>} contents - Contents to store
+   * @param {Function} record - (blobs) => result; records the references in the database
+   * @returns {Promise<*>} What record returned
+   */
+  async store(contents, record) {
+    const blobs = contents.map(content => {
+      const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+      return { buffer, digest: `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`, size: buffer.length };
+    });
+
+    blobs.forEach(({ digest }) => this.holds.set(digest, (this.holds.get(digest) || 0) + 1));
+    try {
+      for (const { buffer, digest } of blobs) {
+        await this.queue(digest, async () => {
+          const key = this.getKey(digest);
+          if (!(await storageDriver.exists(key))) {
+            await storageDriver.put(key, buffer);
+          }
+        });
+      }
+      return record(blobs.map(({ digest, size }) => ({ digest, size })));
+    } finally {
+      blobs.forEach(({ digest }) => {
+        const holds = this.holds.get(digest) - 1;
+        if (holds > 0) {
+          this.holds.set(digest, holds);
+        } else {
+          this.holds.delete(digest);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the storage key of a blob
+   * @param {string} digest - "sha256:<hex>"
+   * @returns {string} Storage key
+   */
+  getKey(digest) {
+    const hex = digest.replace(/^sha256:/, '');
+    return `${BLOB_PREFIX}${hex.substring(0, 2)}/${hex}`;
+  }
+
+  /**
+   * Delete the blobs nothing refers to any more, e.g. after their manifest
+   * entries were removed
+   * @param {Iterable<string>} digests - Blob digests to check
+   * @returns {Promise<number>} Number of blobs deleted
+   */
+  async collect(digests) {
+    const referenced = db.prepare('SELECT 1 FROM blob_refs WHERE digest = ?');
+    let deleted = 0;
+
+    for (const digest of new Set(digests)) {
+      await this.queue(digest, async () => {
+        if (this.holds.has(digest) || referenced.get(digest)) {
+          return;
+        }
+        await storageDriver.delete(this.getKey(digest));
+        deleted++;
+      });
+    }
+    return deleted;
+  }
+
+  /**
+   * Recount all references from the manifests and delete every stored blob
+   * nothing refers to, such as one written by a store that never recorded it
+   * @returns {Promise<number>} Number of unreferenced blobs deleted
+   */
+  async sweep() {
+    db.transaction(() => {
+      db.prepare('DELETE FROM blob_refs').run();
+      db.prepare('INSERT INTO blob_refs (digest, refs) SELECT digest, COUNT(*) FROM manifest_entries GROUP BY digest').run();
+    })();
+
+    const blobs = await storageDriver.list(BLOB_PREFIX);
+    return this.collect(blobs.map(({ key }) => `sha256:${path.posix.basename(key)}`));
+  }
+
+  /**
+   * Total size of the stored blobs
+   * @returns {Promise<Object>} { blobs, bytes }
+   */
+  async getStats() {
+    const blobs = await storageDriver.list(BLOB_PREFIX);
+    return { blobs: blobs.length, bytes: blobs.reduce((total, blob) => total + blob.size, 0) };
+  }
+}
+
+module.exports = new BlobService();
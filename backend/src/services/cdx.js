@@ -0,0 +1,309 @@
+const { URL } = require('url');
+const db = require('../db');
+const { toSurt } = require('../utils/surt');
+const { toTimestamp14, expandTimestamp } = require('../utils/timestamp');
+const { getUnsafePatternReason } = require('../utils/regex');
+
+const MATCH_TYPES = ['exact', 'prefix', 'host', 'domain'];
+const OUTPUTS = ['cdxj', 'json'];
+const DEFAULT_LIMIT = 10000;
+
+// Query field names (Wayback CDX server names and our CDXJ names) -> row property
+const FIELDS = {
+  urlkey: 'urlkey',
+  timestamp: 'timestamp',
+  original: 'url',
+  url: 'url',
+  mimetype: 'mime',
+  mime: 'mime',
+  statuscode: 'status',
+  status: 'status',
+  digest: 'digest',
+  length: 'length',
+  archive: 'archive'
+};
+
+// Column order of output=json (Wayback style: a header row, then one array per capture)
+const JSON_COLUMNS = [
+  ['urlkey', 'urlkey'],
+  ['timestamp', 'timestamp'],
+  ['original', 'url'],
+  ['mimetype', 'mime'],
+  ['statuscode', 'status'],
+  ['digest', 'digest'],
+  ['length', 'length'],
+  ['archive', 'archive'],
+  ['path', 'path']
+];
+
+/**
+ * CDX index over every capture in every archive, kept in the cdx_entries
+ * table and served as CDXJ or Wayback-style JSON, sorted by SURT key and
+ * timestamp
+ */
+class CdxIndexService {
+  /**
+   * Whether the index holds no captures at all
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return !db.prepare('SELECT 1 FROM cdx_entries LIMIT 1').get();
+  }
+
+  /**
+   * Add one capture to the index
+   * @param {Object} record - { url, timestamp, mime, status, digest, length, archive, path }
+   */
+  add(record) {
+    db.prepare(`
+      INSERT INTO cdx_entries (urlkey, timestamp, url, mime, status, digest, length, archive_id, path)
+      VALUES (@urlkey, @timestamp, @url, @mime, @status, @digest, @length, @archive, @path)
+    `).run(this.toRow(record));
+  }
+
+  /**
+   * Replace the whole index
+   * @param {Array<Object>} records - Capture records (see add)
+   */
+  replaceAll(records) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM cdx_entries').run();
+      records.forEach(record => this.add(record));
+    })();
+  }
+
+  /**
+   * Drop every capture of an archive from the index
+   * @param {string} archiveId - Archive ID
+   */
+  removeArchive(archiveId) {
+    db.prepare('DELETE FROM cdx_entries WHERE archive_id = ?').run(archiveId);
+  }
+
+  /**
+   * Drop the captures of one archive path from the index
+   * @param {string} archiveId - Archive ID
+   * @param {string} path - Archive path of the page or asset
+   */
+  removeCapture(archiveId, path) {
+    db.prepare('DELETE FROM cdx_entries WHERE archive_id = ? AND path = ?').run(archiveId, path);
+  }
+
+  /**
+   * Validate CDX query parameters
+   * @param {Object} query - Request query ({ url, matchType, from, to, filter, collapse, limit, output })
+   * @returns {Object} { params, errors }
+   */
+  parseQuery(query) {
+    const errors = [];
+    const params = {
+      matchType: query.matchType || 'exact',
+      output: query.output || 'cdxj',
+      filters: [],
+      collapse: null,
+      limit: DEFAULT_LIMIT
+    };
+
+    let url = typeof query.url === 'string' ? query.url.trim() : '';
+    if (!url) {
+      errors.push('url is required');
+    } else if (url.endsWith('*') && !query.matchType) {
+      // Wayback shorthand: example.com/path* means a prefix query
+      url = url.slice(0, -1);
+      params.matchType = 'prefix';
+    }
+    try {
+      params.url = url && new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).href;
+    } catch (error) {
+      errors.push(`Invalid url: ${url}`);
+    }
+
+    if (!MATCH_TYPES.includes(params.matchType)) {
+      errors.push(`matchType must be one of: ${MATCH_TYPES.join(', ')}`);
+    }
+    if (!OUTPUTS.includes(params.output)) {
+      errors.push(`output must be one of: ${OUTPUTS.join(', ')}`);
+    }
+
+    // Partial timestamps cover their whole period: from=2025 starts on Jan 1, to=2025 ends on Dec 31
+    ['from', 'to'].forEach(key => {
+      if (query[key] === undefined || query[key] === '') {
+        return;
+      }
+      params[key] = expandTimestamp(String(query[key]), key === 'to');
+      if (!params[key]) {
+        errors.push(`${key} must be a timestamp of 1 to 14 digits (YYYYMMDDhhmmss)`);
+      }
+    });
+
+    const filters = query.filter === undefined ? [] : [].concat(query.filter);
+    filters.forEach(filter => {
+      const match = String(filter).match(/^(!?)([a-z]+):(.*)$/);
+      if (!match || !FIELDS[match[2]]) {
+        errors.push(`Invalid filter "${filter}". Use [!]field:regex with field one of: ${Object.keys(FIELDS).join(', ')}`);
+        return;
+      }
+      let pattern;
+      try {
+        pattern = new RegExp(`^(?:${match[3]})$`);
+      } catch (error) {
+        errors.push(`Invalid filter pattern "${match[3]}": ${error.message}`);
+        return;
+      }
+      // Filters run against every row in range, so one that backtracks badly would stall the server
+      const unsafe = getUnsafePatternReason(match[3]);
+      if (unsafe) {
+        errors.push(`Invalid filter pattern "${match[3]}": ${unsafe}`);
+      } else {
+        params.filters.push({ negate: match[1] === '!', field: FIELDS[match[2]], pattern });
+      }
+    });
+
+    if (query.collapse !== undefined) {
+      const match = String(query.collapse).match(/^([a-z]+)(?::(\d+))?$/);
+      if (!match || !FIELDS[match[1]]) {
+        errors.push(`collapse must be field or field:N with field one of: ${Object.keys(FIELDS).join(', ')}`);
+      } else {
+        params.collapse = { field: FIELDS[match[1]], length: match[2] ? Number(match[2]) : null };
+      }
+    }
+
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit === 0 || Math.abs(limit) > DEFAULT_LIMIT) {
+        errors.push(`limit must be a non-zero integer between -${DEFAULT_LIMIT} and ${DEFAULT_LIMIT} (negative for the last N)`);
+      } else {
+        params.limit = limit;
+      }
+    }
+
+    return { params, errors };
+  }
+
+  /**
+   * Look up captures, in SURT/timestamp order
+   * @param {Object} params - Result of parseQuery
+   * @returns {Array<Object>} Rows { urlkey, timestamp, url, mime, status, digest, length, archive, path }
+   */
+  query(params) {
+    const key = toSurt(params.url);
+    const host = key.substring(0, key.indexOf(')'));
+    // The range of keys to scan; matchesKey narrows it down
+    const start = {
+      exact: key,
+      prefix: key,
+      host,
+      domain: host
+    }[params.matchType];
+
+    const matchesKey = urlkey => {
+      switch (params.matchType) {
+        case 'prefix':
+          return urlkey.startsWith(key);
+        case 'host':
+          return urlkey.startsWith(`${host})`);
+        case 'domain':
+          return urlkey.startsWith(`${host})`) || urlkey.startsWith(`${host},`);
+        default:
+          return urlkey === key;
+      }
+    };
+
+    const bindings = params.matchType === 'exact' ? { start } : { start, end: this.prefixEnd(start) };
+    const conditions = params.matchType === 'exact' ? ['urlkey = @start'] : ['urlkey >= @start', 'urlkey < @end'];
+    ['from', 'to'].filter(bound => params[bound]).forEach(bound => {
+      conditions.push(`timestamp ${bound === 'from' ? '>=' : '<='} @${bound}`);
+      bindings[bound] = params[bound];
+    });
+    const statement = db.prepare(`
+      SELECT urlkey, timestamp, url, mime, status, digest, length, archive_id, path FROM cdx_entries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY urlkey, timestamp, id
+    `);
+
+    const rows = [];
+    for (const entry of statement.iterate(bindings)) {
+      const row = this.toRecord(entry);
+      if (!matchesKey(row.urlkey)) {
+        continue;
+      }
+      if (!params.filters.every(filter => filter.pattern.test(String(row[filter.field] || '')) !== filter.negate)) {
+        continue;
+      }
+      if (params.collapse && rows.length > 0) {
+        const value = r => String(r[params.collapse.field] || '').substring(0, params.collapse.length || undefined);
+        if (value(rows[rows.length - 1]) === value(row)) {
+          continue;
+        }
+      }
+      rows.push(row);
+      // The first N need no more rows; the last N need them all
+      if (params.limit > 0 && rows.length === params.limit) {
+        break;
+      }
+    }
+
+    return params.limit > 0 ? rows : rows.slice(params.limit);
+  }
+
+  /**
+   * Format query results
+   * @param {Array<Object>} rows - Result of query
+   * @param {string} output - 'cdxj' or 'json'
+   * @returns {string|Array} CDXJ text or Wayback-style JSON rows
+   */
+  format(rows, output) {
+    if (output === 'json') {
+      return [
+        JSON_COLUMNS.map(([name]) => name),
+        ...rows.map(row => JSON_COLUMNS.map(([, field]) => (row[field] === undefined ? '' : String(row[field]))))
+      ];
+    }
+    return rows
+      .map(({ urlkey, timestamp, ...fields }) => `${urlkey} ${timestamp} ${JSON.stringify(fields)}\n`)
+      .join('');
+  }
+
+  /**
+   * Turn a capture record into a cdx_entries row
+   */
+  toRow(record) {
+    return {
+      urlkey: toSurt(record.url),
+      timestamp: toTimestamp14(record.timestamp),
+      url: record.url,
+      mime: record.mime,
+      status: String(record.status),
+      digest: record.digest,
+      length: String(record.length),
+      archive: record.archive,
+      path: record.path
+    };
+  }
+
+  /**
+   * Turn a cdx_entries row into a result row (field order as in CDXJ output)
+   */
+  toRecord(row) {
+    return {
+      urlkey: row.urlkey,
+      timestamp: row.timestamp,
+      url: row.url,
+      mime: row.mime,
+      status: row.status,
+      digest: row.digest,
+      length: row.length,
+      archive: row.archive_id,
+      path: row.path
+    };
+  }
+
+  /**
+   * Smallest string after every string starting with a prefix
+   */
+  prefixEnd(prefix) {
+    return prefix.slice(0, -1) + String.fromCharCode(prefix.charCodeAt(prefix.length - 1) + 1);
+  }
+}
+
+module.exports = new CdxIndexService();
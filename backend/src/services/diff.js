@@ -0,0 +1,276 @@
+const cheerio = require('cheerio');
+const path = require('path');
+const { URL } = require('url');
+const storageService = require('./storage');
+const archiverService = require('./archiver');
+const mementoService = require('./memento');
+const { extractBlocks } = require('../utils/text');
+const { diffSequences, diffWords } = require('../utils/diff');
+const { sha1Base32 } = require('../utils/digest');
+const { fromTimestamp14 } = require('../utils/timestamp');
+
+// Removed and added blocks sharing at least this share of their words are
+// shown as one changed block with word-level changes
+const CHANGED_BLOCK_SIMILARITY = 0.4;
+
+class DiffService {
+  /**
+   * Validate diff parameters
+   * @param {Object} query - Request query ({ url, from, to }); from/to are archive IDs or timestamps (1-14 digits)
+   * @returns {Object} { params, errors }
+   */
+  parseQuery(query) {
+    const errors = [];
+    const params = {};
+
+    try {
+      const url = new URL(String(query.url || ''));
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Not an http(s) URL');
+      }
+      url.hash = '';
+      params.url = url.href;
+    } catch (error) {
+      errors.push('url must be an absolute http(s) URL');
+    }
+
+    ['from', 'to'].forEach(key => {
+      const value = String(query[key] || '').trim();
+      if (!value) {
+        errors.push(`${key} is required (an archive ID or a timestamp)`);
+      } else if (/^\d{1,14}$/.test(value)) {
+        params[key] = { date: fromTimestamp14(value) };
+        if (!params[key].date) {
+          errors.push(`${key} is not a valid timestamp`);
+        }
+      } else {
+        params[key] = { archiveId: value };
+      }
+    });
+
+    return { params, errors };
+  }
+
+  /**
+   * Pick the capture a from/to parameter refers to
+   * @param {Array<Object>} captures - Result of StorageService#getPageCaptures
+   * @param {Object} selector - { archiveId } or { date }
+   * @returns {Object|null} Capture
+   */
+  selectCapture(captures, selector) {
+    if (selector.archiveId) {
+      return captures.find(capture => capture.archiveId === selector.archiveId) || null;
+    }
+    return mementoService.selectCapture(captures, selector.date);
+  }
+
+  /**
+   * Compare two captures of the same page
+   * @param {string} url - Original page URL
+   * @param {Object} from - Older capture { archiveId, path, capturedAt }
+   * @param {Object} to - Newer capture
+   * @returns {Promise<Object>} { url, from, to, summary, text, links, assets }
+   */
+  async diff(url, from, to) {
+    const before = await this.loadSnapshot(url, from);
+    const after = await this.loadSnapshot(url, to);
+
+    const text = this.diffText(before.blocks, after.blocks);
+    const links = this.diffMaps(before.links, after.links,
+      (linkUrl, fromText, toText) => ({ url: linkUrl, fromText, toText }),
+      (linkUrl, linkText) => ({ url: linkUrl, text: linkText }));
+    const assets = this.diffMaps(before.assets, after.assets,
+      (assetUrl, fromAsset, toAsset) => ({ url: assetUrl, fromPath: fromAsset.path, toPath: toAsset.path }),
+      (assetUrl, asset) => ({ url: assetUrl, path: asset.path }),
+      (fromAsset, toAsset) => fromAsset.digest === toAsset.digest);
+
+    const count = type => text.filter(block => block.type === type).length;
+
+    return {
+      url,
+      from: { archiveId: from.archiveId, path: from.path, capturedAt: from.capturedAt },
+      to: { archiveId: to.archiveId, path: to.path, capturedAt: to.capturedAt },
+      summary: {
+        blocksAdded: count('added'),
+        blocksRemoved: count('removed'),
+        blocksChanged: count('changed'),
+        linksAdded: links.added.length,
+        linksRemoved: links.removed.length,
+        linksChanged: links.changed.length,
+        assetsAdded: assets.added.length,
+        assetsRemoved: assets.removed.length,
+        assetsChanged: assets.changed.length
+      },
+      text,
+      links,
+      assets
+    };
+  }
+
+  /**
+   * Read a saved page and pull out what the diff compares
+   * @returns {Promise<Object>} { blocks, links: Map<url, text>, assets: Map<url, { path, digest }> }
+   */
+  async loadSnapshot(url, capture) {
+    const archive = storageService.getArchive(capture.archiveId);
+    const content = await storageService.readFile(capture.archiveId, capture.path);
+    if (!content) {
+      throw new Error(`${capture.path} is missing from archive ${capture.archiveId}`);
+    }
+    const html = content.toString('utf8');
+    const $ = cheerio.load(html);
+
+    return {
+      blocks: extractBlocks(html),
+      links: this.collectLinks($, url),
+      assets: await this.collectAssets($, archive, capture.path)
+    };
+  }
+
+  /**
+   * Hyperlinks of a page, by absolute URL (without fragment)
+   */
+  collectLinks($, pageUrl) {
+    let baseUrl = new URL(pageUrl);
+    try {
+      baseUrl = new URL($('base[href]').first().attr('href') || pageUrl, pageUrl);
+    } catch (error) {
+      // Browsers ignore an invalid base URL
+    }
+
+    const links = new Map();
+    $('a[href], area[href]').each((i, element) => {
+      try {
+        const target = new URL($(element).attr('href').trim(), baseUrl);
+        if (!['http:', 'https:'].includes(target.protocol)) {
+          return;
+        }
+        target.hash = '';
+        const text = $(element).text().replace(/\s+/g, ' ').trim();
+        // Several links to one URL: keep the first that has text
+        if (!links.get(target.href)) {
+          links.set(target.href, text);
+        }
+      } catch (error) {
+        // Unparseable href
+      }
+    });
+    return links;
+  }
+
+  /**
+   * Assets a page references, by original URL. Archived assets carry their
+   * archive path and a content digest; references that were not captured have neither.
+   */
+  async collectAssets($, archive, pagePath) {
+    const entriesByPath = new Map((archive.assets || []).map(entry => [entry.path, entry]));
+    const assets = new Map();
+    const archived = [];
+
+    archiverService.getAssetReferences($).forEach(reference => {
+      const value = reference.trim();
+      if (/^https?:\/\//i.test(value)) {
+        assets.set(value.split('#')[0], { path: null, digest: null });
+        return;
+      }
+      if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(value)) {
+        return;
+      }
+
+      const archivePath = path.posix.normalize(path.posix.join(path.posix.dirname(pagePath), value.split('#')[0]));
+      const entry = entriesByPath.get(archivePath);
+      if (entry && !assets.has(entry.url)) {
+        assets.set(entry.url, { path: entry.path, digest: null });
+        archived.push(entry);
+      }
+    });
+
+    for (const entry of archived) {
+      const content = await storageService.readFile(archive.id, entry.path);
+      assets.get(entry.url).digest = content ? sha1Base32(content) : null;
+    }
+
+    return assets;
+  }
+
+  /**
+   * Align the text blocks of two pages. Neighbouring removed and added blocks
+   * that are similar enough become one "changed" block with a word-level diff.
+   * @returns {Array<Object>} { type: 'unchanged'|'added'|'removed', text } or
+   *   { type: 'changed', from, to, words: [{ type: 'equal'|'delete'|'insert', text }] }
+   */
+  diffText(before, after) {
+    const result = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      const pairs = Math.min(removed.length, added.length);
+      for (let i = 0; i < pairs; i++) {
+        if (this.similarity(removed[i], added[i]) >= CHANGED_BLOCK_SIMILARITY) {
+          result.push({ type: 'changed', from: removed[i], to: added[i], words: diffWords(removed[i], added[i]) });
+        } else {
+          result.push({ type: 'removed', text: removed[i] }, { type: 'added', text: added[i] });
+        }
+      }
+      removed.slice(pairs).forEach(text => result.push({ type: 'removed', text }));
+      added.slice(pairs).forEach(text => result.push({ type: 'added', text }));
+      removed = [];
+      added = [];
+    };
+
+    diffSequences(before, after).forEach(({ type, value }) => {
+      if (type === 'delete') {
+        removed.push(value);
+      } else if (type === 'insert') {
+        added.push(value);
+      } else {
+        flush();
+        result.push({ type: 'unchanged', text: value });
+      }
+    });
+    flush();
+
+    return result;
+  }
+
+  /**
+   * Share of words two blocks have in common (0 to 1)
+   */
+  similarity(a, b) {
+    const wordsA = a.toLowerCase().split(/\s+/);
+    const wordsB = new Set(b.toLowerCase().split(/\s+/));
+    const common = wordsA.filter(word => wordsB.has(word)).length;
+    return common / Math.max(wordsA.length, wordsB.size);
+  }
+
+  /**
+   * Compare two maps keyed by URL
+   * @param {Map} before - Old entries
+   * @param {Map} after - New entries
+   * @param {Function} describeChange - (key, oldValue, newValue) => changed entry
+   * @param {Function} describe - (key, value) => added/removed entry
+   * @param {Function} [isSame] - Whether two values are equal
+   * @returns {Object} { added, removed, changed }
+   */
+  diffMaps(before, after, describeChange, describe, isSame = (a, b) => a === b) {
+    const result = { added: [], removed: [], changed: [] };
+
+    before.forEach((value, key) => {
+      if (!after.has(key)) {
+        result.removed.push(describe(key, value));
+      } else if (!isSame(value, after.get(key))) {
+        result.changed.push(describeChange(key, value, after.get(key)));
+      }
+    });
+    after.forEach((value, key) => {
+      if (!before.has(key)) {
+        result.added.push(describe(key, value));
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = new DiffService();
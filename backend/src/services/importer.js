@@ -0,0 +1,272 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const storageService = require('./storage');
+const archiverService = require('./archiver');
+const warcService = require('./warc');
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+class ImportService {
+  /**
+   * Import a WARC or WACZ file as a new archive
+   * @param {Buffer} buffer - Uploaded file contents
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} Job-shaped summary of the created archive
+   */
+  async importFile(buffer, fileName) {
+    const isWacz = /\.wacz$/i.test(fileName) || (buffer[0] === 0x50 && buffer[1] === 0x4b);
+    const errors = [];
+    const records = [];
+    let mainPageUrl = null;
+    let pageUrls = [];
+
+    if (isWacz) {
+      const wacz = await warcService.readWacz(buffer).catch(error => {
+        throw this.invalidFile(`Invalid WACZ package: ${error.message}`);
+      });
+      if (wacz.warcs.length === 0) {
+        throw this.invalidFile('WACZ package contains no WARC files');
+      }
+      wacz.warcs.forEach(warc => {
+        const parsed = warcService.parseWarc(warc.buffer);
+        records.push(...parsed.records.map(record => ({ ...record, file: warc.name })));
+        errors.push(...parsed.errors.map(error => ({ ...error, file: warc.name })));
+      });
+      mainPageUrl = wacz.datapackage && (wacz.datapackage.mainPageUrl || wacz.datapackage.mainPageURL);
+      pageUrls = wacz.pages.map(page => page.url);
+    } else {
+      const parsed = warcService.parseWarc(buffer);
+      records.push(...parsed.records.map(record => ({ ...record, file: fileName })));
+      errors.push(...parsed.errors.map(error => ({ ...error, file: fileName })));
+    }
+
+    const captures = this.extractCaptures(records, errors);
+    if (captures.length === 0) {
+      throw this.invalidFile('No importable response or resource records found');
+    }
+
+    const pages = captures.filter(capture => capture.isPage);
+    const startUrl = mainPageUrl || pageUrls[0] || (pages[0] || captures[0]).url;
+    const start = this.parseStartUrl(startUrl);
+    const timestamp = captures
+      .map(capture => capture.capturedAt)
+      .sort()[0];
+
+    const archive = storageService.createArchive(startUrl, start.hostname, {
+      timestamp,
+      source: {
+        type: 'import',
+        format: isWacz ? 'wacz' : 'warc',
+        fileName,
+        importedAt: new Date().toISOString()
+      }
+    });
+
+    const primaryHost = start.host;
+    const assetPaths = new Map();
+    captures
+      .filter(capture => !capture.isPage)
+      .forEach(capture => assetPaths.set(capture.url, archiverService.getAssetPath(capture.url, primaryHost)));
+
+    let imported = 0;
+    for (const capture of captures) {
+      try {
+        if (capture.isPage) {
+          const pagePath = archiverService.getRelativePath(capture.url, primaryHost);
+          const content = this.rewriteAssetReferences(capture.body.toString('utf8'), capture.url, pagePath, assetPaths);
+          await storageService.savePage(archive.id, capture.url, content, pagePath, capture);
+        } else {
+          await storageService.saveAsset(archive.id, capture.url, capture.body, assetPaths.get(capture.url), capture);
+        }
+        imported++;
+      } catch (error) {
+        errors.push({ file: capture.file, offset: capture.offset, recordId: capture.recordId, targetUri: capture.url, error: error.message });
+      }
+    }
+
+    const pagesArchived = (storageService.getArchive(archive.id).pages || []).length;
+    storageService.updateArchive(archive.id, {
+      status: 'completed',
+      pagesArchived,
+      completedAt: new Date().toISOString(),
+      importReport: {
+        recordsRead: records.length,
+        resourcesImported: imported,
+        errors
+      }
+    });
+
+    console.log(`✅ Imported ${fileName} as archive ${archive.id} (${pagesArchived} pages, ${errors.length} record errors)`);
+
+    return {
+      jobId: archive.id,
+      status: 'completed',
+      url: startUrl,
+      domain: archive.domain,
+      timestamp,
+      pagesArchived,
+      errors: errors.length
+    };
+  }
+
+  /**
+   * Turn response/resource records into capture objects understood by storageService.
+   * Only the first successful capture of each URL is kept.
+   * @param {Array} records - Parsed WARC records
+   * @param {Array} errors - Per-record error list (appended to)
+   * @returns {Array} Captures
+   */
+  extractCaptures(records, errors) {
+    const requests = new Map();
+    records
+      .filter(record => record.type === 'request')
+      .forEach(record => {
+        const target = record.headers['warc-concurrent-to'];
+        if (target) {
+          try {
+            requests.set(target, warcService.parseHttpMessage(record.block));
+          } catch (error) {
+            // The request is only used for its headers
+          }
+        }
+      });
+
+    const captures = [];
+    const seen = new Set();
+
+    for (const record of records) {
+      if (record.type !== 'response' && record.type !== 'resource') {
+        continue;
+      }
+
+      try {
+        const url = (record.targetUri || '').replace(/^<|>$/g, '');
+        new URL(url); // Validate the target URI
+        const capturedAt = new Date(record.headers['warc-date']);
+        if (isNaN(capturedAt.getTime())) {
+          throw new Error('Invalid WARC-Date');
+        }
+
+        let capture;
+        if (record.type === 'response') {
+          const message = warcService.parseHttpMessage(record.block);
+          if (!message.status) {
+            throw new Error(`Unsupported response start line: ${message.startLine}`);
+          }
+          if (message.status < 200 || message.status >= 300) {
+            continue;
+          }
+          const request = requests.get(record.recordId);
+          capture = {
+            method: request ? request.startLine.split(' ')[0] : 'GET',
+            status: message.status,
+            statusText: message.statusText,
+            headers: message.headers,
+            requestHeaders: request ? request.headers : {},
+            body: message.body
+          };
+        } else {
+          capture = {
+            method: 'GET',
+            status: 200,
+            statusText: 'OK',
+            headers: { 'content-type': record.headers['content-type'] || 'application/octet-stream' },
+            requestHeaders: {},
+            body: record.block
+          };
+        }
+
+        if (seen.has(url)) {
+          continue;
+        }
+        seen.add(url);
+
+        const contentType = String(warcService.headerValue(capture.headers, 'content-type') || '').split(';')[0].trim().toLowerCase();
+        captures.push({
+          ...capture,
+          url,
+          capturedAt: capturedAt.toISOString(),
+          isPage: HTML_TYPES.includes(contentType),
+          file: record.file,
+          offset: record.offset,
+          recordId: record.recordId
+        });
+      } catch (error) {
+        errors.push({
+          file: record.file,
+          offset: record.offset,
+          recordId: record.recordId,
+          targetUri: record.targetUri,
+          error: error.message
+        });
+      }
+    }
+
+    return captures;
+  }
+
+  /**
+   * Check the URL the imported archive starts at, which may come from the
+   * package's datapackage.json or pages list rather than a record
+   * @param {string} url - Start URL
+   * @returns {URL} Parsed URL
+   * @throws {Error} With statusCode 400 if it is not an http(s) URL
+   */
+  parseStartUrl(url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw this.invalidFile(`Invalid main page URL: ${String(url)}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Create an error for files that cannot be imported at all
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged as a client error
+   */
+  invalidFile(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Point asset references in imported HTML at their archive-local paths
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Original page URL
+   * @param {string} pagePath - Archive path of the page
+   * @param {Map} assetPaths - Asset URL to archive path
+   * @returns {string} Rewritten HTML
+   */
+  rewriteAssetReferences(html, pageUrl, pagePath, assetPaths) {
+    const $ = cheerio.load(html);
+    const targets = [
+      ['img[src]', 'src'],
+      ['link[rel="stylesheet"][href]', 'href'],
+      ['script[src]', 'src']
+    ];
+
+    targets.forEach(([selector, attribute]) => {
+      $(selector).each((i, element) => {
+        try {
+          const absoluteUrl = new URL($(element).attr(attribute), pageUrl).href;
+          if (assetPaths.has(absoluteUrl)) {
+            $(element).attr(attribute, archiverService.toArchiveHref(pagePath, assetPaths.get(absoluteUrl)));
+          }
+        } catch (error) {
+          // Leave unparseable references untouched
+        }
+      });
+    });
+
+    return $.html();
+  }
+}
+
+module.exports = new ImportService();
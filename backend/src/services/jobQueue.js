@@ -0,0 +1,364 @@
+const db = require('../db');
+const storageService = require('./storage');
+const webhookService = require('./webhooks');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const PRIORITY_RANGE = [-10, 10]; // higher runs first
+// Highest priority first, then first come, first served
+const QUEUE_ORDER = 'priority DESC, queued_at, rowid';
+
+/**
+ * Persistent queue of archive crawls, kept in the jobs table so it survives
+ * restarts. At most MAX_CONCURRENT_JOBS crawls (default 2) run at once, each
+ * with its own browser; a crawl that fails is retried until it has been
+ * attempted JOB_MAX_ATTEMPTS times (default 3).
+ *
+ * Job states: queued, running, paused, cancelled, completed, failed. The
+ * archive record follows along: pending while queued, paused, cancelled,
+ * failed once out of attempts, and interrupted if the server stopped during
+ * its last attempt. Pausing a running crawl keeps its frontier (the URLs
+ * still to visit and those visited) in the jobs table, so resuming continues
+ * where it stopped, across restarts too.
+ */
+class JobQueueService {
+  constructor(env = process.env) {
+    this.concurrency = parsePositiveInteger(env.MAX_CONCURRENT_JOBS, DEFAULT_CONCURRENCY, 'MAX_CONCURRENT_JOBS');
+    this.maxAttempts = parsePositiveInteger(env.JOB_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS, 'JOB_MAX_ATTEMPTS');
+    this.handler = null;
+    this.running = new Map(); // archive ID -> { controller, stop } of each job this process is running
+  }
+
+  /**
+   * Recover the jobs a previous process left running, then start taking jobs
+   * off the queue
+   * @param {Function} handler - async (job) => runs the crawl, throwing if it failed. job.signal
+   *   aborts when the job is paused or cancelled; the handler then stops and returns the frontier.
+   */
+  start(handler) {
+    if (this.handler) {
+      return;
+    }
+    this.handler = handler;
+    this.recover();
+    this.drain();
+  }
+
+  /**
+   * Check a job priority
+   * @param {*} priority - Priority from a request
+   * @returns {string|null} Error message, or null if valid
+   */
+  validatePriority(priority) {
+    const [min, max] = PRIORITY_RANGE;
+    if (!Number.isInteger(priority) || priority < min || priority > max) {
+      return `priority must be an integer from ${min} to ${max}`;
+    }
+    return null;
+  }
+
+  /**
+   * Queue an archive for crawling
+   * @param {string} archiveId - Archive ID
+   * @param {Object} [options] - { priority }
+   * @returns {Object} Job
+   */
+  enqueue(archiveId, { priority = 0 } = {}) {
+    db.prepare(`
+      INSERT INTO jobs (archive_id, state, priority, attempts, queued_at)
+      VALUES (?, 'queued', ?, 0, ?)
+    `).run(archiveId, priority, new Date().toISOString());
+    this.drain();
+    return this.getJob(archiveId);
+  }
+
+  /**
+   * Get a job with its place in the queue
+   * @param {string} archiveId - Archive ID
+   * @returns {Object|null} { archiveId, state, priority, attempts, maxAttempts, position, stopping,
+   *   queuedAt, startedAt, finishedAt, error }; position counts from 1 and is null unless queued,
+   *   stopping is 'pause' or 'cancel' while a running job winds down, and error is why the last
+   *   attempt failed
+   */
+  getJob(archiveId) {
+    const row = db.prepare('SELECT * FROM jobs WHERE archive_id = ?').get(archiveId);
+    if (!row) {
+      return null;
+    }
+
+    const queued = row.state === 'queued' && db.prepare(`
+      SELECT position FROM (
+        SELECT archive_id, ROW_NUMBER() OVER (ORDER BY ${QUEUE_ORDER}) AS position FROM jobs WHERE state = 'queued'
+      ) WHERE archive_id = ?
+    `).get(archiveId);
+    const running = this.running.get(archiveId);
+    return { ...this.toJob(row), position: queued ? queued.position : null, stopping: running ? running.stop : null };
+  }
+
+  /**
+   * Cancel a queued, running or paused job. A running crawl stops after
+   * aborting its in-flight page and downloads; the pages it saved are kept.
+   * @param {string} archiveId - Archive ID
+   * @returns {Object} Job
+   */
+  cancel(archiveId) {
+    return this.stop(archiveId, 'cancel', ['queued', 'running', 'paused']);
+  }
+
+  /**
+   * Pause a queued or running job
+   * @param {string} archiveId - Archive ID
+   * @returns {Object} Job
+   */
+  pause(archiveId) {
+    return this.stop(archiveId, 'pause', ['queued', 'running']);
+  }
+
+  /**
+   * Queue a paused job again. It keeps its place, and a crawl paused while
+   * running continues from its saved frontier.
+   * @param {string} archiveId - Archive ID
+   * @returns {Object} Job
+   */
+  resume(archiveId) {
+    this.getJobIn(archiveId, 'resume', ['paused']);
+    db.prepare("UPDATE jobs SET state = 'queued', finished_at = NULL WHERE archive_id = ?").run(archiveId);
+    this.updateArchive(archiveId, { status: 'pending' });
+    this.drain();
+    return this.getJob(archiveId);
+  }
+
+  /**
+   * Pause or cancel a job: right away if it is not running, otherwise by
+   * aborting its signal and letting the crawl wind down
+   */
+  stop(archiveId, stop, states) {
+    this.getJobIn(archiveId, stop, states);
+    const running = this.running.get(archiveId);
+
+    if (running) {
+      // Cancelling wins over an earlier pause
+      if (running.stop !== 'cancel') {
+        running.stop = stop;
+      }
+      running.controller.abort(stop);
+    } else {
+      // A resumed job that has not run yet keeps the frontier of its earlier pause
+      const { frontier } = db.prepare('SELECT frontier FROM jobs WHERE archive_id = ?').get(archiveId);
+      this.recordStop(archiveId, stop, frontier && JSON.parse(frontier));
+    }
+    return this.getJob(archiveId);
+  }
+
+  /**
+   * Get a job, checking that it is in one of the given states
+   * @throws {Error} With statusCode 404 if there is no job, 409 for another state
+   */
+  getJobIn(archiveId, action, states) {
+    const job = this.getJob(archiveId);
+    if (!job) {
+      throw httpError(404, `No archiving job for archive ${archiveId}`);
+    }
+    if (!states.includes(job.state)) {
+      throw httpError(409, `Cannot ${action} a ${job.state} job`);
+    }
+    return job;
+  }
+
+  /**
+   * Whether an archive's job is waiting or running
+   * @param {string} archiveId - Archive ID
+   * @returns {boolean}
+   */
+  isActive(archiveId) {
+    return Boolean(db.prepare("SELECT 1 FROM jobs WHERE archive_id = ? AND state IN ('queued', 'running')").get(archiveId));
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  drain() {
+    while (this.handler && this.running.size < this.concurrency) {
+      const job = this.claimNext();
+      if (!job) {
+        return;
+      }
+      this.run(job);
+    }
+  }
+
+  /**
+   * Take the next queued job and mark it running. Continuing a paused crawl
+   * from its frontier does not count as another attempt.
+   * @returns {Object|null} Job with its frontier (or null), or null if none is queued
+   */
+  claimNext() {
+    return db.transaction(() => {
+      const row = db.prepare(`SELECT * FROM jobs WHERE state = 'queued' ORDER BY ${QUEUE_ORDER} LIMIT 1`).get();
+      if (!row) {
+        return null;
+      }
+      const startedAt = new Date().toISOString();
+      const attempts = row.frontier ? row.attempts : row.attempts + 1;
+      // The frontier is only good for this run; a crawl interrupted now starts over
+      db.prepare(`
+        UPDATE jobs SET state = 'running', attempts = ?, started_at = ?, finished_at = NULL, frontier = NULL
+        WHERE archive_id = ?
+      `).run(attempts, startedAt, row.archive_id);
+      return {
+        ...this.toJob({ ...row, state: 'running', attempts, started_at: startedAt }),
+        frontier: row.frontier ? JSON.parse(row.frontier) : null
+      };
+    })();
+  }
+
+  /**
+   * Run a job, then requeue it for another attempt or record how it ended
+   * @param {Object} job - Running job
+   */
+  async run(job) {
+    const { archiveId } = job;
+    const running = { controller: new AbortController(), stop: null };
+    this.running.set(archiveId, running);
+
+    try {
+      const frontier = await this.handler({ ...job, signal: running.controller.signal });
+      if (running.stop) {
+        this.recordStop(archiveId, running.stop, frontier);
+      } else {
+        this.setState(archiveId, 'completed');
+      }
+    } catch (error) {
+      if (running.stop) {
+        // Without a frontier, resuming starts the crawl over
+        this.recordStop(archiveId, running.stop, null);
+      } else if (job.attempts < this.maxAttempts) {
+        console.warn(`⚠️ Attempt ${job.attempts}/${this.maxAttempts} of archive ${archiveId} failed, queued again: ${error.message}`);
+        this.requeue(archiveId, error.message);
+      } else {
+        console.error(`Archive ${archiveId} failed after ${job.attempts} attempts:`, error.message);
+        this.setState(archiveId, 'failed', error.message);
+        this.updateArchive(archiveId, { status: 'failed', error: error.message });
+      }
+    } finally {
+      this.running.delete(archiveId);
+      webhookService.notifyArchiveFinished(archiveId);
+      this.drain();
+    }
+  }
+
+  /**
+   * Put the jobs left running by a previous process back in the queue, or
+   * mark them interrupted if that was their last attempt. Archives left
+   * unfinished without a job (by versions before the queue, or an import) are
+   * marked interrupted too.
+   */
+  recover() {
+    const orphans = db.prepare("SELECT * FROM jobs WHERE state = 'running'").all().map(row => this.toJob(row));
+    const reason = 'Interrupted by a server restart';
+
+    db.prepare(`
+      SELECT id FROM archives
+      WHERE status IN ('pending', 'processing') AND id NOT IN (SELECT archive_id FROM jobs)
+    `).all().forEach(({ id }) => this.updateArchive(id, { status: 'interrupted', error: reason }));
+
+    orphans.forEach(job => {
+      if (job.attempts < this.maxAttempts) {
+        this.requeue(job.archiveId, reason);
+      } else {
+        this.setState(job.archiveId, 'failed', reason);
+        this.updateArchive(job.archiveId, { status: 'interrupted', error: reason });
+      }
+    });
+
+    if (orphans.length > 0) {
+      const requeued = orphans.filter(job => job.attempts < this.maxAttempts).length;
+      console.log(`♻️  Recovered ${orphans.length} interrupted jobs (${requeued} queued again)`);
+    }
+  }
+
+  /**
+   * Queue a job again, keeping its place (it was queued before anything
+   * submitted since). The job keeps the error of its last attempt; the
+   * archive, which is live again, does not.
+   */
+  requeue(archiveId, error) {
+    db.prepare("UPDATE jobs SET state = 'queued', started_at = NULL, error = ? WHERE archive_id = ?").run(error, archiveId);
+    this.updateArchive(archiveId, { status: 'pending', error: null });
+  }
+
+  /**
+   * Record that a job was paused or cancelled
+   * @param {string} archiveId - Archive ID
+   * @param {string} stop - 'pause' or 'cancel'
+   * @param {Object|null} frontier - { urlQueue, visitedUrls } where a paused crawl stopped
+   */
+  recordStop(archiveId, stop, frontier) {
+    if (stop === 'pause') {
+      this.setState(archiveId, 'paused', null, frontier);
+      this.updateArchive(archiveId, { status: 'paused' });
+    } else {
+      this.setState(archiveId, 'cancelled');
+      this.updateArchive(archiveId, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Record that a job stopped
+   */
+  setState(archiveId, state, error = null, frontier = null) {
+    db.prepare('UPDATE jobs SET state = ?, finished_at = ?, error = ?, frontier = ? WHERE archive_id = ?')
+      .run(state, new Date().toISOString(), error, frontier && JSON.stringify(frontier), archiveId);
+  }
+
+  /**
+   * Update the job's archive, unless it was deleted meanwhile
+   */
+  updateArchive(archiveId, updates) {
+    if (storageService.hasArchive(archiveId)) {
+      storageService.updateArchive(archiveId, updates);
+    }
+  }
+
+  /**
+   * Turn a jobs row into a job
+   */
+  toJob(row) {
+    return {
+      archiveId: row.archive_id,
+      state: row.state,
+      priority: row.priority,
+      attempts: row.attempts,
+      maxAttempts: this.maxAttempts,
+      queuedAt: row.queued_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      error: row.error
+    };
+  }
+}
+
+/**
+ * Create an error carrying the HTTP status a route should answer with
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Read a positive integer setting
+ */
+function parsePositiveInteger(value, fallback, name) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+module.exports = new JobQueueService();
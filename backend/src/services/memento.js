@@ -0,0 +1,174 @@
+const storageService = require('./storage');
+const { toTimestamp14 } = require('../utils/timestamp');
+
+/**
+ * Memento (RFC 7089) support: TimeGates, TimeMaps and the headers that let
+ * Memento-aware clients discover captures. Mementos are the /web/<timestamp>/<url>
+ * replay URLs.
+ */
+class MementoService {
+  /**
+   * Base URL (scheme and host) the request was made to, for absolute links
+   * @param {Object} req - Express request
+   * @returns {string} e.g. "http://localhost:3001"
+   */
+  getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+  }
+
+  /**
+   * Memento URL (timestamped replay) of a capture
+   */
+  getMementoUrl(baseUrl, capturedAt, url) {
+    return `${baseUrl}/web/${toTimestamp14(capturedAt)}/${url}`;
+  }
+
+  /**
+   * TimeGate URL for an original URL
+   */
+  getTimeGateUrl(baseUrl, url) {
+    return `${baseUrl}/timegate/${url}`;
+  }
+
+  /**
+   * TimeMap URL for an original URL ('link' or 'json' format)
+   */
+  getTimeMapUrl(baseUrl, url, format = 'link') {
+    return `${baseUrl}/timemap/${format}/${url}`;
+  }
+
+  /**
+   * Format a date as an HTTP-date (RFC 7231), as Memento requires
+   */
+  formatDatetime(date) {
+    return new Date(date).toUTCString();
+  }
+
+  /**
+   * Parse an Accept-Datetime header
+   * @param {string} [header] - Header value (RFC 1123 date)
+   * @returns {Date|null|undefined} Date, null if malformed, undefined if absent
+   */
+  parseAcceptDatetime(header) {
+    if (header === undefined) {
+      return undefined;
+    }
+    const date = new Date(header);
+    return /GMT$/i.test(header.trim()) && !isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * Pick the capture closest to a datetime (the latest if none is given)
+   * @param {Array<Object>} captures - Result of StorageService#getCaptures
+   * @param {Date} [date] - Requested datetime
+   * @returns {Object|null} Capture
+   */
+  selectCapture(captures, date) {
+    if (captures.length === 0) {
+      return null;
+    }
+    if (!date) {
+      return captures[captures.length - 1];
+    }
+    return captures.reduce((best, capture) => {
+      const distance = Math.abs(new Date(capture.capturedAt) - date);
+      return distance < Math.abs(new Date(best.capturedAt) - date) ? capture : best;
+    });
+  }
+
+  /**
+   * Link header entries pointing at the original resource, its TimeGate and TimeMap
+   * @param {string} baseUrl - Server base URL
+   * @param {string} url - Original URL
+   * @returns {Array<string>} Link values
+   */
+  getDiscoveryLinks(baseUrl, url) {
+    return [
+      `<${url}>; rel="original"`,
+      `<${this.getTimeGateUrl(baseUrl, url)}>; rel="timegate"`,
+      `<${this.getTimeMapUrl(baseUrl, url)}>; rel="timemap"; type="application/link-format"`
+    ];
+  }
+
+  /**
+   * Set Memento-Datetime and Link headers on a memento response
+   * @param {Object} res - Express response
+   * @param {string} baseUrl - Server base URL
+   * @param {string} url - Original URL
+   * @param {string|Date} capturedAt - Capture time
+   */
+  setMementoHeaders(res, baseUrl, url, capturedAt) {
+    res.setHeader('Memento-Datetime', this.formatDatetime(capturedAt));
+    res.setHeader('Link', [
+      ...this.getDiscoveryLinks(baseUrl, url),
+      `<${this.getMementoUrl(baseUrl, capturedAt, url)}>; rel="memento"; datetime="${this.formatDatetime(capturedAt)}"`
+    ].join(', '));
+  }
+
+  /**
+   * Build a TimeMap in application/link-format
+   * @param {string} baseUrl - Server base URL
+   * @param {string} url - Original URL
+   * @param {Array<Object>} captures - Captures, oldest first
+   * @returns {string} Link-format document
+   */
+  buildLinkTimeMap(baseUrl, url, captures) {
+    const first = captures[0];
+    const last = captures[captures.length - 1];
+    const links = [
+      `<${url}>; rel="original"`,
+      `<${this.getTimeMapUrl(baseUrl, url)}>; rel="self"; type="application/link-format"` +
+        `; from="${this.formatDatetime(first.capturedAt)}"; until="${this.formatDatetime(last.capturedAt)}"`,
+      `<${this.getTimeGateUrl(baseUrl, url)}>; rel="timegate"`
+    ];
+
+    captures.forEach((capture, index) => {
+      const rel = [
+        index === 0 ? 'first' : null,
+        index === captures.length - 1 ? 'last' : null,
+        'memento'
+      ].filter(Boolean).join(' ');
+      links.push(`<${this.getMementoUrl(baseUrl, capture.capturedAt, url)}>; rel="${rel}"; datetime="${this.formatDatetime(capture.capturedAt)}"`);
+    });
+
+    return links.join(',\n') + '\n';
+  }
+
+  /**
+   * Build a TimeMap in the JSON format used by the Memento aggregators
+   * @param {string} baseUrl - Server base URL
+   * @param {string} url - Original URL
+   * @param {Array<Object>} captures - Captures, oldest first
+   * @returns {Object} TimeMap
+   */
+  buildJsonTimeMap(baseUrl, url, captures) {
+    const list = captures.map(capture => ({
+      datetime: new Date(capture.capturedAt).toISOString(),
+      uri: this.getMementoUrl(baseUrl, capture.capturedAt, url)
+    }));
+
+    return {
+      original_uri: url,
+      timegate_uri: this.getTimeGateUrl(baseUrl, url),
+      timemap_uri: {
+        link_format: this.getTimeMapUrl(baseUrl, url, 'link'),
+        json_format: this.getTimeMapUrl(baseUrl, url, 'json')
+      },
+      mementos: {
+        first: list[0],
+        last: list[list.length - 1],
+        list
+      }
+    };
+  }
+
+  /**
+   * Captures of a URL, for TimeGates and TimeMaps: pages and assets alike,
+   * as every memento sends Link headers pointing at them
+   */
+  getCaptures(url) {
+    return storageService.getCaptures(url);
+  }
+}
+
+module.exports = new MementoService();
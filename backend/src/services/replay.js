@@ -0,0 +1,206 @@
+const cheerio = require('cheerio');
+const path = require('path');
+const storageService = require('./storage');
+const archiverService = require('./archiver');
+const mementoService = require('./memento');
+const { rewriteLinks } = require('../utils/links');
+const { rewriteCssReferences } = require('../utils/css');
+const { toTimestamp14 } = require('../utils/timestamp');
+
+// Attributes that hold archive-local asset paths after capture
+const ASSET_ATTRIBUTES = ['src', 'href', 'poster', 'data', 'xlink:href'];
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+// Navigational elements, handled by rewriteLinks
+const LINK_ELEMENTS = ['a', 'area', 'form'];
+
+class ReplayService {
+  /**
+   * Rewrite the hyperlinks of an archived page at serve time so navigation
+   * stays inside the snapshot. The stored HTML is left untouched.
+   * @param {Object} archive - Archive record
+   * @param {Object} page - Page record being served
+   * @param {string} html - Stored HTML of the page
+   * @returns {string} HTML with archive-local links
+   */
+  rewritePageLinks(archive, page, html) {
+    const captured = new Map((archive.pages || []).map(entry => [entry.url, entry.path]));
+    const $ = cheerio.load(html);
+
+    rewriteLinks($, page.url, targetUrl => {
+      const targetPath = captured.get(targetUrl);
+      return targetPath
+        ? archiverService.toArchiveHref(page.path, targetPath)
+        : this.getNotArchivedUrl(archive.id, targetUrl);
+    });
+
+    return $.html();
+  }
+
+  /**
+   * Find the capture of a URL closest in time to a timestamp, across all
+   * viewable archives, from the capture index
+   * @param {string} url - Original URL (without fragment)
+   * @param {Date} date - Requested time
+   * @returns {Object|null} { archive, entry, isPage, capturedAt, timestamp }
+   */
+  findNearestCapture(url, date) {
+    const nearest = mementoService.selectCapture(storageService.getCaptures(url), date);
+    const archive = nearest && storageService.getArchive(nearest.archiveId);
+    if (!archive) {
+      return null;
+    }
+
+    const isPage = nearest.kind === 'page';
+    const entry = (isPage ? archive.pages : archive.assets).find(item => item.path === nearest.path);
+    if (!entry) {
+      return null;
+    }
+
+    const capturedAt = new Date(nearest.capturedAt);
+    return { archive, entry, isPage, capturedAt, timestamp: toTimestamp14(capturedAt) };
+  }
+
+  /**
+   * Build a timestamped replay URL
+   * @param {string} timestamp - 14-digit timestamp
+   * @param {string} url - Original URL
+   * @returns {string} Server-relative replay URL
+   */
+  getReplayUrl(timestamp, url) {
+    return `/web/${timestamp}/${url}`;
+  }
+
+  /**
+   * Rewrite an archived page for timestamped replay: links and assets point
+   * at /web/<timestamp>/<original url>, so each resolves to its own nearest capture
+   * @param {Object} archive - Archive record the page belongs to
+   * @param {Object} page - Page record
+   * @param {string} html - Stored HTML of the page
+   * @param {string} timestamp - Timestamp of the page capture
+   * @returns {string} Rewritten HTML
+   */
+  rewritePageForReplay(archive, page, html, timestamp) {
+    const $ = cheerio.load(html);
+    const toReplay = this.getArchivePathResolver(archive, page.path, timestamp);
+
+    rewriteLinks($, page.url, targetUrl => this.getReplayUrl(timestamp, targetUrl));
+
+    $('*').each((i, element) => {
+      if (LINK_ELEMENTS.includes(element.tagName)) {
+        return;
+      }
+      ASSET_ATTRIBUTES.forEach(attribute => {
+        const replacement = toReplay($(element).attr(attribute));
+        if (replacement) {
+          $(element).attr(attribute, replacement);
+        }
+      });
+      SRCSET_ATTRIBUTES.forEach(attribute => {
+        const srcset = $(element).attr(attribute);
+        if (!srcset) {
+          return;
+        }
+        $(element).attr(attribute, archiverService.parseSrcset(srcset)
+          .map(candidate => {
+            const url = toReplay(candidate.url) || candidate.url;
+            return candidate.descriptor ? `${url} ${candidate.descriptor}` : url;
+          })
+          .join(', '));
+      });
+    });
+
+    $('style').each((i, element) => {
+      $(element).text(rewriteCssReferences($(element).text(), toReplay));
+    });
+    $('[style]').each((i, element) => {
+      $(element).attr('style', rewriteCssReferences($(element).attr('style'), toReplay));
+    });
+
+    return $.html();
+  }
+
+  /**
+   * Rewrite a stored stylesheet for timestamped replay
+   * @param {Object} archive - Archive record the stylesheet belongs to
+   * @param {Object} entry - Asset record
+   * @param {string} css - Stored stylesheet text
+   * @param {string} timestamp - Timestamp of the capture
+   * @returns {string} Rewritten CSS
+   */
+  rewriteCssForReplay(archive, entry, css, timestamp) {
+    return rewriteCssReferences(css, this.getArchivePathResolver(archive, entry.path, timestamp));
+  }
+
+  /**
+   * Map archive-relative references (as written at capture time) back to
+   * replay URLs of the original resources
+   * @param {Object} archive - Archive record
+   * @param {string} fromPath - Archive path of the referencing file
+   * @param {string} timestamp - Timestamp to request the resources at
+   * @returns {Function} reference => replay URL, or null if it is not an archived file
+   */
+  getArchivePathResolver(archive, fromPath, timestamp) {
+    const urlsByPath = new Map(
+      [...(archive.assets || []), ...(archive.pages || [])].map(entry => [entry.path, entry.url])
+    );
+
+    return reference => {
+      if (!reference || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(reference.trim())) {
+        return null;
+      }
+      const [referencePath, fragment] = reference.trim().split('#');
+      const archivePath = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), referencePath));
+      const url = urlsByPath.get(archivePath);
+      return url ? this.getReplayUrl(timestamp, url) + (fragment !== undefined ? `#${fragment}` : '') : null;
+    };
+  }
+
+  /**
+   * URL of the "not archived" notice for a link target outside the snapshot
+   * @param {string} archiveId - Archive ID
+   * @param {string} url - Original target URL
+   * @returns {string} Server-relative URL
+   */
+  getNotArchivedUrl(archiveId, url) {
+    return `/api/archive/${archiveId}/not-archived?url=${encodeURIComponent(url)}`;
+  }
+
+  /**
+   * Render the page shown when a link points at something that was not captured
+   * @param {Object|null} archive - Archive record the link came from, if known
+   * @param {string} url - Original target URL
+   * @returns {string} HTML document
+   */
+  renderNotArchived(archive, url) {
+    const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const isHttp = /^https?:\/\//i.test(url);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Not archived</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f8f9fa; color: #2c3e50; display: flex; align-items: center; justify-content: center; min-height: 100vh; margin: 0; }
+    main { background: white; max-width: 560px; padding: 2rem; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+    h1 { font-size: 1.4rem; margin-top: 0; }
+    code { word-break: break-all; background: #f1f3f5; padding: 0.1rem 0.3rem; border-radius: 4px; }
+    a { color: #3498db; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>📭 This page is not in the archive</h1>
+    ${archive
+    ? `<p><code>${escape(url)}</code> was not captured in the snapshot of <strong>${escape(archive.url)}</strong>
+      taken ${escape(new Date(archive.timestamp).toLocaleString())}.</p>`
+    : `<p><code>${escape(url)}</code> has not been captured in any archive.</p>`}
+    <p><a href="javascript:history.back()">← Back to the archived page</a></p>
+    ${isHttp ? `<p><a href="${escape(url)}" target="_blank" rel="noopener noreferrer">Open the live page ↗</a></p>` : ''}
+  </main>
+</body>
+</html>`;
+  }
+}
+
+module.exports = new ReplayService();
@@ -0,0 +1,401 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { URL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+const db = require('../db');
+const archiverService = require('./archiver');
+const storageService = require('./storage');
+const jobQueue = require('./jobQueue');
+const { validateCrawlOptions } = require('../utils/crawlOptions');
+
+// How often due schedules are checked (ms)
+const TICK_INTERVAL = 30 * 1000;
+const INTERVAL_LIMITS = [5, 525600]; // minutes: 5 minutes to a year
+const MAX_JITTER_SECONDS = 3600;
+const DEFAULT_JITTER_SECONDS = 60;
+const MAX_RUN_HISTORY = 100;
+const STATUSES = ['active', 'paused'];
+
+/**
+ * Recurring captures of a URL, persisted in the database with their run
+ * history and run in-process. Cron expressions are evaluated in the server's
+ * local time.
+ */
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start checking for due schedules. Runs missed while the server was down
+   * happen once, right away.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.importLegacyFile();
+    this.timer = setInterval(() => this.runDueSchedules(), TICK_INTERVAL);
+    this.timer.unref();
+    this.runDueSchedules();
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Import schedules.json from the storage directory, which held the
+   * schedules before the database, and rename it to schedules.json.imported
+   */
+  importLegacyFile() {
+    const file = path.join(storageService.archivesDir, 'schedules.json');
+    if (!fs.existsSync(file)) {
+      return;
+    }
+    const { schedules = [] } = fs.readJsonSync(file);
+    db.transaction(() => {
+      schedules.filter(schedule => !this.get(schedule.id)).forEach(schedule => {
+        this.saveSchedule(schedule);
+        // Oldest first, so the newest run gets the highest ID
+        [...(schedule.runs || [])].reverse().forEach(run => this.addRun(schedule.id, run));
+      });
+    })();
+    fs.renameSync(file, `${file}.imported`);
+    console.log(`🗃️  Imported ${schedules.length} schedules into the database`);
+  }
+
+  /**
+   * Get all schedules
+   * @returns {Array<Object>} Schedules, newest first
+   */
+  getAll() {
+    return db.prepare('SELECT * FROM schedules ORDER BY created_at DESC').all().map(row => this.toSchedule(row));
+  }
+
+  /**
+   * Get one schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Object|null} Schedule
+   */
+  get(scheduleId) {
+    const row = db.prepare('SELECT * FROM schedules WHERE id = ?').get(scheduleId);
+    return row ? this.toSchedule(row) : null;
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} input - { url, options, cron | intervalMinutes, jitterSeconds, skipIfRunning, status }
+   * @returns {Object} { schedule, errors }
+   */
+  create(input) {
+    const { fields, errors } = this.validate(input);
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: uuidv4(),
+      jitterSeconds: DEFAULT_JITTER_SECONDS,
+      skipIfRunning: true,
+      status: 'active',
+      ...fields,
+      runs: [],
+      lastRunAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    schedule.nextRunAt = this.getNextRunAt(schedule);
+    this.saveSchedule(schedule);
+
+    return { schedule, errors };
+  }
+
+  /**
+   * Change some fields of a schedule (including pausing and resuming it)
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} input - Fields to change (see create)
+   * @returns {Object|null} { schedule, errors }, or null if there is no such schedule
+   */
+  update(scheduleId, input) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    const { fields, errors } = this.validate(input, schedule);
+    if (errors.length > 0) {
+      return { schedule: null, errors };
+    }
+
+    // Switching between cron and interval drops the other one
+    if (fields.cron) {
+      schedule.intervalMinutes = null;
+    } else if (fields.intervalMinutes) {
+      schedule.cron = null;
+    }
+    Object.assign(schedule, fields, { updatedAt: new Date().toISOString() });
+    schedule.nextRunAt = this.getNextRunAt(schedule);
+    this.saveSchedule(schedule);
+
+    return { schedule, errors };
+  }
+
+  /**
+   * Delete a schedule. Archives it produced are kept.
+   * @param {string} scheduleId - Schedule ID
+   * @returns {boolean} Whether the schedule existed
+   */
+  remove(scheduleId) {
+    // Its run history goes with it (ON DELETE CASCADE)
+    return db.prepare('DELETE FROM schedules WHERE id = ?').run(scheduleId).changes > 0;
+  }
+
+  /**
+   * Validate schedule fields
+   * @param {Object} input - Fields from the request body
+   * @param {Object} [existing] - Schedule being updated; fields not in input are kept
+   * @returns {Object} { fields, errors }
+   */
+  validate(input, existing = null) {
+    const errors = [];
+    const fields = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      return { fields, errors: ['Schedule must be an object'] };
+    }
+
+    if (input.url !== undefined || !existing) {
+      try {
+        const url = new URL(String(input.url || ''));
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('Not an http(s) URL');
+        }
+        fields.url = url.href;
+      } catch (error) {
+        errors.push('url must be an absolute http(s) URL');
+      }
+    }
+
+    if (input.options !== undefined || !existing) {
+      const { options, errors: optionErrors } = validateCrawlOptions(input.options || {});
+      fields.options = options;
+      optionErrors.forEach(error => errors.push(`options: ${error}`));
+    }
+
+    const hasCron = input.cron !== undefined && input.cron !== null && input.cron !== '';
+    const hasInterval = input.intervalMinutes !== undefined && input.intervalMinutes !== null && input.intervalMinutes !== '';
+    if (hasCron && hasInterval) {
+      errors.push('Give either cron or intervalMinutes, not both');
+    } else if (hasCron) {
+      try {
+        cronParser.parseExpression(String(input.cron));
+        fields.cron = String(input.cron).trim();
+      } catch (error) {
+        errors.push(`Invalid cron expression: ${error.message}`);
+      }
+    } else if (hasInterval) {
+      const [min, max] = INTERVAL_LIMITS;
+      const minutes = Number(input.intervalMinutes);
+      if (!Number.isInteger(minutes) || minutes < min || minutes > max) {
+        errors.push(`intervalMinutes must be an integer between ${min} and ${max}`);
+      } else {
+        fields.intervalMinutes = minutes;
+      }
+    } else if (!existing) {
+      errors.push('A cron expression or intervalMinutes is required');
+    }
+
+    if (input.jitterSeconds !== undefined) {
+      const jitter = Number(input.jitterSeconds);
+      if (!Number.isInteger(jitter) || jitter < 0 || jitter > MAX_JITTER_SECONDS) {
+        errors.push(`jitterSeconds must be an integer between 0 and ${MAX_JITTER_SECONDS}`);
+      } else {
+        fields.jitterSeconds = jitter;
+      }
+    }
+
+    if (input.skipIfRunning !== undefined) {
+      if (typeof input.skipIfRunning !== 'boolean') {
+        errors.push('skipIfRunning must be true or false');
+      } else {
+        fields.skipIfRunning = input.skipIfRunning;
+      }
+    }
+
+    if (input.status !== undefined) {
+      if (!STATUSES.includes(input.status)) {
+        errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+      } else {
+        fields.status = input.status;
+      }
+    }
+
+    return { fields, errors };
+  }
+
+  /**
+   * Work out when a schedule runs next, with its random jitter added
+   * @param {Object} schedule - Schedule
+   * @param {Date} [after] - Time to count from
+   * @returns {string|null} ISO time, or null while paused
+   */
+  getNextRunAt(schedule, after = new Date()) {
+    if (schedule.status !== 'active') {
+      return null;
+    }
+
+    const next = schedule.cron
+      ? cronParser.parseExpression(schedule.cron, { currentDate: after }).next().toDate()
+      : new Date(after.getTime() + schedule.intervalMinutes * 60 * 1000);
+    const jitter = Math.floor(Math.random() * (schedule.jitterSeconds || 0) * 1000);
+
+    return new Date(next.getTime() + jitter).toISOString();
+  }
+
+  /**
+   * Start the capture of every active schedule whose time has come
+   */
+  async runDueSchedules() {
+    // A slow tick must not overlap the next one
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const due = db.prepare("SELECT * FROM schedules WHERE status = 'active' AND next_run_at IS NOT NULL").all()
+        .map(row => this.toSchedule(row))
+        .filter(schedule => new Date(schedule.nextRunAt) <= now);
+
+      for (const schedule of due) {
+        await this.runSchedule(schedule.id);
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a schedule now, unless its previous capture is still going and the
+   * schedule says to skip
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Run record { runAt, status: 'started'|'skipped'|'failed', archiveId, reason }, or null if there is no such schedule
+   */
+  async runSchedule(scheduleId) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    const runAt = new Date();
+    const previous = schedule.runs.find(run => run.archiveId);
+    let run;
+
+    if (schedule.skipIfRunning && previous && jobQueue.isActive(previous.archiveId)) {
+      run = { runAt: runAt.toISOString(), status: 'skipped', reason: 'Previous capture still running' };
+    } else {
+      try {
+        const job = await archiverService.startArchiving(schedule.url, schedule.options);
+        run = { runAt: runAt.toISOString(), status: 'started', archiveId: job.jobId };
+      } catch (error) {
+        run = { runAt: runAt.toISOString(), status: 'failed', reason: error.message };
+      }
+    }
+
+    // Re-read: the schedule may have been edited or deleted meanwhile
+    db.transaction(() => {
+      const current = this.get(scheduleId);
+      if (!current) {
+        return;
+      }
+      this.addRun(scheduleId, run);
+      db.prepare('UPDATE schedules SET last_run_at = ?, next_run_at = ? WHERE id = ?')
+        .run(run.runAt, this.getNextRunAt(current, runAt), scheduleId);
+    })();
+
+    return run;
+  }
+
+  /**
+   * Record a run of a schedule, keeping the latest MAX_RUN_HISTORY
+   */
+  addRun(scheduleId, run) {
+    db.prepare('INSERT INTO schedule_runs (schedule_id, run_at, status, archive_id, reason) VALUES (?, ?, ?, ?, ?)')
+      .run(scheduleId, run.runAt, run.status, run.archiveId || null, run.reason || null);
+    db.prepare(`
+      DELETE FROM schedule_runs WHERE schedule_id = ? AND id NOT IN (
+        SELECT id FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(scheduleId, scheduleId, MAX_RUN_HISTORY);
+  }
+
+  /**
+   * Insert or update a schedule row (its runs are kept apart, see addRun)
+   * @param {Object} schedule - Schedule
+   */
+  saveSchedule(schedule) {
+    db.prepare(`
+      INSERT INTO schedules (id, url, options, cron, interval_minutes, jitter_seconds, skip_if_running, status,
+        last_run_at, next_run_at, created_at, updated_at)
+      VALUES (@id, @url, @options, @cron, @intervalMinutes, @jitterSeconds, @skipIfRunning, @status,
+        @lastRunAt, @nextRunAt, @createdAt, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET url = excluded.url, options = excluded.options, cron = excluded.cron,
+        interval_minutes = excluded.interval_minutes, jitter_seconds = excluded.jitter_seconds,
+        skip_if_running = excluded.skip_if_running, status = excluded.status, last_run_at = excluded.last_run_at,
+        next_run_at = excluded.next_run_at, updated_at = excluded.updated_at
+    `).run({
+      id: schedule.id,
+      url: schedule.url,
+      options: JSON.stringify(schedule.options || {}),
+      cron: schedule.cron || null,
+      intervalMinutes: schedule.intervalMinutes || null,
+      jitterSeconds: schedule.jitterSeconds === undefined ? DEFAULT_JITTER_SECONDS : schedule.jitterSeconds,
+      skipIfRunning: schedule.skipIfRunning === false ? 0 : 1,
+      status: schedule.status,
+      lastRunAt: schedule.lastRunAt || null,
+      nextRunAt: schedule.nextRunAt || null,
+      createdAt: schedule.createdAt,
+      updatedAt: schedule.updatedAt || schedule.createdAt
+    });
+  }
+
+  /**
+   * Schedule record of a row, with its runs newest first
+   */
+  toSchedule(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      options: JSON.parse(row.options),
+      cron: row.cron,
+      intervalMinutes: row.interval_minutes,
+      jitterSeconds: row.jitter_seconds,
+      skipIfRunning: row.skip_if_running === 1,
+      status: row.status,
+      runs: db.prepare('SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC').all(row.id)
+        .map(run => ({
+          runAt: run.run_at,
+          status: run.status,
+          ...(run.archive_id ? { archiveId: run.archive_id } : {}),
+          ...(run.reason ? { reason: run.reason } : {})
+        })),
+      lastRunAt: row.last_run_at,
+      nextRunAt: row.next_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new SchedulerService();
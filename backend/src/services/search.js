@@ -0,0 +1,272 @@
+const { URL } = require('url');
+const db = require('../db');
+const { tokenize } = require('../utils/text');
+const { toTimestamp14, expandTimestamp } = require('../utils/timestamp');
+
+// Indexed fields, in column order, and how much a match in each counts
+const FIELDS = ['title', 'description', 'headings', 'body'];
+const FIELD_WEIGHTS = { title: 3, description: 1.5, headings: 2, body: 1 };
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_LENGTH = 240;
+const SNIPPET_LEAD = 80;
+
+/**
+ * Full-text index over archived pages, kept in the search_documents FTS5
+ * table and ranked with BM25. Snippets and highlights are worked out for the
+ * returned page of results only.
+ */
+class SearchService {
+  /**
+   * Whether the index holds no pages at all
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return !db.prepare('SELECT 1 FROM search_documents LIMIT 1').get();
+  }
+
+  /**
+   * Add (or replace) one page in the index
+   * @param {Object} page - { archiveId, url, path, timestamp, title, description, headings, body }
+   */
+  addDocument(page) {
+    db.transaction(() => this.indexDocument(page))();
+  }
+
+  /**
+   * Replace the whole index
+   * @param {Array<Object>} pages - Pages to index (see addDocument)
+   */
+  replaceAll(pages) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM search_documents').run();
+      pages.forEach(page => this.indexDocument(page));
+    })();
+  }
+
+  /**
+   * Drop every page of an archive from the index
+   * @param {string} archiveId - Archive ID
+   */
+  removeArchive(archiveId) {
+    db.prepare('DELETE FROM search_documents WHERE archive_id = ?').run(archiveId);
+  }
+
+  /**
+   * Validate search parameters
+   * @param {Object} query - Request query ({ q, domain, from, to, limit, offset })
+   * @returns {Object} { params, errors }
+   */
+  parseQuery(query) {
+    const errors = [];
+    const params = { clauses: [], domain: null, limit: DEFAULT_LIMIT, offset: 0 };
+
+    // "quoted text" is a phrase, everything else must appear anywhere in the page
+    const q = typeof query.q === 'string' ? query.q : '';
+    const phrasePattern = /"([^"]*)"?/g;
+    let match;
+    while ((match = phrasePattern.exec(q)) !== null) {
+      const terms = tokenize(match[1]).map(token => token.term);
+      if (terms.length > 0) {
+        params.clauses.push(terms);
+      }
+    }
+    tokenize(q.replace(phrasePattern, ' ')).forEach(token => params.clauses.push([token.term]));
+
+    if (params.clauses.length === 0) {
+      errors.push('q is required');
+    }
+
+    if (query.domain) {
+      params.domain = String(query.domain).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '');
+    }
+
+    ['from', 'to'].forEach(key => {
+      if (query[key] === undefined || query[key] === '') {
+        return;
+      }
+      params[key] = expandTimestamp(String(query[key]), key === 'to');
+      if (!params[key]) {
+        errors.push(`${key} must be a timestamp of 1 to 14 digits (YYYYMMDDhhmmss)`);
+      }
+    });
+
+    ['limit', 'offset'].forEach(key => {
+      if (query[key] === undefined || query[key] === '') {
+        return;
+      }
+      const value = Number(query[key]);
+      const min = key === 'limit' ? 1 : 0;
+      const max = key === 'limit' ? MAX_LIMIT : Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(key === 'limit' ? `limit must be an integer between 1 and ${MAX_LIMIT}` : 'offset must be a non-negative integer');
+      } else {
+        params[key] = value;
+      }
+    });
+
+    return { params, errors };
+  }
+
+  /**
+   * Search the index. Every clause (word or phrase) must match.
+   * @param {Object} params - Result of parseQuery
+   * @returns {Object} { total, results: [{ archiveId, url, path, host, timestamp, title, score, snippet, highlights, titleHighlights }] }
+   */
+  search(params) {
+    // Terms are letters and digits only, so they need no quoting inside a phrase
+    const bindings = { match: params.clauses.map(terms => `"${terms.join(' ')}"`).join(' AND ') };
+    const conditions = ['search_documents MATCH @match'];
+    if (params.domain) {
+      conditions.push("(host = @domain OR substr(host, -length(@domain) - 1) = '.' || @domain)");
+      bindings.domain = params.domain;
+    }
+    ['from', 'to'].filter(bound => params[bound]).forEach(bound => {
+      conditions.push(`timestamp14 ${bound === 'from' ? '>=' : '<='} @${bound}`);
+      bindings[bound] = params[bound];
+    });
+    const where = conditions.join(' AND ');
+    const weights = FIELDS.map(name => FIELD_WEIGHTS[name]).join(', ');
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM search_documents WHERE ${where}`).get(bindings);
+    // bm25() is lower for better matches
+    const rows = db.prepare(`
+      SELECT *, -bm25(search_documents, ${weights}) AS score FROM search_documents
+      WHERE ${where}
+      ORDER BY score DESC, timestamp DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...bindings, limit: params.limit, offset: params.offset });
+
+    return {
+      total,
+      results: rows.map(row => {
+        const doc = this.toDocument(row);
+        return {
+          archiveId: row.archive_id,
+          url: row.url,
+          path: row.path,
+          host: row.host,
+          timestamp: row.timestamp,
+          title: row.title,
+          score: Math.round(row.score * 1000) / 1000,
+          ...this.buildSnippet(doc, params.clauses.map(terms => ({ length: terms.length, positions: this.findMatches(doc, terms) })))
+        };
+      })
+    };
+  }
+
+  /**
+   * Where a word or phrase occurs in a document
+   * @param {Object} doc - Document (see toDocument)
+   * @param {Array<string>} terms - Consecutive terms
+   * @returns {Array<number>} Token positions where the match starts
+   */
+  findMatches(doc, terms) {
+    return doc.tokens
+      .map((token, position) => position)
+      .filter(position => terms.every((term, i) => doc.tokens[position + i] && doc.tokens[position + i].term === term))
+      // A phrase must not run from one field into the next
+      .filter(position => this.getField(doc, position) === this.getField(doc, position + terms.length - 1));
+  }
+
+  /**
+   * Cut a snippet around the best match and locate the matched words in it
+   * @param {Object} doc - Indexed document
+   * @param {Array<Object>} matches - [{ length, positions }] for each clause
+   * @returns {Object} { snippet, highlights, titleHighlights }, ranges as [start, end] character offsets
+   */
+  buildSnippet(doc, matches) {
+    const { tokens } = doc;
+    const ranges = matches
+      .flatMap(({ length, positions }) => positions.map(position => ({ position, last: position + length - 1 })))
+      .sort((a, b) => a.position - b.position);
+
+    const inField = name => ranges.filter(range => this.getField(doc, range.position).name === name);
+    const toChars = (range, offset) => [tokens[range.position].start - offset, tokens[range.last].end - offset];
+
+    // The title is the first line of the text, so its offsets need no adjusting
+    const titleHighlights = inField('title').map(range => toChars(range, 0));
+
+    // Prefer a match in the body text; a title-only hit shows the start of the page
+    const snippetField = ['body', 'description', 'headings'].find(name => inField(name).length > 0);
+    const field = doc.fields.find(f => f.name === (snippetField || 'body'));
+    if (!field || field.start === field.end) {
+      return { snippet: '', highlights: [], titleHighlights };
+    }
+
+    const fieldStart = tokens[field.start].start;
+    const fieldEnd = tokens[field.end - 1].end;
+    const anchor = snippetField ? tokens[inField(snippetField)[0].position].start : fieldStart;
+    // Start and end on whole words
+    const start = tokens.find(token => token.start >= Math.max(fieldStart, anchor - SNIPPET_LEAD)).start;
+    const limit = Math.min(fieldEnd, start + SNIPPET_LENGTH);
+    const end = tokens.filter(token => token.end <= limit).pop().end;
+
+    const prefix = start > fieldStart ? '… ' : '';
+    const suffix = end < fieldEnd ? ' …' : '';
+    const highlights = (snippetField ? inField(snippetField) : [])
+      .filter(range => tokens[range.position].start >= start && tokens[range.last].end <= end)
+      .map(range => toChars(range, start - prefix.length));
+
+    return {
+      snippet: prefix + doc.text.substring(start, end) + suffix,
+      highlights,
+      titleHighlights
+    };
+  }
+
+  /**
+   * Field a token position belongs to
+   */
+  getField(doc, position) {
+    return doc.fields.find(field => position >= field.start && position < field.end);
+  }
+
+  /**
+   * Write a page to the index, replacing an earlier copy (call inside a transaction)
+   */
+  indexDocument(page) {
+    db.prepare('DELETE FROM search_documents WHERE archive_id = ? AND path = ?').run(page.archiveId, page.path);
+    db.prepare(`
+      INSERT INTO search_documents (title, description, headings, body, archive_id, url, path, host, timestamp, timestamp14)
+      VALUES (@title, @description, @headings, @body, @archiveId, @url, @path, @host, @timestamp, @timestamp14)
+    `).run({
+      ...Object.fromEntries(FIELDS.map(name => [name, page[name] || ''])),
+      archiveId: page.archiveId,
+      url: page.url,
+      path: page.path,
+      host: new URL(page.url).hostname.toLowerCase(),
+      timestamp: page.timestamp,
+      timestamp14: toTimestamp14(page.timestamp)
+    });
+  }
+
+  /**
+   * Lay out the fields of an indexed page as one text, one line each, with
+   * their tokens and the token range of each field
+   * @param {Object} row - search_documents row
+   * @returns {Object} { text, tokens, fields: [{ name, start, end }] }
+   */
+  toDocument(row) {
+    const text = FIELDS.map(name => (row[name] || '').replace(/\n/g, ' ')).join('\n');
+    const tokens = tokenize(text);
+    const fields = [];
+    let lineStart = 0;
+    FIELDS.forEach(name => {
+      const lineEnd = lineStart + (row[name] || '').length;
+      const start = tokens.findIndex(token => token.start >= lineStart);
+      const end = tokens.findIndex(token => token.start > lineEnd);
+      fields.push({
+        name,
+        start: start === -1 ? tokens.length : start,
+        end: end === -1 ? tokens.length : end
+      });
+      lineStart = lineEnd + 1;
+    });
+
+    return { text, tokens, fields };
+  }
+}
+
+module.exports = new SearchService();
@@ -1,33 +1,155 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const mime = require('mime-types');
+const db = require('../db');
+const cdxService = require('./cdx');
+const searchService = require('./search');
+const blobService = require('./blobs');
+const storageDriver = require('../drivers');
+const { sha1Base32 } = require('../utils/digest');
+const { extractText } = require('../utils/text');
 
+// Archive record fields with a column of their own; the rest go in the data JSON
+const ARCHIVE_COLUMNS = {
+  id: 'id',
+  url: 'url',
+  domain: 'domain',
+  timestamp: 'timestamp',
+  status: 'status',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+// Record fields kept as rows of their own tables
+const RESOURCE_KINDS = { pages: 'page', assets: 'asset' };
+const LIST_FIELDS = ['pages', 'assets', 'skipped', 'behaviorLog'];
+// Archives whose pages can be browsed: finished ones, and those stopped early with the pages saved so far
+const VIEWABLE_STATUSES = ['completed', 'cancelled', 'interrupted'];
+
+/**
+ * Archive records (with their pages, assets, skipped URLs and behavior logs)
+ * live in the SQLite database, as does each archive's manifest of paths stored
+ * in the shared blob store; the archived content itself (pages, blobs,
+ * renditions) goes through the configured storage driver, under keys starting
+ * with the archive ID.
+ */
 class StorageService {
-  constructor() {
-    this.archivesDir = path.join(__dirname, '../../archives');
-    this.metadataFile = path.join(this.archivesDir, 'metadata.json');
-    this.ensureDirectories();
+  constructor(env = process.env) {
+    // Files kept by earlier versions, in the local storage directory
+    this.archivesDir = env.STORAGE_PATH || path.join(__dirname, '../../archives');
+    this.legacyMetadataFile = path.join(this.archivesDir, 'metadata.json'); // Imported into the database once
+    this.originalsDir = '_originals'; // Un-rewritten responses, relative to each archive
+    this.renditionsDir = '_renditions';
+    this.legacyManifestName = '_manifest.json'; // Archive path -> blob, in each archive directory before the database
+    this.legacyRefsFile = path.join(this.archivesDir, 'blobs', 'refs.json');
+    // Lookups wait for the manifests, or stored paths would seem to be missing
+    this.manifestsImported = Promise.resolve();
   }
 
-  ensureDirectories() {
-    fs.ensureDirSync(this.archivesDir);
-    if (!fs.existsSync(this.metadataFile)) {
-      fs.writeJsonSync(this.metadataFile, { archives: [] });
+  /**
+   * Bring the records of earlier versions into the database and rebuild
+   * indexes that are empty. Run once when the server starts.
+   */
+  async start() {
+    this.importLegacyMetadata();
+    this.manifestsImported = this.importLegacyManifests().catch(error => console.error('Manifest import error:', error));
+    await this.manifestsImported;
+    if (cdxService.isEmpty()) {
+      await this.rebuildCdxIndex().catch(error => console.error('CDX index rebuild error:', error));
+    }
+    if (searchService.isEmpty()) {
+      await this.rebuildSearchIndex().catch(error => console.error('Search index rebuild error:', error));
+    }
+  }
+
+  /**
+   * Import metadata.json from the storage directory, which held all records
+   * before the database, and rename it to metadata.json.imported
+   */
+  importLegacyMetadata() {
+    if (!fs.existsSync(this.legacyMetadataFile)) {
+      return;
     }
+    const { imported, skipped } = this.importMetadataFile(this.legacyMetadataFile);
+    fs.renameSync(this.legacyMetadataFile, `${this.legacyMetadataFile}.imported`);
+    console.log(`🗃️  Imported ${imported} archives from metadata.json (${skipped} already present)`);
+  }
+
+  /**
+   * Import the _manifest.json of every archive, which mapped archive paths to
+   * blobs before the database did, once: archives/blobs/refs.json (the blob
+   * reference counts of that time) is renamed to refs.json.imported
+   */
+  async importLegacyManifests() {
+    if (!fs.existsSync(this.legacyRefsFile)) {
+      return;
+    }
+    const imported = await this.importManifestFiles();
+    fs.renameSync(this.legacyRefsFile, `${this.legacyRefsFile}.imported`);
+    console.log(`🗃️  Imported ${imported} blob references from archive manifests`);
+  }
+
+  /**
+   * Move the entries of any archive's _manifest.json into the database and
+   * delete the file. Entries already in the database are left alone.
+   * @returns {Promise<number>} Number of imported entries
+   */
+  async importManifestFiles() {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO manifest_entries (archive_id, path, url, digest, size) VALUES (?, ?, ?, ?, ?)
+    `);
+    let imported = 0;
+
+    for (const { id } of db.prepare('SELECT id FROM archives').all()) {
+      const key = this.toStorageKey(id, this.legacyManifestName);
+      const content = await storageDriver.get(key);
+      if (!content) {
+        continue;
+      }
+      const { entries = {} } = JSON.parse(content.toString('utf8'));
+      db.transaction(() => {
+        Object.entries(entries).forEach(([entryPath, entry]) => {
+          imported += insert.run(id, this.toManifestKey(entryPath), entry.url || null, entry.digest, entry.size).changes;
+        });
+      })();
+      await storageDriver.delete(key);
+    }
+    return imported;
+  }
+
+  /**
+   * Import the archive records of a metadata.json file in one transaction.
+   * Archives already in the database are left alone.
+   * @param {string} file - Path of the metadata.json file
+   * @returns {Object} { imported, skipped } archive counts
+   */
+  importMetadataFile(file) {
+    const { archives = [] } = fs.readJsonSync(file);
+    const exists = db.prepare('SELECT 1 FROM archives WHERE id = ?');
+    let imported = 0;
+
+    db.transaction(() => {
+      archives.forEach(archive => {
+        if (!exists.get(archive.id)) {
+          this.insertArchive(archive);
+          imported++;
+        }
+      });
+    })();
+
+    return { imported, skipped: archives.length - imported };
   }
 
   /**
    * Create a new archive entry
    * @param {string} url - The original URL
    * @param {string} domain - The domain being archived
+   * @param {Object} [extra] - Additional fields (e.g. a capture timestamp for imports)
    * @returns {Object} Archive metadata
    */
-  createArchive(url, domain) {
+  createArchive(url, domain, extra = {}) {
     const archiveId = uuidv4();
-    const timestamp = new Date().toISOString();
-    const archiveDir = path.join(this.archivesDir, archiveId);
-    
-    fs.ensureDirSync(archiveDir);
+    const timestamp = extra.timestamp || new Date().toISOString();
     
     const archive = {
       id: archiveId,
@@ -37,13 +159,12 @@ class StorageService {
       status: 'pending',
       pages: [],
       assets: [],
-      createdAt: timestamp
+      ...extra,
+      createdAt: new Date().toISOString()
     };
 
     // Save archive metadata
-    const metadata = fs.readJsonSync(this.metadataFile);
-    metadata.archives.push(archive);
-    fs.writeJsonSync(this.metadataFile, metadata, { spaces: 2 });
+    db.transaction(() => this.insertArchive(archive))();
 
     return archive;
   }
@@ -51,24 +172,42 @@ class StorageService {
   /**
    * Update archive status and data
    * @param {string} archiveId - Archive ID
-   * @param {Object} updates - Updates to apply
+   * @param {Object} updates - Updates to apply; pages, assets, skipped or behaviorLog replace the whole list
+   * @returns {Object} Updated archive
    */
   updateArchive(archiveId, updates) {
-    const metadata = fs.readJsonSync(this.metadataFile);
-    const archiveIndex = metadata.archives.findIndex(a => a.id === archiveId);
-    
-    if (archiveIndex === -1) {
-      throw new Error(`Archive ${archiveId} not found`);
-    }
+    db.transaction(() => {
+      const row = db.prepare('SELECT data FROM archives WHERE id = ?').get(archiveId);
+      if (!row) {
+        throw new Error(`Archive ${archiveId} not found`);
+      }
 
-    metadata.archives[archiveIndex] = {
-      ...metadata.archives[archiveIndex],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
+      const data = JSON.parse(row.data);
+      const columns = { updated_at: new Date().toISOString() };
+      Object.entries(updates).forEach(([key, value]) => {
+        if (LIST_FIELDS.includes(key) || key === 'id') {
+          return;
+        }
+        if (ARCHIVE_COLUMNS[key]) {
+          columns[ARCHIVE_COLUMNS[key]] = value;
+        } else if (value === undefined) {
+          delete data[key];
+        } else {
+          data[key] = value;
+        }
+      });
+
+      const assignments = Object.keys(columns).map(column => `${column} = @${column}`).join(', ');
+      db.prepare(`UPDATE archives SET ${assignments}, data = @data WHERE id = @id`)
+        .run({ ...columns, data: JSON.stringify(data), id: archiveId });
 
-    fs.writeJsonSync(this.metadataFile, metadata, { spaces: 2 });
-    return metadata.archives[archiveIndex];
+      LIST_FIELDS.filter(key => Array.isArray(updates[key])).forEach(key => {
+        this.deleteListRows(archiveId, key);
+        this.insertListRows(archiveId, key, updates[key]);
+      });
+    })();
+
+    return this.getArchive(archiveId);
   }
 
   /**
@@ -77,9 +216,7 @@ class StorageService {
    * @returns {Array} Array of archives
    */
   getArchivesByDomain(domain) {
-    const metadata = fs.readJsonSync(this.metadataFile);
-    return metadata.archives
-      .filter(archive => archive.domain === domain)
+    return this.toArchives(db.prepare('SELECT * FROM archives WHERE domain = ?').all(domain))
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
@@ -89,8 +226,202 @@ class StorageService {
    * @returns {Object|null} Archive metadata
    */
   getArchive(archiveId) {
-    const metadata = fs.readJsonSync(this.metadataFile);
-    return metadata.archives.find(archive => archive.id === archiveId) || null;
+    const row = db.prepare('SELECT * FROM archives WHERE id = ?').get(archiveId);
+    return row ? this.toArchives([row])[0] : null;
+  }
+
+  /**
+   * Whether an archive record exists (without loading it)
+   * @param {string} archiveId - Archive ID
+   * @returns {boolean}
+   */
+  hasArchive(archiveId) {
+    return Boolean(db.prepare('SELECT 1 FROM archives WHERE id = ?').get(archiveId));
+  }
+
+  /**
+   * Write an archive record and its lists (call inside a transaction)
+   */
+  insertArchive(archive) {
+    const columns = {};
+    const data = {};
+    Object.entries(archive).forEach(([key, value]) => {
+      if (ARCHIVE_COLUMNS[key]) {
+        columns[ARCHIVE_COLUMNS[key]] = value;
+      } else if (!LIST_FIELDS.includes(key)) {
+        data[key] = value;
+      }
+    });
+
+    db.prepare(`
+      INSERT INTO archives (id, url, domain, timestamp, status, created_at, updated_at, data)
+      VALUES (@id, @url, @domain, @timestamp, @status, @created_at, @updated_at, @data)
+    `).run({
+      updated_at: null,
+      ...columns,
+      created_at: columns.created_at || columns.timestamp,
+      data: JSON.stringify(data)
+    });
+    LIST_FIELDS.forEach(key => this.insertListRows(archive.id, key, archive[key] || []));
+  }
+
+  /**
+   * Insert the entries of one of an archive's lists as rows
+   */
+  insertListRows(archiveId, key, entries) {
+    if (RESOURCE_KINDS[key]) {
+      const insert = db.prepare(`
+        INSERT INTO resources (archive_id, kind, url, path, saved_at, captured_at, capture, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      entries.forEach(({ url, path: entryPath, savedAt, capture, ...data }) => {
+        insert.run(archiveId, RESOURCE_KINDS[key], url, entryPath, savedAt, capture ? capture.capturedAt : null,
+          capture ? JSON.stringify(capture) : null, JSON.stringify(data));
+      });
+    } else if (key === 'skipped') {
+      const insert = db.prepare('INSERT INTO skipped_urls (archive_id, url, type, reason, skipped_at) VALUES (?, ?, ?, ?, ?)');
+      entries.forEach(entry => insert.run(archiveId, entry.url, entry.type || null, entry.reason || null, entry.skippedAt));
+    } else if (key === 'behaviorLog') {
+      const insert = db.prepare('INSERT INTO behavior_logs (archive_id, url, steps, ran_at) VALUES (?, ?, ?, ?)');
+      entries.forEach(entry => insert.run(archiveId, entry.url, JSON.stringify(entry.steps || []), entry.ranAt));
+    }
+  }
+
+  /**
+   * Delete the rows of one of an archive's lists
+   */
+  deleteListRows(archiveId, key) {
+    if (RESOURCE_KINDS[key]) {
+      db.prepare('DELETE FROM resources WHERE archive_id = ? AND kind = ?').run(archiveId, RESOURCE_KINDS[key]);
+    } else if (key === 'skipped') {
+      db.prepare('DELETE FROM skipped_urls WHERE archive_id = ?').run(archiveId);
+    } else if (key === 'behaviorLog') {
+      db.prepare('DELETE FROM behavior_logs WHERE archive_id = ?').run(archiveId);
+    }
+  }
+
+  /**
+   * Turn archive rows into archive records with their lists
+   * @param {Array<Object>} rows - Rows of the archives table
+   * @returns {Array<Object>} Archive records, as they were kept in metadata.json
+   */
+  toArchives(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // One query per list for all the archives
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const byArchive = sql => {
+      const grouped = new Map(ids.map(id => [id, []]));
+      db.prepare(sql.replace('$IDS', placeholders)).all(...ids).forEach(row => grouped.get(row.archive_id).push(row));
+      return grouped;
+    };
+    const resources = byArchive('SELECT * FROM resources WHERE archive_id IN ($IDS) ORDER BY id');
+    const skipped = byArchive('SELECT * FROM skipped_urls WHERE archive_id IN ($IDS) ORDER BY id');
+    const behaviorLogs = byArchive('SELECT * FROM behavior_logs WHERE archive_id IN ($IDS) ORDER BY id');
+
+    return rows.map(row => {
+      const archive = {
+        id: row.id,
+        url: row.url,
+        domain: row.domain,
+        timestamp: row.timestamp,
+        status: row.status,
+        pages: resources.get(row.id).filter(resource => resource.kind === 'page').map(resource => this.toResource(resource)),
+        assets: resources.get(row.id).filter(resource => resource.kind === 'asset').map(resource => this.toResource(resource)),
+        ...JSON.parse(row.data)
+      };
+      if (skipped.get(row.id).length > 0) {
+        archive.skipped = skipped.get(row.id).map(entry => ({
+          url: entry.url,
+          type: entry.type,
+          reason: entry.reason,
+          skippedAt: entry.skipped_at
+        }));
+      }
+      if (behaviorLogs.get(row.id).length > 0) {
+        archive.behaviorLog = behaviorLogs.get(row.id).map(entry => ({
+          url: entry.url,
+          steps: JSON.parse(entry.steps),
+          ranAt: entry.ran_at
+        }));
+      }
+      archive.createdAt = row.created_at;
+      if (row.updated_at) {
+        archive.updatedAt = row.updated_at;
+      }
+      return archive;
+    });
+  }
+
+  /**
+   * Turn a resources row into a page or asset record
+   */
+  toResource(row) {
+    const resource = { url: row.url, path: row.path, savedAt: row.saved_at, ...JSON.parse(row.data) };
+    if (row.capture) {
+      resource.capture = JSON.parse(row.capture);
+    }
+    return resource;
+  }
+
+  /**
+   * Append an entry to one of an archive's lists (pages, assets, skipped,
+   * behaviorLog), if the archive still exists
+   * @returns {boolean} Whether it was added
+   */
+  addListEntry(archiveId, key, entry) {
+    return db.transaction(() => {
+      if (!this.hasArchive(archiveId)) {
+        return false;
+      }
+      this.insertListRows(archiveId, key, [entry]);
+      db.prepare('UPDATE archives SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), archiveId);
+      return true;
+    })();
+  }
+
+  /**
+   * Store the files of a page or asset in the blob store and add its record.
+   * The archive paths are mapped to the blobs and the capture is indexed in the
+   * same transaction as the record is added, so none exists without the others.
+   * @param {string} archiveId - Archive ID
+   * @param {string} key - 'pages' or 'assets'
+   * @param {Object} entry - Page or asset record
+   * @param {Array<Object>} files - [{ path, content }] archive paths to store in the blob store
+   * @param {Buffer|string} body - Original response body to index (the saved content if there is none)
+   * @returns {Promise<Object>} { added, blobs: manifest entry { url, digest, size } per file }
+   */
+  async addCapture(archiveId, key, entry, files, body) {
+    await this.manifestsImported;
+    const { added, blobs, released } = await blobService.store(files.map(file => file.content), stored => {
+      const manifestEntries = stored.map(({ digest, size }, i) => ({ path: this.toManifestKey(files[i].path), url: entry.url, digest, size }));
+      return db.transaction(() => {
+        const released = this.putManifestEntries(archiveId, manifestEntries);
+        // Saved again, e.g. by a resumed crawl revisiting the page it stopped in: the new record replaces the old
+        this.deleteCapture(archiveId, key, entry.path);
+        const added = this.addListEntry(archiveId, key, entry);
+        if (added) {
+          this.indexCapture(archiveId, entry, body);
+        }
+        return { added, released, blobs: manifestEntries.map(({ url, digest, size }) => ({ url, digest, size })) };
+      })();
+    });
+    await blobService.collect(released);
+
+    return { added, blobs };
+  }
+
+  /**
+   * Delete the record of a page or asset at an archive path and its CDX
+   * entries (call inside a transaction)
+   */
+  deleteCapture(archiveId, key, relativePath) {
+    db.prepare('DELETE FROM resources WHERE archive_id = ? AND kind = ? AND path = ?')
+      .run(archiveId, RESOURCE_KINDS[key], relativePath);
+    cdxService.removeCapture(archiveId, relativePath);
   }
 
   /**
@@ -99,30 +430,32 @@ class StorageService {
    * @param {string} url - Page URL
    * @param {string} content - Page HTML content
    * @param {string} relativePath - Relative path for the page
+   * @param {Object} [capture] - Original HTTP exchange (see describeOriginal)
+   * @param {Object} [details] - Extra fields for the page record (e.g. renditions)
+   * @returns {Promise<string>} Storage key of the page
    */
-  savePage(archiveId, url, content, relativePath) {
-    const archiveDir = path.join(this.archivesDir, archiveId);
-    const filePath = path.join(archiveDir, relativePath);
-    
-    // Ensure directory exists
-    fs.ensureDirSync(path.dirname(filePath));
-    
+  async savePage(archiveId, url, content, relativePath, capture = null, details = {}) {
+    const key = this.toStorageKey(archiveId, relativePath);
+
     // Save the HTML content
-    fs.writeFileSync(filePath, content, 'utf8');
+    await storageDriver.put(key, Buffer.from(content, 'utf8'), { contentType: 'text/html; charset=utf-8' });
     
     // Update archive metadata
-    const archive = this.getArchive(archiveId);
-    if (archive) {
-      const pages = archive.pages || [];
-      pages.push({
-        url,
-        path: relativePath,
-        savedAt: new Date().toISOString()
-      });
-      this.updateArchive(archiveId, { pages });
+    const page = {
+      url,
+      path: relativePath,
+      savedAt: (capture && capture.capturedAt) || new Date().toISOString(),
+      ...details
+    };
+    if (capture) {
+      page.capture = this.describeOriginal(relativePath, capture);
+    }
+    const { added } = await this.addCapture(archiveId, 'pages', page, this.getOriginalFiles(page, capture), capture ? capture.body : content);
+    if (added) {
+      searchService.addDocument(this.toSearchDocument(archiveId, page, content));
     }
 
-    return filePath;
+    return key;
   }
 
   /**
@@ -131,51 +464,531 @@ class StorageService {
    * @param {string} url - Asset URL
    * @param {Buffer} content - Asset content
    * @param {string} relativePath - Relative path for the asset
+   * @param {Object} [capture] - Original HTTP exchange (see describeOriginal)
+   * @returns {Promise<Object>} Manifest entry of the asset { url, digest, size }
    */
-  saveAsset(archiveId, url, content, relativePath) {
-    const archiveDir = path.join(this.archivesDir, archiveId);
-    const filePath = path.join(archiveDir, relativePath);
-    
-    // Ensure directory exists
-    fs.ensureDirSync(path.dirname(filePath));
-    
-    // Save the asset
-    fs.writeFileSync(filePath, content);
-    
+  async saveAsset(archiveId, url, content, relativePath, capture = null) {
     // Update archive metadata
-    const archive = this.getArchive(archiveId);
-    if (archive) {
-      const assets = archive.assets || [];
-      assets.push({
-        url,
-        path: relativePath,
-        savedAt: new Date().toISOString()
-      });
-      this.updateArchive(archiveId, { assets });
+    const asset = {
+      url,
+      path: relativePath,
+      savedAt: (capture && capture.capturedAt) || new Date().toISOString()
+    };
+    if (capture) {
+      asset.capture = this.describeOriginal(relativePath, capture);
+    }
+
+    // Identical assets are stored once across archives
+    const { blobs } = await this.addCapture(archiveId, 'assets', asset, [
+      { path: relativePath, content },
+      ...this.getOriginalFiles(asset, capture)
+    ], capture ? capture.body : content);
+
+    return blobs[0];
+  }
+
+  /**
+   * Add a saved page or asset to the CDX index
+   * @param {string} archiveId - Archive ID
+   * @param {Object} entry - Page or asset record
+   * @param {Buffer|string} body - Original response body (the saved content if there is none)
+   */
+  indexCapture(archiveId, entry, body) {
+    cdxService.add(this.toCdxRecord(archiveId, entry, body));
+  }
+
+  /**
+   * Rebuild the CDX index from the archive records and stored content
+   * @returns {Promise<number>} Number of indexed captures
+   */
+  async rebuildCdxIndex() {
+    const records = [];
+
+    for (const archive of this.getAllArchives()) {
+      for (const entry of [...(archive.pages || []), ...(archive.assets || [])]) {
+        const body = entry.capture
+          ? await this.readFile(entry.capture.originalArchiveId || archive.id, entry.capture.originalPath)
+          : await this.readFile(archive.id, entry.path);
+        if (body) {
+          records.push(this.toCdxRecord(archive.id, entry, body));
+        }
+      }
+    }
+
+    cdxService.replaceAll(records);
+    return records.length;
+  }
+
+  /**
+   * Rebuild the full-text index from the stored pages
+   * @returns {Promise<number>} Number of indexed pages
+   */
+  async rebuildSearchIndex() {
+    const documents = [];
+
+    for (const archive of this.getAllArchives()) {
+      for (const page of archive.pages || []) {
+        const html = await this.readFile(archive.id, page.path);
+        if (html) {
+          documents.push(this.toSearchDocument(archive.id, page, html.toString('utf8')));
+        }
+      }
+    }
+
+    searchService.replaceAll(documents);
+    return documents.length;
+  }
+
+  /**
+   * Extract the searchable text of a saved page
+   */
+  toSearchDocument(archiveId, page, html) {
+    return {
+      archiveId,
+      url: page.url,
+      path: page.path,
+      timestamp: (page.capture && page.capture.capturedAt) || page.savedAt,
+      ...extractText(html)
+    };
+  }
+
+  /**
+   * Describe a page or asset record for the CDX index
+   */
+  toCdxRecord(archiveId, entry, body) {
+    const contentType = entry.capture && (entry.capture.headers || {})['content-type'];
+    return {
+      url: entry.url,
+      timestamp: (entry.capture && entry.capture.capturedAt) || entry.savedAt,
+      mime: String(contentType || mime.lookup(entry.path) || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+      status: entry.capture ? entry.capture.status : 200,
+      digest: sha1Base32(body),
+      length: Buffer.byteLength(body),
+      archive: archiveId,
+      path: entry.path
+    };
+  }
+
+  /**
+   * Record a URL that was deliberately not captured, for later audit
+   * @param {string} archiveId - Archive ID
+   * @param {Object} entry - { url, type, reason }
+   */
+  addSkipped(archiveId, entry) {
+    this.addListEntry(archiveId, 'skipped', {
+      ...entry,
+      skippedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the page behaviors that ran before a page was captured
+   * @param {string} archiveId - Archive ID
+   * @param {Object} entry - { url, steps }
+   */
+  addBehaviorLog(archiveId, entry) {
+    this.addListEntry(archiveId, 'behaviorLog', {
+      ...entry,
+      ranAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Save a visual rendition (screenshot, thumbnail, PDF) of a page
+   * @param {string} archiveId - Archive ID
+   * @param {string} relativePath - Archive path of the page
+   * @param {string} suffix - File suffix, e.g. "png" or "thumb.png"
+   * @param {Buffer} content - Rendition contents
+   * @returns {Promise<string>} Archive path of the rendition
+   */
+  async saveRendition(archiveId, relativePath, suffix, content) {
+    const renditionPath = path.posix.join(this.renditionsDir, `${relativePath}.${suffix}`);
+
+    await storageDriver.put(this.toStorageKey(archiveId, renditionPath), content, {
+      contentType: mime.lookup(renditionPath) || 'application/octet-stream'
+    });
+
+    return renditionPath;
+  }
+
+  /**
+   * Get the renditions of an archive's start page (falls back to the first page)
+   * @param {Object} archive - Archive record
+   * @returns {Object|null} { screenshot, thumbnail, pdf } archive paths
+   */
+  getStartPageRenditions(archive) {
+    const pages = archive.pages || [];
+    const startPage = pages.find(page => page.url === archive.url) || pages[0];
+    return (startPage && startPage.renditions) || null;
+  }
+
+  /**
+   * Describe the original, un-rewritten response of a page or asset, whose
+   * body is stored in the blob store under an archive path next to the
+   * rewritten copy (see getOriginalFiles)
+   * @param {string} relativePath - Relative path of the rewritten copy
+   * @param {Object} capture - Captured exchange ({ method, status, statusText, headers, requestHeaders, body, capturedAt },
+   *   plus optional source, resourceType, requestBody and timing for browser-recorded responses). A capture with a
+   *   revisit reference ({ archiveId, capturedAt, reason, originalArchiveId, originalPath }) is unchanged since an
+   *   earlier archive, and points at that archive's stored body instead of writing it again.
+   * @returns {Object} Capture metadata (without the body) to keep in the archive record
+   */
+  describeOriginal(relativePath, capture) {
+    const { revisit } = capture;
+    const originalPath = revisit ? revisit.originalPath : path.posix.join(this.originalsDir, relativePath);
+
+    const record = {
+      originalPath,
+      method: capture.method || 'GET',
+      status: capture.status,
+      statusText: capture.statusText || '',
+      headers: capture.headers || {},
+      requestHeaders: capture.requestHeaders || {},
+      capturedAt: capture.capturedAt || new Date().toISOString()
+    };
+    ['source', 'resourceType', 'requestBody', 'timing'].forEach(key => {
+      if (capture[key] !== undefined && capture[key] !== null) {
+        record[key] = capture[key];
+      }
+    });
+    if (revisit) {
+      record.originalArchiveId = revisit.originalArchiveId;
+      record.revisit = { archiveId: revisit.archiveId, capturedAt: revisit.capturedAt, reason: revisit.reason };
     }
 
-    return filePath;
+    return record;
+  }
+
+  /**
+   * The original response body a page or asset stores, as a file for
+   * addCapture; none without a capture, or for a revisit
+   * @param {Object} entry - Page or asset record (with the capture metadata from describeOriginal)
+   * @param {Object|null} capture - Captured exchange
+   * @returns {Array<Object>} [{ path, content }]
+   */
+  getOriginalFiles(entry, capture) {
+    return capture && !capture.revisit ? [{ path: entry.capture.originalPath, content: capture.body }] : [];
   }
 
   /**
-   * Get the file path for an archived resource
+   * Read a stored original response body, which for revisits lives in the
+   * archive that first captured it
+   * @param {string} archiveId - Archive ID of the page or asset record
+   * @param {Object} capture - Capture metadata of the record
+   * @returns {Promise<Buffer>} Response body
+   */
+  async readOriginal(archiveId, capture) {
+    const sourceId = capture.originalArchiveId || archiveId;
+    const body = await this.readFile(sourceId, capture.originalPath);
+    if (!body) {
+      throw new Error(`Original response ${capture.originalPath} is missing from archive ${sourceId}`);
+    }
+    return body;
+  }
+
+  /**
+   * Give archives that reuse responses stored in an archive their own copy of
+   * them, so the archive can be deleted
+   * @param {string} archiveId - Archive about to be deleted
+   * @returns {Promise<number>} Number of responses copied
+   */
+  async detachRevisits(archiveId) {
+    const rows = db.prepare(`
+      SELECT id, archive_id, url, path, capture FROM resources
+      WHERE archive_id != ? AND json_extract(capture, '$.originalArchiveId') = ?
+    `).all(archiveId, archiveId);
+    const update = db.prepare('UPDATE resources SET capture = ? WHERE id = ?');
+
+    for (const row of rows) {
+      const capture = JSON.parse(row.capture);
+      const originalPath = path.posix.join(this.originalsDir, row.path);
+      const body = await this.readFile(archiveId, capture.originalPath);
+      if (body) {
+        // Taking a reference keeps the blob when the deleted archive lets go of it
+        await this.saveBlob(row.archive_id, row.url, originalPath, body);
+      }
+      capture.originalPath = originalPath;
+      delete capture.originalArchiveId;
+      update.run(JSON.stringify(capture), row.id);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Delete an archive: its content, its blob references, its record and its
+   * index entries. Later archives that reuse its responses get their own copy.
+   * @param {string} archiveId - Archive ID
+   * @returns {Promise<boolean>} Whether the archive existed
+   */
+  async deleteArchive(archiveId) {
+    if (!this.hasArchive(archiveId)) {
+      return false;
+    }
+
+    await this.detachRevisits(archiveId);
+    await this.clearCaptures(archiveId);
+    db.prepare('DELETE FROM archives WHERE id = ?').run(archiveId);
+
+    return true;
+  }
+
+  /**
+   * Throw away everything an archive has captured (content, blob references,
+   * pages, assets and the other lists, index entries) but keep its record, so
+   * the crawl can start over
+   * @param {string} archiveId - Archive ID
+   */
+  async clearCaptures(archiveId) {
+    await this.deleteCaptureRows(archiveId);
+    for (const { key } of await storageDriver.list(`${archiveId}/`)) {
+      await storageDriver.delete(key);
+    }
+  }
+
+  /**
+   * Get the storage key of an archived resource: its blob if the archive's
+   * manifest lists the path, otherwise the key below the archive
+   * @param {string} archiveId - Archive ID
+   * @param {string} relativePath - Relative path within archive
+   * @returns {Promise<string>} Storage key
+   */
+  async resolveKey(archiveId, relativePath) {
+    await this.manifestsImported;
+    const blob = db.prepare('SELECT digest FROM manifest_entries WHERE archive_id = ? AND path = ?')
+      .get(archiveId, this.toManifestKey(relativePath));
+    return blob ? blobService.getKey(blob.digest) : this.toStorageKey(archiveId, relativePath);
+  }
+
+  /**
+   * Read an archived resource
    * @param {string} archiveId - Archive ID
    * @param {string} relativePath - Relative path within archive
-   * @returns {string} Absolute file path
+   * @returns {Promise<Buffer|null>} Content, or null if the archive does not hold it
    */
-  getArchivedFilePath(archiveId, relativePath) {
-    return path.join(this.archivesDir, archiveId, relativePath);
+  async readFile(archiveId, relativePath) {
+    return storageDriver.get(await this.resolveKey(archiveId, relativePath));
+  }
+
+  /**
+   * Open an archived resource for streaming
+   * @param {string} archiveId - Archive ID
+   * @param {string} relativePath - Relative path within archive
+   * @param {Object} [range] - { start, end } byte range (inclusive)
+   * @returns {Promise<Object|null>} { stream, size }, or null if the archive does not hold it
+   */
+  async streamFile(archiveId, relativePath, range = null) {
+    return storageDriver.stream(await this.resolveKey(archiveId, relativePath), range);
+  }
+
+  /**
+   * Get the size of an archived resource
+   * @param {string} archiveId - Archive ID
+   * @param {string} relativePath - Relative path within archive
+   * @returns {Promise<Object|null>} { size, modifiedAt }, or null if the archive does not hold it
+   */
+  async statFile(archiveId, relativePath) {
+    return storageDriver.stat(await this.resolveKey(archiveId, relativePath));
+  }
+
+  /**
+   * Store content in the blob store and map an archive path to it. A path
+   * that pointed at another blob releases it.
+   * @param {string} archiveId - Archive ID
+   * @param {string} url - URL the content was captured from
+   * @param {string} relativePath - Relative path within archive
+   * @param {Buffer|string} content - Content to store
+   * @returns {Promise<Object>} Manifest entry { url, digest, size }
+   */
+  async saveBlob(archiveId, url, relativePath, content) {
+    await this.manifestsImported;
+    const { entry, released } = await blobService.store([content], ([{ digest, size }]) => {
+      const entry = { path: this.toManifestKey(relativePath), url, digest, size };
+      return { entry, released: db.transaction(() => this.putManifestEntries(archiveId, [entry]))() };
+    });
+    await blobService.collect(released);
+
+    return { url, digest: entry.digest, size: entry.size };
+  }
+
+  /**
+   * Map archive paths to blobs, replacing what they pointed at before (call
+   * inside a transaction). Nothing is recorded for an archive that no longer
+   * exists.
+   * @param {string} archiveId - Archive ID
+   * @param {Array<Object>} entries - [{ path (manifest key), url, digest, size }]
+   * @returns {Array<string>} Digests that may have lost their last reference
+   */
+  putManifestEntries(archiveId, entries) {
+    if (!this.hasArchive(archiveId)) {
+      return entries.map(entry => entry.digest);
+    }
+
+    const previous = db.prepare('SELECT digest FROM manifest_entries WHERE archive_id = ? AND path = ?');
+    const upsert = db.prepare(`
+      INSERT INTO manifest_entries (archive_id, path, url, digest, size) VALUES (@archiveId, @path, @url, @digest, @size)
+      ON CONFLICT (archive_id, path) DO UPDATE SET url = excluded.url, digest = excluded.digest, size = excluded.size
+    `);
+    return entries.flatMap(entry => {
+      const row = previous.get(archiveId, entry.path);
+      upsert.run({ archiveId, ...entry, url: entry.url || null });
+      return row && row.digest !== entry.digest ? [row.digest] : [];
+    });
+  }
+
+  /**
+   * Drop an archive's pages, assets and other lists together with its
+   * references to the blob store and its index entries, deleting blobs no other
+   * archive uses
+   * @param {string} archiveId - Archive ID
+   * @returns {Promise<Object>} { released, freed } reference and blob counts
+   */
+  async deleteCaptureRows(archiveId) {
+    await this.manifestsImported;
+    const digests = db.transaction(() => {
+      const rows = db.prepare('SELECT digest FROM manifest_entries WHERE archive_id = ?').all(archiveId);
+      db.prepare('DELETE FROM manifest_entries WHERE archive_id = ?').run(archiveId);
+      LIST_FIELDS.forEach(key => this.deleteListRows(archiveId, key));
+      cdxService.removeArchive(archiveId);
+      searchService.removeArchive(archiveId);
+      return rows.map(row => row.digest);
+    })();
+
+    return { released: digests.length, freed: await blobService.collect(digests) };
+  }
+
+  /**
+   * Move the asset and original response files of archives stored before the
+   * blob store into it, leaving rewritten pages and renditions in place, and
+   * the manifests of archives stored before the database into it. Safe to run
+   * again; reference counts are recounted from all manifests.
+   * @returns {Promise<Object>} { archives, files, bytes, blobs, blobBytes }
+   */
+  async migrateToBlobStore() {
+    const result = { archives: 0, files: 0, bytes: 0 };
+    await this.manifestsImported;
+    await this.importManifestFiles();
+
+    for (const archive of this.getAllArchives()) {
+      const urls = new Map(); // archive path -> URL, for the files that have a record
+      [...(archive.pages || []), ...(archive.assets || [])].forEach(entry => {
+        urls.set(entry.path, entry.url);
+        if (entry.capture) {
+          urls.set(entry.capture.originalPath, entry.url);
+        }
+      });
+
+      let moved = 0;
+      for (const dir of ['assets', this.originalsDir]) {
+        for (const { key } of await storageDriver.list(`${archive.id}/${dir}/`)) {
+          const relativePath = key.substring(archive.id.length + 1);
+          const content = await storageDriver.get(key);
+          await this.saveBlob(archive.id, urls.get(relativePath) || null, relativePath, content);
+          await storageDriver.delete(key);
+          result.bytes += content.length;
+          moved++;
+        }
+      }
+
+      if (moved > 0) {
+        result.archives++;
+        result.files += moved;
+      }
+    }
+
+    await this.rebuildBlobRefs();
+    const { blobs, bytes } = await blobService.getStats();
+    return { ...result, blobs, blobBytes: bytes };
+  }
+
+  /**
+   * Recount blob references from every archive manifest and delete blobs
+   * nothing refers to
+   * @returns {Promise<number>} Number of blobs deleted
+   */
+  async rebuildBlobRefs() {
+    return blobService.sweep();
+  }
+
+  /**
+   * Canonical form of an archive path used as manifest key. Paths with a ".."
+   * segment are refused rather than resolved, so no path reaches outside its
+   * archive.
+   * @throws {Error} With statusCode 400 for a path with a ".." segment
+   */
+  toManifestKey(relativePath) {
+    const segments = String(relativePath).replace(/\\/g, '/').split('/');
+    if (segments.includes('..')) {
+      const error = new Error(`Invalid archive path: ${relativePath}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return segments.filter(segment => segment && segment !== '.').join('/');
+  }
+
+  /**
+   * Storage key of an archive path that is not in the blob store
+   * @throws {Error} With statusCode 400 for an archive ID or path that could leave the archive
+   */
+  toStorageKey(archiveId, relativePath) {
+    if (!archiveId || /[/\\]/.test(archiveId) || archiveId === '.' || archiveId === '..') {
+      const error = new Error(`Invalid archive ID: ${archiveId}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return `${archiveId}/${this.toManifestKey(relativePath)}`;
   }
 
   /**
    * Check if a file exists in the archive
    * @param {string} archiveId - Archive ID
    * @param {string} relativePath - Relative path within archive
-   * @returns {boolean} Whether file exists
+   * @returns {Promise<boolean>} Whether file exists
+   */
+  async fileExists(archiveId, relativePath) {
+    return storageDriver.exists(await this.resolveKey(archiveId, relativePath));
+  }
+
+  /**
+   * Whether an archive's pages can be browsed, searched for captures and exported
+   * @param {Object} archive - Archive record
+   * @returns {boolean}
+   */
+  isViewable(archive) {
+    return VIEWABLE_STATUSES.includes(archive.status);
+  }
+
+  /**
+   * List every capture of a page URL across viewable archives, oldest first
+   * @param {string} url - Original page URL
+   * @returns {Array<Object>} [{ archiveId, path, capturedAt }]
+   */
+  getPageCaptures(url) {
+    return this.getCaptures(url, ['page']);
+  }
+
+  /**
+   * List every capture of a URL, as a page or an asset, across viewable
+   * archives, oldest first
+   * @param {string} url - Original URL
+   * @param {Array<string>} [kinds] - Resource kinds to include ('page', 'asset')
+   * @returns {Array<Object>} [{ archiveId, path, kind, capturedAt }]
    */
-  fileExists(archiveId, relativePath) {
-    const filePath = this.getArchivedFilePath(archiveId, relativePath);
-    return fs.existsSync(filePath);
+  getCaptures(url, kinds = Object.values(RESOURCE_KINDS)) {
+    const placeholders = values => values.map(() => '?').join(', ');
+    return db.prepare(`
+      SELECT resources.archive_id, resources.path, resources.kind, resources.captured_at, resources.saved_at
+      FROM resources JOIN archives ON archives.id = resources.archive_id
+      WHERE resources.kind IN (${placeholders(kinds)}) AND resources.url = ?
+        AND archives.status IN (${placeholders(VIEWABLE_STATUSES)})
+      ORDER BY resources.id
+    `).all(...kinds, url, ...VIEWABLE_STATUSES)
+      .map(row => ({
+        archiveId: row.archive_id,
+        path: row.path,
+        kind: row.kind,
+        capturedAt: row.captured_at || row.saved_at
+      }))
+      .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt));
   }
 
   /**
@@ -183,8 +996,7 @@ class StorageService {
    * @returns {Array} All archives
    */
   getAllArchives() {
-    const metadata = fs.readJsonSync(this.metadataFile);
-    return metadata.archives.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return this.toArchives(db.prepare('SELECT * FROM archives').all()).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 }
 
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const pixelmatch = require('pixelmatch');
+const { PNG } = require('pngjs');
+const storageService = require('./storage');
+
+// pixelmatch's perceptual colour distance threshold: 0 flags any difference,
+// 1 only the most extreme ones
+const DEFAULT_THRESHOLD = 0.1;
+// Fills the area one screenshot lacks; pixelmatch blends transparency with
+// white, so it has to be an opaque colour unlikely to appear on the page
+const PADDING_COLOR = [255, 0, 255, 255];
+// Comparing runs synchronously on the request thread, with four RGBA buffers
+// of the canvas in memory, so larger screenshots are refused
+const MAX_PIXELS = 16 * 1024 * 1024;
+// Highlighted diff images are kept in memory for the viewer, never in an archive
+const MAX_CACHED_IMAGES = 20;
+
+class VisualDiffService {
+  constructor() {
+    // id -> PNG buffer, oldest first
+    this.images = new Map();
+  }
+
+  /**
+   * Validate the perceptual threshold parameter
+   * @param {*} value - Query value
+   * @returns {number|null} Threshold, or null if invalid
+   */
+  parseThreshold(value) {
+    if (value === undefined || value === '') {
+      return DEFAULT_THRESHOLD;
+    }
+    const threshold = Number(value);
+    return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : null;
+  }
+
+  /**
+   * Compare the screenshots of two captures of a page. The highlighted diff
+   * image is cached in memory (see getImage) unless image is false.
+   * @param {Object} from - Older capture { archiveId, path, capturedAt }
+   * @param {Object} to - Newer capture
+   * @param {number} [threshold] - Perceptual threshold (0-1)
+   * @param {Object} [options] - { image: false } to only count changed pixels
+   * @returns {Promise<Object|null>} { url, from, to, width, height, changedPixels, totalPixels, percentChanged, diff }, or null without screenshots
+   * @throws {Error} With statusCode 422 if the screenshots are larger than MAX_PIXELS
+   */
+  async comparePage(from, to, threshold = DEFAULT_THRESHOLD, { image = true } = {}) {
+    const before = await this.getScreenshot(from);
+    const after = await this.getScreenshot(to);
+    if (!before || !after) {
+      return null;
+    }
+
+    // Full-page screenshots differ in height when content is added or removed;
+    // compare on a common canvas so the extra area counts as changed
+    const width = Math.max(before.width, after.width);
+    const height = Math.max(before.height, after.height);
+    const totalPixels = width * height;
+    if (totalPixels > MAX_PIXELS) {
+      const error = new Error(`Screenshots of ${after.page.url} are too large to compare (${width}x${height}, at most ${MAX_PIXELS} pixels)`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const output = image ? new PNG({ width, height }) : null;
+    const changedPixels = pixelmatch(
+      this.toCanvas(PNG.sync.read(before.content), width, height).data,
+      this.toCanvas(PNG.sync.read(after.content), width, height).data,
+      output && output.data,
+      width,
+      height,
+      { threshold, includeAA: false, alpha: 0.2 }
+    );
+
+    return {
+      url: after.page.url,
+      from: { archiveId: from.archiveId, path: from.path, capturedAt: from.capturedAt, screenshot: before.path },
+      to: { archiveId: to.archiveId, path: to.path, capturedAt: to.capturedAt, screenshot: after.path },
+      width,
+      height,
+      changedPixels,
+      totalPixels,
+      percentChanged: this.toPercent(changedPixels, totalPixels),
+      diff: output ? this.cacheImage(PNG.sync.write(output)) : null
+    };
+  }
+
+  /**
+   * Compare every page captured in both archives. Only the changed pixels are
+   * counted; highlighted images are made per page by comparePage.
+   * @param {Object} fromArchive - Older archive record
+   * @param {Object} toArchive - Newer archive record
+   * @param {number} [threshold] - Perceptual threshold (0-1)
+   * @returns {Promise<Object>} { from, to, pages, changedPixels, totalPixels, percentChanged, skipped }
+   */
+  async compareArchives(fromArchive, toArchive, threshold = DEFAULT_THRESHOLD) {
+    const toCapture = (archive, page) => ({
+      archiveId: archive.id,
+      path: page.path,
+      capturedAt: (page.capture && page.capture.capturedAt) || page.savedAt
+    });
+    const beforePages = new Map((fromArchive.pages || []).map(page => [page.url, page]));
+    const pages = [];
+    const skipped = [];
+
+    for (const page of toArchive.pages || []) {
+      const previous = beforePages.get(page.url);
+      if (!previous) {
+        continue;
+      }
+      let result;
+      try {
+        result = await this.comparePage(toCapture(fromArchive, previous), toCapture(toArchive, page), threshold, { image: false });
+      } catch (error) {
+        if (error.statusCode !== 422) {
+          throw error;
+        }
+        skipped.push({ url: page.url, reason: error.message });
+        continue;
+      }
+      if (result) {
+        pages.push(result);
+      } else {
+        skipped.push({ url: page.url, reason: 'No screenshot in one of the snapshots' });
+      }
+    }
+
+    // Weighted by page area, so a small page changing entirely counts for less than a long one
+    const changedPixels = pages.reduce((sum, page) => sum + page.changedPixels, 0);
+    const totalPixels = pages.reduce((sum, page) => sum + page.totalPixels, 0);
+
+    return {
+      from: { archiveId: fromArchive.id, timestamp: fromArchive.timestamp },
+      to: { archiveId: toArchive.id, timestamp: toArchive.timestamp },
+      pages: pages.sort((a, b) => b.percentChanged - a.percentChanged),
+      changedPixels,
+      totalPixels,
+      percentChanged: this.toPercent(changedPixels, totalPixels),
+      skipped
+    };
+  }
+
+  /**
+   * Read the screenshot rendition of a capture, with its dimensions from the
+   * PNG header so oversized images are refused before they are decoded
+   * @returns {Promise<Object|null>} { page, path, content, width, height }
+   */
+  async getScreenshot(capture) {
+    const archive = storageService.getArchive(capture.archiveId);
+    const page = archive && (archive.pages || []).find(entry => entry.path === capture.path);
+    const screenshotPath = page && page.renditions && page.renditions.screenshot;
+    if (!screenshotPath) {
+      return null;
+    }
+    const content = await storageService.readFile(capture.archiveId, screenshotPath);
+    if (!content) {
+      return null;
+    }
+    if (content.length < 24 || content.toString('latin1', 12, 16) !== 'IHDR') {
+      throw new Error(`${screenshotPath} in archive ${capture.archiveId} is not a PNG image`);
+    }
+    return { page, path: screenshotPath, content, width: content.readUInt32BE(16), height: content.readUInt32BE(20) };
+  }
+
+  /**
+   * Keep a highlighted diff image for the viewer, dropping the oldest beyond
+   * MAX_CACHED_IMAGES
+   * @param {Buffer} content - PNG image
+   * @returns {string} Image ID for getImage
+   */
+  cacheImage(content) {
+    const id = crypto.createHash('sha256').update(content).digest('hex');
+    this.images.delete(id);
+    this.images.set(id, content);
+    while (this.images.size > MAX_CACHED_IMAGES) {
+      this.images.delete(this.images.keys().next().value);
+    }
+    return id;
+  }
+
+  /**
+   * A cached diff image
+   * @param {string} id - Image ID from comparePage
+   * @returns {Buffer|null} PNG image, or null once it has been dropped
+   */
+  getImage(id) {
+    return this.images.get(id) || null;
+  }
+
+  /**
+   * Place an image in the top-left corner of a larger, padded canvas
+   */
+  toCanvas(image, width, height) {
+    if (image.width === width && image.height === height) {
+      return image;
+    }
+    const canvas = new PNG({ width, height });
+    for (let offset = 0; offset < canvas.data.length; offset += 4) {
+      canvas.data.set(PADDING_COLOR, offset);
+    }
+    PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Share of a total as a percentage with two decimals
+   */
+  toPercent(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+  }
+}
+
+module.exports = new VisualDiffService();
@@ -0,0 +1,600 @@
+const zlib = require('zlib');
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+const mime = require('mime-types');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const storageService = require('./storage');
+const { toSurt } = require('../utils/surt');
+const { toTimestamp14 } = require('../utils/timestamp');
+const { sha1Base32 } = require('../utils/digest');
+
+const SOFTWARE = 'WebArchiver/1.0';
+const WARC_FILENAME = 'data.warc.gz';
+
+// Headers describing the transfer rather than the payload. The stored bodies are
+// already decoded, so these are kept for reference under X-Archive-Orig-*.
+const TRANSFER_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+class WarcService {
+  /**
+   * Build a gzipped WARC 1.1 file for an archive
+   * @param {Object} archive - Archive metadata
+   * @returns {Promise<Object>} { buffer, index } where index holds one CDXJ entry per captured resource
+   */
+  async buildWarc(archive) {
+    const chunks = [];
+    const index = [];
+    let offset = 0;
+
+    const append = (headers, block) => {
+      const record = zlib.gzipSync(this.serializeRecord(headers, block));
+      chunks.push(record);
+      const entry = { offset, length: record.length };
+      offset += record.length;
+      return entry;
+    };
+
+    append(...this.buildWarcInfo(archive));
+
+    const resources = [
+      ...(archive.pages || []).map(page => ({ ...page, kind: 'page' })),
+      ...(archive.assets || []).map(asset => ({ ...asset, kind: 'asset' }))
+    ];
+
+    for (const resource of resources) {
+      try {
+        if (resource.capture) {
+          const records = await this.buildExchangeRecords(archive, resource);
+          records.forEach(({ headers, block, indexed }) => {
+            const position = append(headers, block);
+            if (indexed) {
+              index.push({ ...indexed, ...position });
+            }
+          });
+        } else {
+          // Captured before originals were kept: export the stored copy as-is
+          const { headers, block, indexed } = await this.buildResourceRecord(archive, resource);
+          index.push({ ...indexed, ...append(headers, block) });
+        }
+      } catch (error) {
+        console.warn(`Skipping ${resource.url} in WARC export: ${error.message}`);
+      }
+    }
+
+    return { buffer: Buffer.concat(chunks), index };
+  }
+
+  /**
+   * Build a WACZ package (zip with WARC, CDXJ index, pages list and datapackage.json)
+   * @param {Object} archive - Archive metadata
+   * @returns {Promise<Buffer>} WACZ file contents
+   */
+  async buildWacz(archive) {
+    const { buffer: warc, index } = await this.buildWarc(archive);
+    const cdxj = Buffer.from(this.buildCdxj(index), 'utf8');
+    const pages = Buffer.from(this.buildPagesJsonl(archive), 'utf8');
+
+    const files = [
+      { path: `archive/${WARC_FILENAME}`, content: warc },
+      { path: 'indexes/index.cdxj', content: cdxj },
+      { path: 'pages/pages.jsonl', content: pages }
+    ];
+
+    const startPage = (archive.pages || [])[0];
+    const datapackage = {
+      profile: 'data-package',
+      wacz_version: '1.1.1',
+      title: `${archive.domain} (${archive.timestamp})`,
+      created: new Date().toISOString(),
+      software: SOFTWARE,
+      mainPageUrl: startPage ? startPage.url : archive.url,
+      mainPageDate: startPage ? startPage.savedAt : archive.timestamp,
+      resources: files.map(file => ({
+        name: file.path.split('/').pop(),
+        path: file.path,
+        hash: `sha256:${this.sha256(file.content)}`,
+        bytes: file.content.length
+      }))
+    };
+    const datapackageBuffer = Buffer.from(JSON.stringify(datapackage, null, 2), 'utf8');
+    const digest = {
+      path: 'datapackage.json',
+      hash: `sha256:${this.sha256(datapackageBuffer)}`
+    };
+
+    const zipfile = new yazl.ZipFile();
+    files.forEach(file => {
+      // The WARC is already gzipped record by record; storing keeps offsets seekable
+      zipfile.addBuffer(file.content, file.path, { compress: !file.path.endsWith('.gz') });
+    });
+    zipfile.addBuffer(datapackageBuffer, 'datapackage.json');
+    zipfile.addBuffer(Buffer.from(JSON.stringify(digest, null, 2), 'utf8'), 'datapackage-digest.json');
+    zipfile.end();
+
+    return new Promise((resolve, reject) => {
+      const parts = [];
+      zipfile.outputStream.on('data', chunk => parts.push(chunk));
+      zipfile.outputStream.on('end', () => resolve(Buffer.concat(parts)));
+      zipfile.outputStream.on('error', reject);
+    });
+  }
+
+  /**
+   * Build the warcinfo record describing this export
+   */
+  buildWarcInfo(archive) {
+    const fields = [
+      `software: ${SOFTWARE}`,
+      'format: WARC File Format 1.1',
+      'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+      `isPartOf: ${archive.id}`,
+      `description: Archive of ${archive.url}`,
+      `robots: ${archive.options ? archive.options.robots : 'unknown'}`
+    ].join('\r\n') + '\r\n';
+
+    return [{
+      'WARC-Type': 'warcinfo',
+      'WARC-Record-ID': this.recordId(),
+      'WARC-Date': new Date().toISOString(),
+      'WARC-Filename': WARC_FILENAME,
+      'Content-Type': 'application/warc-fields'
+    }, Buffer.from(fields, 'utf8')];
+  }
+
+  /**
+   * Build request, response and metadata records for a resource with a stored original exchange
+   */
+  async buildExchangeRecords(archive, resource) {
+    const { capture } = resource;
+    // Revisits are exported with their full body so the file stands on its own
+    const body = await storageService.readOriginal(archive.id, capture);
+    const date = capture.capturedAt || resource.savedAt;
+    const responseId = this.recordId();
+    const payloadDigest = sha1Base32(body);
+
+    const responseHead = this.serializeHttpHeaders(
+      `HTTP/1.1 ${capture.status} ${capture.statusText || http.STATUS_CODES[capture.status] || ''}`.trim(),
+      this.responseHeaders(capture.headers, body.length)
+    );
+    const responseBlock = Buffer.concat([responseHead, body]);
+
+    const target = new URL(resource.url);
+    const requestBlock = Buffer.concat([
+      this.serializeHttpHeaders(
+        `${capture.method || 'GET'} ${target.pathname}${target.search} HTTP/1.1`,
+        { host: target.host, ...capture.requestHeaders }
+      ),
+      Buffer.from(capture.requestBody || '', 'utf8')
+    ]);
+
+    const metadataFields = [
+      `resourceType: ${resource.kind}`,
+      `archivedPath: ${resource.path}`,
+      `savedAt: ${resource.savedAt}`
+    ];
+    if (capture.source) {
+      metadataFields.push(`captureSource: ${capture.source}`);
+    }
+    if (capture.resourceType) {
+      metadataFields.push(`browserResourceType: ${capture.resourceType}`);
+    }
+    if (capture.timing && capture.timing.durationMs !== null) {
+      metadataFields.push(`fetchTimeMs: ${capture.timing.durationMs}`);
+    }
+    if (capture.revisit) {
+      metadataFields.push(`revisitOf: ${capture.revisit.archiveId} (${capture.revisit.reason}, ${capture.revisit.capturedAt})`);
+    }
+    const metadataBlock = Buffer.from(metadataFields.join('\r\n') + '\r\n', 'utf8');
+
+    const contentType = this.headerValue(capture.headers, 'content-type') || mime.lookup(resource.path) || 'application/octet-stream';
+
+    return [
+      {
+        headers: {
+          'WARC-Type': 'response',
+          'WARC-Record-ID': responseId,
+          'WARC-Date': date,
+          'WARC-Target-URI': resource.url,
+          'WARC-Payload-Digest': payloadDigest,
+          'WARC-Block-Digest': sha1Base32(responseBlock),
+          'Content-Type': 'application/http;msgtype=response'
+        },
+        block: responseBlock,
+        indexed: {
+          url: resource.url,
+          timestamp: date,
+          mime: contentType.split(';')[0].trim(),
+          status: capture.status,
+          digest: payloadDigest
+        }
+      },
+      {
+        headers: {
+          'WARC-Type': 'request',
+          'WARC-Record-ID': this.recordId(),
+          'WARC-Date': date,
+          'WARC-Target-URI': resource.url,
+          'WARC-Concurrent-To': responseId,
+          'WARC-Block-Digest': sha1Base32(requestBlock),
+          'Content-Type': 'application/http;msgtype=request'
+        },
+        block: requestBlock
+      },
+      {
+        headers: {
+          'WARC-Type': 'metadata',
+          'WARC-Record-ID': this.recordId(),
+          'WARC-Date': date,
+          'WARC-Target-URI': resource.url,
+          'WARC-Concurrent-To': responseId,
+          'Content-Type': 'application/warc-fields'
+        },
+        block: metadataBlock
+      }
+    ];
+  }
+
+  /**
+   * Build a resource record from the stored (rewritten) copy of a resource
+   */
+  async buildResourceRecord(archive, resource) {
+    const body = await storageService.readFile(archive.id, resource.path);
+    if (!body) {
+      throw new Error(`${resource.path} is missing from the archive`);
+    }
+    const contentType = mime.lookup(resource.path) || 'application/octet-stream';
+    const digest = sha1Base32(body);
+
+    return {
+      headers: {
+        'WARC-Type': 'resource',
+        'WARC-Record-ID': this.recordId(),
+        'WARC-Date': resource.savedAt,
+        'WARC-Target-URI': resource.url,
+        'WARC-Payload-Digest': digest,
+        'WARC-Block-Digest': digest,
+        'Content-Type': contentType
+      },
+      block: body,
+      indexed: {
+        url: resource.url,
+        timestamp: resource.savedAt,
+        mime: contentType,
+        status: 200,
+        digest
+      }
+    };
+  }
+
+  /**
+   * Build a sorted CDXJ index
+   * @param {Array} index - Entries returned by buildWarc
+   * @returns {string} CDXJ text
+   */
+  buildCdxj(index) {
+    return index
+      .map(entry => {
+        const fields = {
+          url: entry.url,
+          mime: entry.mime,
+          status: String(entry.status),
+          digest: entry.digest,
+          length: String(entry.length),
+          offset: String(entry.offset),
+          filename: WARC_FILENAME
+        };
+        return `${toSurt(entry.url)} ${toTimestamp14(entry.timestamp)} ${JSON.stringify(fields)}`;
+      })
+      .sort()
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Build the pages.jsonl list of entry points for a WACZ
+   */
+  buildPagesJsonl(archive) {
+    const lines = [{ format: 'json-pages-1.0', id: 'pages', title: 'All Pages' }];
+    (archive.pages || []).forEach(page => {
+      lines.push({ id: uuidv4(), url: page.url, ts: page.savedAt });
+    });
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Parse a WARC file (plain or gzipped). Malformed or truncated records are
+   * reported individually instead of aborting the whole file.
+   * @param {Buffer} buffer - WARC file contents
+   * @returns {Object} { records, errors } where each record has { type, headers, block, offset }
+   */
+  parseWarc(buffer) {
+    const records = [];
+    const errors = [];
+    let data = buffer;
+
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        data = zlib.gunzipSync(buffer);
+      } catch (error) {
+        errors.push({ offset: null, error: `Compressed stream is truncated or corrupt: ${error.message}` });
+        try {
+          // Sync flush keeps whatever decompresses cleanly before the damage
+          data = zlib.gunzipSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (flushError) {
+          return { records, errors };
+        }
+      }
+    }
+
+    let position = 0;
+    while (position < data.length) {
+      // Skip blank lines between records
+      while (position < data.length && (data[position] === 0x0d || data[position] === 0x0a)) {
+        position++;
+      }
+      if (position >= data.length) {
+        break;
+      }
+
+      const offset = position;
+      const headerEnd = data.indexOf('\r\n\r\n', position);
+
+      if (!data.slice(position, position + 5).equals(Buffer.from('WARC/')) || headerEnd === -1) {
+        errors.push({ offset, error: 'Malformed record: missing WARC header' });
+        const next = data.indexOf('\r\nWARC/', position);
+        if (next === -1) {
+          break;
+        }
+        position = next + 2;
+        continue;
+      }
+
+      const headerLines = data.slice(position, headerEnd).toString('utf8').split('\r\n');
+      const headers = {};
+      headerLines.slice(1).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+        }
+      });
+
+      const contentLength = parseInt(headers['content-length'], 10);
+      const blockStart = headerEnd + 4;
+      const recordInfo = {
+        offset,
+        recordId: headers['warc-record-id'],
+        targetUri: headers['warc-target-uri']
+      };
+
+      if (isNaN(contentLength)) {
+        errors.push({ ...recordInfo, error: 'Malformed record: missing Content-Length' });
+        const next = data.indexOf('\r\nWARC/', blockStart);
+        if (next === -1) {
+          break;
+        }
+        position = next + 2;
+        continue;
+      }
+
+      if (blockStart + contentLength > data.length) {
+        errors.push({ ...recordInfo, error: `Truncated record: expected ${contentLength} bytes, found ${data.length - blockStart}` });
+        break;
+      }
+
+      records.push({
+        ...recordInfo,
+        type: headers['warc-type'],
+        headers,
+        block: data.slice(blockStart, blockStart + contentLength)
+      });
+      position = blockStart + contentLength;
+    }
+
+    return { records, errors };
+  }
+
+  /**
+   * Parse an HTTP message stored in a response or request record block
+   * @param {Buffer} block - Record content block
+   * @returns {Object} { startLine, status, statusText, headers, body }
+   */
+  parseHttpMessage(block) {
+    const headerEnd = block.indexOf('\r\n\r\n');
+    if (headerEnd === -1) {
+      throw new Error('Malformed HTTP message: missing header terminator');
+    }
+
+    const [startLine, ...lines] = block.slice(0, headerEnd).toString('latin1').split('\r\n');
+    const headers = {};
+    lines.forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        return;
+      }
+      const name = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+      if (headers[name] === undefined) {
+        headers[name] = value;
+      } else {
+        headers[name] = [].concat(headers[name], value);
+      }
+    });
+
+    const statusMatch = startLine.match(/^HTTP\/[\d.]+\s+(\d{3})\s*(.*)$/);
+    let body = block.slice(headerEnd + 4);
+
+    if (this.headerValue(headers, 'transfer-encoding') === 'chunked') {
+      body = this.decodeChunked(body);
+    }
+
+    const encoding = (this.headerValue(headers, 'content-encoding') || '').toLowerCase();
+    if (encoding === 'gzip' || encoding === 'x-gzip') {
+      body = zlib.gunzipSync(body);
+    } else if (encoding === 'deflate') {
+      body = zlib.inflateSync(body);
+    } else if (encoding === 'br') {
+      body = zlib.brotliDecompressSync(body);
+    }
+
+    return {
+      startLine,
+      status: statusMatch ? parseInt(statusMatch[1], 10) : null,
+      statusText: statusMatch ? statusMatch[2] : '',
+      headers,
+      body
+    };
+  }
+
+  /**
+   * Decode a chunked transfer-encoded body
+   */
+  decodeChunked(body) {
+    const parts = [];
+    let position = 0;
+
+    while (position < body.length) {
+      const lineEnd = body.indexOf('\r\n', position);
+      if (lineEnd === -1) {
+        throw new Error('Malformed chunked body');
+      }
+      const size = parseInt(body.slice(position, lineEnd).toString('latin1'), 16);
+      if (isNaN(size)) {
+        throw new Error('Malformed chunk size');
+      }
+      if (size === 0) {
+        break;
+      }
+      parts.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+      position = lineEnd + 2 + size + 2;
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Read the parts of a WACZ package needed for import
+   * @param {Buffer} buffer - WACZ (zip) contents
+   * @returns {Promise<Object>} { warcs: [{ name, buffer }], datapackage, pages }
+   */
+  readWacz(buffer) {
+    return new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipfile) => {
+        if (error) {
+          return reject(error);
+        }
+
+        const result = { warcs: [], datapackage: null, pages: [] };
+
+        zipfile.on('entry', entry => {
+          const name = entry.fileName;
+          const isWarc = /^archive\/.+\.warc(\.gz)?$/.test(name);
+          const isPages = /^pages\/.+\.jsonl$/.test(name);
+
+          if (!isWarc && !isPages && name !== 'datapackage.json') {
+            zipfile.readEntry();
+            return;
+          }
+
+          zipfile.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              return reject(streamError);
+            }
+            const parts = [];
+            stream.on('data', chunk => parts.push(chunk));
+            stream.on('error', reject);
+            stream.on('end', () => {
+              const content = Buffer.concat(parts);
+              if (isWarc) {
+                result.warcs.push({ name, buffer: content });
+              } else if (isPages) {
+                content.toString('utf8').split('\n').forEach(line => {
+                  try {
+                    const page = JSON.parse(line);
+                    if (page.url) {
+                      result.pages.push(page);
+                    }
+                  } catch (parseError) {
+                    // Ignore blank or malformed lines
+                  }
+                });
+              } else {
+                try {
+                  result.datapackage = JSON.parse(content.toString('utf8'));
+                } catch (parseError) {
+                  result.datapackage = null;
+                }
+              }
+              zipfile.readEntry();
+            });
+          });
+        });
+
+        zipfile.on('end', () => resolve(result));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+      });
+    });
+  }
+
+  /**
+   * Serialize a WARC record (header block, content block, trailing CRLFs)
+   */
+  serializeRecord(headers, block) {
+    const lines = ['WARC/1.1'];
+    for (const [name, value] of Object.entries(headers)) {
+      lines.push(`${name}: ${value}`);
+    }
+    lines.push(`Content-Length: ${block.length}`);
+
+    return Buffer.concat([
+      Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'utf8'),
+      block,
+      Buffer.from('\r\n\r\n', 'utf8')
+    ]);
+  }
+
+  /**
+   * Serialize an HTTP start line and headers (multi-value headers become repeated lines)
+   */
+  serializeHttpHeaders(startLine, headers) {
+    const lines = [startLine];
+    for (const [name, value] of Object.entries(headers)) {
+      const values = Array.isArray(value) ? value : String(value).split('\n');
+      values.forEach(v => lines.push(`${name}: ${v}`));
+    }
+    return Buffer.from(lines.join('\r\n') + '\r\n\r\n', 'utf8');
+  }
+
+  /**
+   * Adjust recorded response headers to describe the stored (decoded) body
+   */
+  responseHeaders(headers, bodyLength) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+      if (TRANSFER_HEADERS.includes(name.toLowerCase())) {
+        result[`x-archive-orig-${name.toLowerCase()}`] = value;
+      } else {
+        result[name] = value;
+      }
+    }
+    result['content-length'] = String(bodyLength);
+    return result;
+  }
+
+  headerValue(headers, name) {
+    const value = (headers || {})[name];
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  recordId() {
+    return `<urn:uuid:${uuidv4()}>`;
+  }
+
+  sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+}
+
+module.exports = new WarcService();
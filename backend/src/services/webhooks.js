@@ -0,0 +1,747 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { URL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const storageService = require('./storage');
+const { extractBlocks } = require('../utils/text');
+const { measureTextChange } = require('../utils/diff');
+const { sha1Base32 } = require('../utils/digest');
+const { isPrivateHost, publicLookup } = require('../utils/address');
+
+const EVENTS = ['archive.completed', 'archive.failed', 'page.changed'];
+// Percentage of words added or removed before page.changed fires; 0 fires on any content change
+const DEFAULT_CHANGE_THRESHOLD = 1;
+const MIN_SECRET_LENGTH = 16;
+const MAX_ATTEMPTS = 6;
+// Doubled after every failed attempt: 30s, 1m, 2m, 4m, 8m
+const RETRY_BASE_DELAY = 30 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+// Delivery log entries kept across all webhooks; the oldest are dropped first
+const MAX_DELIVERIES = 1000;
+const MAX_LOGGED_RESPONSE = 1024;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Outgoing webhooks: subscriptions and every delivery (with its attempts) are
+ * kept in the database. Payloads are signed with HMAC-SHA256 over
+ * "<timestamp>.<body>".
+ *
+ * Webhook URLs may not point at loopback, private or link-local addresses,
+ * neither as written nor once their host name resolves, so a subscriber cannot
+ * make the server post to its own network. WEBHOOK_ALLOW_PRIVATE=true lifts
+ * this, e.g. for a receiver on the same machine. Redirects are not followed.
+ */
+class WebhookService {
+  constructor(env = process.env) {
+    this.retryTimers = new Map(); // delivery ID -> pending retry
+    this.allowPrivate = env.WEBHOOK_ALLOW_PRIVATE === 'true';
+    // Checked when connecting, so a host name cannot resolve elsewhere after validation
+    this.agents = this.allowPrivate ? {} : {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+  }
+
+  /**
+   * Resume deliveries that were waiting for a retry when the server stopped
+   */
+  start() {
+    this.importLegacyFiles();
+    const now = Date.now();
+    db.prepare("SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY seq").all()
+      .map(row => this.toDelivery(row))
+      .forEach(delivery => this.scheduleAttempt(delivery.id, new Date(delivery.nextAttemptAt).getTime() - now));
+  }
+
+  /**
+   * Import webhooks.json and webhook-deliveries.json from the storage
+   * directory, which held webhooks and their deliveries before the database,
+   * and rename them to *.imported
+   */
+  importLegacyFiles() {
+    const webhooksFile = path.join(storageService.archivesDir, 'webhooks.json');
+    const deliveriesFile = path.join(storageService.archivesDir, 'webhook-deliveries.json');
+    if (!fs.existsSync(webhooksFile)) {
+      return;
+    }
+    const { webhooks = [] } = fs.readJsonSync(webhooksFile);
+    const { deliveries = [] } = fs.existsSync(deliveriesFile) ? fs.readJsonSync(deliveriesFile) : {};
+    const known = new Set(webhooks.map(webhook => webhook.id));
+
+    db.transaction(() => {
+      webhooks.filter(webhook => !this.get(webhook.id)).forEach(webhook => this.saveWebhook(webhook));
+      deliveries
+        .filter(delivery => known.has(delivery.webhookId))
+        .forEach(delivery => this.insertDelivery(delivery, 'INSERT OR IGNORE'));
+    })();
+
+    [webhooksFile, deliveriesFile]
+      .filter(file => fs.existsSync(file))
+      .forEach(file => fs.renameSync(file, `${file}.imported`));
+    console.log(`🗃️  Imported ${webhooks.length} webhooks and ${deliveries.length} deliveries into the database`);
+  }
+
+  /**
+   * Get all webhooks
+   * @returns {Array<Object>} Webhooks, newest first
+   */
+  getAll() {
+    return db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC').all().map(row => this.toWebhook(row));
+  }
+
+  /**
+   * Get one webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Object|null} Webhook
+   */
+  get(webhookId) {
+    const row = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId);
+    return row ? this.toWebhook(row) : null;
+  }
+
+  /**
+   * Subscribe a URL to events. A signing secret is generated unless one is given.
+   * @param {Object} input - { url, events, secret, urlPrefixes, changeThreshold, ignoreSelectors, active }
+   * @returns {Object} { webhook, errors }
+   */
+  create(input) {
+    const { fields, errors } = this.validate(input);
+    if (errors.length > 0) {
+      return { webhook: null, errors };
+    }
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: uuidv4(),
+      events: [...EVENTS],
+      secret: crypto.randomBytes(32).toString('hex'),
+      urlPrefixes: [],
+      changeThreshold: DEFAULT_CHANGE_THRESHOLD,
+      ignoreSelectors: [],
+      active: true,
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.saveWebhook(webhook);
+
+    return { webhook, errors };
+  }
+
+  /**
+   * Change some fields of a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} input - Fields to change (see create)
+   * @returns {Object|null} { webhook, errors }, or null if there is no such webhook
+   */
+  update(webhookId, input) {
+    const webhook = this.get(webhookId);
+    if (!webhook) {
+      return null;
+    }
+
+    const { fields, errors } = this.validate(input, webhook);
+    if (errors.length > 0) {
+      return { webhook: null, errors };
+    }
+
+    Object.assign(webhook, fields, { updatedAt: new Date().toISOString() });
+    this.saveWebhook(webhook);
+
+    return { webhook, errors };
+  }
+
+  /**
+   * Delete a webhook and its delivery log. Pending retries are dropped.
+   * @param {string} webhookId - Webhook ID
+   * @returns {boolean} Whether the webhook existed
+   */
+  remove(webhookId) {
+    db.prepare("SELECT id FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'").all(webhookId)
+      .forEach(delivery => this.cancelAttempt(delivery.id));
+    // Deliveries go with the webhook (ON DELETE CASCADE)
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(webhookId).changes > 0;
+  }
+
+  /**
+   * Validate webhook fields
+   * @param {Object} input - Fields from the request body
+   * @param {Object} [existing] - Webhook being updated; fields not in input are kept
+   * @returns {Object} { fields, errors }
+   */
+  validate(input, existing = null) {
+    const errors = [];
+    const fields = {};
+
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+      return { fields, errors: ['Webhook must be an object'] };
+    }
+
+    if (input.url !== undefined || !existing) {
+      try {
+        const url = new URL(String(input.url || ''));
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('Not an http(s) URL');
+        }
+        if (!this.allowPrivate && isPrivateHost(url.hostname)) {
+          errors.push('url must not point at a loopback, private or link-local address (set WEBHOOK_ALLOW_PRIVATE=true to allow)');
+        } else {
+          fields.url = url.href;
+        }
+      } catch (error) {
+        errors.push('url must be an absolute http(s) URL');
+      }
+    }
+
+    if (input.events !== undefined) {
+      const unknown = Array.isArray(input.events) ? input.events.filter(event => !EVENTS.includes(event)) : [];
+      if (!Array.isArray(input.events) || input.events.length === 0) {
+        errors.push(`events must be a non-empty list of: ${EVENTS.join(', ')}`);
+      } else if (unknown.length > 0) {
+        errors.push(`Unknown events: ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+      } else {
+        fields.events = [...new Set(input.events)];
+      }
+    }
+
+    if (input.secret !== undefined) {
+      if (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH) {
+        errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+      } else {
+        fields.secret = input.secret;
+      }
+    }
+
+    if (input.urlPrefixes !== undefined) {
+      if (!Array.isArray(input.urlPrefixes) || input.urlPrefixes.some(prefix => typeof prefix !== 'string' || !prefix.trim())) {
+        errors.push('urlPrefixes must be a list of URL prefixes');
+      } else {
+        fields.urlPrefixes = input.urlPrefixes.map(prefix => prefix.trim());
+      }
+    }
+
+    if (input.changeThreshold !== undefined) {
+      const threshold = Number(input.changeThreshold);
+      if (input.changeThreshold === null || input.changeThreshold === '' || !Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        errors.push('changeThreshold must be a percentage between 0 and 100');
+      } else {
+        fields.changeThreshold = threshold;
+      }
+    }
+
+    if (input.ignoreSelectors !== undefined) {
+      if (!Array.isArray(input.ignoreSelectors) || input.ignoreSelectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        errors.push('ignoreSelectors must be a list of CSS selectors');
+      } else {
+        const $ = cheerio.load('');
+        input.ignoreSelectors.forEach(selector => {
+          try {
+            $(selector);
+          } catch (error) {
+            errors.push(`Invalid CSS selector in ignoreSelectors: ${selector}`);
+          }
+        });
+        fields.ignoreSelectors = input.ignoreSelectors.map(selector => selector.trim());
+      }
+    }
+
+    if (input.active !== undefined) {
+      if (typeof input.active !== 'boolean') {
+        errors.push('active must be true or false');
+      } else {
+        fields.active = input.active;
+      }
+    }
+
+    return { fields, errors };
+  }
+
+  /**
+   * Send the events for a crawl that just ended: archive.completed or
+   * archive.failed, and page.changed for each page that differs enough from
+   * its previous capture. Never throws; failures are logged.
+   * @param {string} archiveId - Archive ID
+   */
+  async notifyArchiveFinished(archiveId) {
+    try {
+      const archive = storageService.getArchive(archiveId);
+      if (!archive || !['completed', 'failed'].includes(archive.status)) {
+        return;
+      }
+
+      this.emit(`archive.${archive.status}`, { archive: this.describeArchive(archive) }, archive.url);
+      if (archive.status === 'completed') {
+        await this.detectPageChanges(archive);
+      }
+    } catch (error) {
+      console.error('Webhook notification error:', error);
+    }
+  }
+
+  /**
+   * Compare every page of a completed archive with its previous capture and
+   * emit page.changed to each subscriber whose threshold is exceeded
+   * @param {Object} archive - Archive record
+   */
+  async detectPageChanges(archive) {
+    const subscribers = this.getSubscribers('page.changed');
+    if (subscribers.length === 0) {
+      return;
+    }
+
+    for (const page of archive.pages || []) {
+      const interested = subscribers.filter(webhook => this.matchesUrl(webhook, page.url));
+      if (interested.length === 0) {
+        continue;
+      }
+      try {
+        await this.detectPageChange(archive, page, interested);
+      } catch (error) {
+        // One unreadable capture must not keep the other pages from being checked
+        console.error(`Change detection failed for ${page.url}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Compare one page of a completed archive with its previous capture and
+   * emit page.changed to the subscribers whose threshold is exceeded
+   * @param {Object} archive - Archive record
+   * @param {Object} page - Page record
+   * @param {Array<Object>} interested - Webhooks subscribed to changes of the page
+   */
+  async detectPageChange(archive, page, interested) {
+    const captures = storageService.getPageCaptures(page.url);
+    const current = captures.find(capture => capture.archiveId === archive.id && capture.path === page.path);
+    const previous = current && captures.filter(capture => capture.archiveId !== archive.id &&
+      new Date(capture.capturedAt) <= new Date(current.capturedAt)).pop();
+    if (!previous) {
+      return;
+    }
+
+    // Webhooks with the same ignore rules share one comparison
+    const comparisons = new Map();
+    for (const webhook of interested) {
+      const key = JSON.stringify(webhook.ignoreSelectors);
+      if (!comparisons.has(key)) {
+        comparisons.set(key, await this.compareCaptures(previous, current, webhook.ignoreSelectors));
+      }
+      const change = comparisons.get(key);
+      if (change.from.digest === change.to.digest || change.percentChanged < webhook.changeThreshold) {
+        continue;
+      }
+
+      this.createDelivery(webhook, 'page.changed', {
+        url: page.url,
+        archive: this.describeArchive(archive),
+        ...change,
+        threshold: webhook.changeThreshold,
+        diff: `/api/diff?url=${encodeURIComponent(page.url)}&from=${previous.archiveId}&to=${current.archiveId}`
+      });
+    }
+  }
+
+  /**
+   * Compare two captures of a page after removing ignored elements
+   * @param {Object} from - Older capture { archiveId, path, capturedAt }
+   * @param {Object} to - Newer capture
+   * @param {Array<string>} ignoreSelectors - Elements left out of the comparison
+   * @returns {Promise<Object>} { from, to, wordsBefore, wordsAfter, wordsAdded, wordsRemoved, percentChanged }
+   */
+  async compareCaptures(from, to, ignoreSelectors) {
+    const load = async capture => {
+      const content = await storageService.readFile(capture.archiveId, capture.path);
+      if (!content) {
+        throw new Error(`${capture.path} is missing from archive ${capture.archiveId}`);
+      }
+      const $ = cheerio.load(content.toString('utf8'));
+      ignoreSelectors.forEach(selector => $(selector).remove());
+      const html = $.html();
+      return { capture: { ...capture, digest: sha1Base32(html) }, blocks: extractBlocks(html) };
+    };
+    const before = await load(from);
+    const after = await load(to);
+
+    return {
+      from: before.capture,
+      to: after.capture,
+      ...measureTextChange(before.blocks, after.blocks)
+    };
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @param {string} url - URL the event is about, matched against urlPrefixes
+   */
+  emit(event, data, url) {
+    this.getSubscribers(event)
+      .filter(webhook => this.matchesUrl(webhook, url))
+      .forEach(webhook => this.createDelivery(webhook, event, data));
+  }
+
+  /**
+   * Send a test event to one webhook, whatever it subscribes to
+   * @param {string} webhookId - Webhook ID
+   * @returns {Object|null} Delivery, or null if there is no such webhook
+   */
+  ping(webhookId) {
+    const webhook = this.get(webhookId);
+    return webhook ? this.createDelivery(webhook, 'ping', { webhook: { id: webhook.id, events: webhook.events } }) : null;
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery to repeat
+   * @returns {Object|null} New delivery, or null if the webhook or delivery does not exist
+   */
+  redeliver(webhookId, deliveryId) {
+    const webhook = this.get(webhookId);
+    const delivery = this.getDelivery(webhookId, deliveryId);
+    return webhook && delivery ? this.createDelivery(webhook, delivery.event, delivery.payload) : null;
+  }
+
+  /**
+   * Active webhooks subscribed to an event
+   */
+  getSubscribers(event) {
+    return db.prepare('SELECT * FROM webhooks WHERE active = 1').all()
+      .map(row => this.toWebhook(row))
+      .filter(webhook => webhook.events.includes(event));
+  }
+
+  /**
+   * Whether a URL falls under a webhook's URL prefixes (no prefixes: every URL)
+   */
+  matchesUrl(webhook, url) {
+    return webhook.urlPrefixes.length === 0 || webhook.urlPrefixes.some(prefix => url.startsWith(prefix));
+  }
+
+  /**
+   * Archive fields included in event payloads
+   */
+  describeArchive(archive) {
+    return {
+      id: archive.id,
+      url: archive.url,
+      domain: archive.domain,
+      timestamp: archive.timestamp,
+      status: archive.status,
+      pagesArchived: archive.pagesArchived || 0,
+      completedAt: archive.completedAt || null,
+      error: archive.error || null
+    };
+  }
+
+  /**
+   * Log a delivery and make its first attempt right away
+   * @returns {Object} Delivery
+   */
+  createDelivery(webhook, event, payload) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: uuidv4(),
+      webhookId: webhook.id,
+      event,
+      url: webhook.url,
+      payload,
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now,
+      completedAt: null
+    };
+
+    db.transaction(() => {
+      this.insertDelivery(delivery);
+      // Drop the oldest finished deliveries once the log is full, then the oldest of any kind
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM webhook_deliveries').get();
+      const excess = count - MAX_DELIVERIES;
+      if (excess > 0) {
+        const dropped = db.prepare(`
+          DELETE FROM webhook_deliveries WHERE seq IN (
+            SELECT seq FROM webhook_deliveries WHERE status != 'pending' ORDER BY seq LIMIT ?
+          )
+        `).run(excess).changes;
+        db.prepare('DELETE FROM webhook_deliveries WHERE seq IN (SELECT seq FROM webhook_deliveries ORDER BY seq LIMIT ?)')
+          .run(Math.max(0, excess - dropped));
+      }
+    })();
+
+    this.scheduleAttempt(delivery.id, 0);
+    return delivery;
+  }
+
+  /**
+   * Make one delivery attempt, then mark the delivery delivered, failed, or
+   * due for another attempt with exponential backoff
+   * @param {string} deliveryId - Delivery ID
+   */
+  async attemptDelivery(deliveryId) {
+    const delivery = this.findDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+    const webhook = this.get(delivery.webhookId);
+    if (!webhook) {
+      return;
+    }
+
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, createdAt: delivery.createdAt, data: delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+    const started = Date.now();
+
+    try {
+      // Webhooks saved before the address check, or with IP addresses the lookup never sees
+      if (!this.allowPrivate && isPrivateHost(new URL(webhook.url).hostname)) {
+        throw new Error('Webhook URL points at a private address');
+      }
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WebArchiver-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        timeout: REQUEST_TIMEOUT,
+        maxRedirects: 0,
+        ...this.agents,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      attempt.response = String(response.data || '').slice(0, MAX_LOGGED_RESPONSE);
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+
+    // Re-read: the webhook and its log may have been deleted meanwhile
+    const current = this.findDelivery(deliveryId);
+    if (!current) {
+      return;
+    }
+    current.attempts.push(attempt);
+    if (!attempt.error) {
+      Object.assign(current, { status: 'delivered', nextAttemptAt: null, completedAt: attempt.at });
+    } else if (current.attempts.length >= MAX_ATTEMPTS) {
+      Object.assign(current, { status: 'failed', nextAttemptAt: null, completedAt: attempt.at });
+    } else {
+      const delay = RETRY_BASE_DELAY * 2 ** (current.attempts.length - 1);
+      current.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.scheduleAttempt(deliveryId, delay);
+    }
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, completed_at = ? WHERE id = ?
+    `).run(current.status, JSON.stringify(current.attempts), current.nextAttemptAt, current.completedAt, deliveryId);
+  }
+
+  /**
+   * HMAC-SHA256 signature of a payload, hex encoded
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix time sent in X-Webhook-Timestamp
+   * @param {string} body - Raw request body
+   * @returns {string} Signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Run a delivery attempt after a delay
+   */
+  scheduleAttempt(deliveryId, delay) {
+    this.cancelAttempt(deliveryId);
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(deliveryId);
+      this.attemptDelivery(deliveryId).catch(error => console.error('Webhook delivery error:', error));
+    }, Math.max(0, delay));
+    timer.unref();
+    this.retryTimers.set(deliveryId, timer);
+  }
+
+  /**
+   * Drop a scheduled delivery attempt
+   */
+  cancelAttempt(deliveryId) {
+    clearTimeout(this.retryTimers.get(deliveryId));
+    this.retryTimers.delete(deliveryId);
+  }
+
+  /**
+   * Validate delivery log filters
+   * @param {Object} query - Request query ({ event, status, limit, offset })
+   * @returns {Object} { params, errors }
+   */
+  parseDeliveryQuery(query) {
+    const errors = [];
+    const params = { limit: 50, offset: 0 };
+
+    if (query.event) {
+      params.event = String(query.event);
+    }
+    if (query.status) {
+      if (!DELIVERY_STATUSES.includes(query.status)) {
+        errors.push(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      } else {
+        params.status = query.status;
+      }
+    }
+    if (query.limit !== undefined) {
+      const limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERIES) {
+        errors.push(`limit must be an integer between 1 and ${MAX_DELIVERIES}`);
+      } else {
+        params.limit = limit;
+      }
+    }
+    if (query.offset !== undefined) {
+      const offset = Number(query.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('offset must be a non-negative integer');
+      } else {
+        params.offset = offset;
+      }
+    }
+
+    return { params, errors };
+  }
+
+  /**
+   * Query the delivery log of a webhook
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} params - Result of parseDeliveryQuery
+   * @returns {Object} { total, deliveries } with the newest first
+   */
+  getDeliveries(webhookId, params) {
+    const where = ['webhook_id = @webhookId'];
+    if (params.event) {
+      where.push('event = @event');
+    }
+    if (params.status) {
+      where.push('status = @status');
+    }
+    const values = { webhookId, event: params.event, status: params.status, limit: params.limit, offset: params.offset };
+    const filter = `FROM webhook_deliveries WHERE ${where.join(' AND ')}`;
+
+    return {
+      total: db.prepare(`SELECT COUNT(*) AS count ${filter}`).get(values).count,
+      deliveries: db.prepare(`SELECT * ${filter} ORDER BY seq DESC LIMIT @limit OFFSET @offset`).all(values)
+        .map(row => this.toDelivery(row))
+    };
+  }
+
+  /**
+   * Get one logged delivery
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object|null} Delivery
+   */
+  getDelivery(webhookId, deliveryId) {
+    const delivery = this.findDelivery(deliveryId);
+    return delivery && delivery.webhookId === webhookId ? delivery : null;
+  }
+
+  /**
+   * Get a logged delivery of any webhook
+   * @returns {Object|null} Delivery
+   */
+  findDelivery(deliveryId) {
+    const row = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+    return row ? this.toDelivery(row) : null;
+  }
+
+  /**
+   * Insert or update a webhook row (updating in place keeps its deliveries)
+   * @param {Object} webhook - Webhook
+   */
+  saveWebhook(webhook) {
+    db.prepare(`
+      INSERT INTO webhooks (id, url, events, secret, url_prefixes, change_threshold, ignore_selectors, active, created_at, updated_at)
+      VALUES (@id, @url, @events, @secret, @urlPrefixes, @changeThreshold, @ignoreSelectors, @active, @createdAt, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET url = excluded.url, events = excluded.events, secret = excluded.secret,
+        url_prefixes = excluded.url_prefixes, change_threshold = excluded.change_threshold,
+        ignore_selectors = excluded.ignore_selectors, active = excluded.active, updated_at = excluded.updated_at
+    `).run({
+      ...webhook,
+      events: JSON.stringify(webhook.events),
+      urlPrefixes: JSON.stringify(webhook.urlPrefixes || []),
+      changeThreshold: webhook.changeThreshold === undefined ? DEFAULT_CHANGE_THRESHOLD : webhook.changeThreshold,
+      ignoreSelectors: JSON.stringify(webhook.ignoreSelectors || []),
+      active: webhook.active === false ? 0 : 1,
+      updatedAt: webhook.updatedAt || webhook.createdAt
+    });
+  }
+
+  /**
+   * Write a delivery row
+   * @param {Object} delivery - Delivery
+   * @param {string} [verb] - INSERT or INSERT OR IGNORE
+   */
+  insertDelivery(delivery, verb = 'INSERT') {
+    db.prepare(`
+      ${verb} INTO webhook_deliveries (id, webhook_id, event, url, payload, status, attempts, created_at, next_attempt_at, completed_at)
+      VALUES (@id, @webhookId, @event, @url, @payload, @status, @attempts, @createdAt, @nextAttemptAt, @completedAt)
+    `).run({
+      ...delivery,
+      payload: JSON.stringify(delivery.payload),
+      attempts: JSON.stringify(delivery.attempts || []),
+      nextAttemptAt: delivery.nextAttemptAt || null,
+      completedAt: delivery.completedAt || null
+    });
+  }
+
+  /**
+   * Webhook record of a row
+   */
+  toWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events),
+      secret: row.secret,
+      urlPrefixes: JSON.parse(row.url_prefixes),
+      changeThreshold: row.change_threshold,
+      ignoreSelectors: JSON.parse(row.ignore_selectors),
+      active: row.active === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Delivery record of a row
+   */
+  toDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      url: row.url,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: JSON.parse(row.attempts),
+      createdAt: row.created_at,
+      nextAttemptAt: row.next_attempt_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,55 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, shared, link-local, multicast and unspecified addresses
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is not on the public internet (IPv4-mapped IPv6
+ * addresses count as their IPv4 address)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for host names and public addresses
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a URL host names this machine or a private network outright:
+ * localhost, or a private IP address. Names that resolve to one are caught
+ * when connecting, by publicLookup.
+ * @param {string} hostname - Host name of a URL (IPv6 in brackets is fine)
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * dns.lookup for http(s) agents that refuses to connect to private
+ * addresses, whatever the host name looked like
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    // With options.all, address is a list of { address, family }
+    const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to the private address ${blocked.address}`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+module.exports = { isPrivateAddress, isPrivateHost, publicLookup };
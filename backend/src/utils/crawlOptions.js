@@ -0,0 +1,293 @@
+const { URL } = require('url');
+const { getDomain } = require('tldts');
+const { getUnsafePatternReason } = require('./regex');
+
+const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 3, // Maximum crawl depth
+  maxPages: 50, // Maximum pages per job
+  pageTimeout: 30000, // Timeout per page (ms)
+  delay: 1000, // Delay between pages (ms)
+  include: [], // URL regexes a discovered link must match (any)
+  exclude: [], // URL regexes that reject a discovered link
+  scope: 'host', // host | domain | prefix
+  robots: 'obey', // obey | ignore
+  robotsJustification: '', // Required when robots is 'ignore'
+  sitemap: false, // Seed the queue from sitemap.xml
+  maxAssetSize: 20 * 1024 * 1024, // Per-file cap for images, scripts, stylesheets, ... (bytes)
+  maxMediaSize: 100 * 1024 * 1024, // Per-file cap for audio, video and embedded objects (bytes)
+  assetScope: 'same-host', // same-host | all | list
+  assetAllow: [], // Extra asset host patterns for 'list', e.g. *.redditstatic.com
+  assetDeny: [], // Asset host patterns never captured
+  behaviors: ['autoscroll', 'lazyload', 'networkidle'], // Page behaviors run before capture (browser mode)
+  clickSelectors: [], // CSS selectors for "load more" buttons clicked by the click behavior
+  maxScrolls: 20, // Scroll steps before autoscroll gives up
+  maxClicks: 10, // Clicks per selector
+  screenshot: true, // Full-page PNG and thumbnail per page (browser mode)
+  pdf: false, // PDF print per page (browser mode)
+  baseArchive: null // Earlier archive of the same domain to re-crawl incrementally against: 'latest' or an archive ID
+};
+
+const LIMITS = {
+  maxDepth: [0, 20],
+  maxPages: [1, 5000],
+  pageTimeout: [1000, 300000],
+  delay: [0, 60000],
+  // Downloads are held in memory whole until stored, so files stay well below the heap size
+  maxAssetSize: [1024, 250 * 1024 * 1024],
+  maxMediaSize: [1024, 250 * 1024 * 1024],
+  maxScrolls: [0, 200],
+  maxClicks: [0, 100]
+};
+
+const SCOPES = ['host', 'domain', 'prefix'];
+const ROBOTS_MODES = ['obey', 'ignore'];
+const ASSET_SCOPES = ['same-host', 'all', 'list'];
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+const BEHAVIORS = ['autoscroll', 'lazyload', 'click', 'networkidle'];
+const ARCHIVE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Options object -> its compiled include/exclude regexes
+const compiledFilters = new WeakMap();
+
+/**
+ * Validate user-supplied crawl options and merge them with the defaults
+ * @param {Object} [input] - Options from the request body
+ * @returns {Object} { options, errors }
+ */
+function validateCrawlOptions(input = {}) {
+  const errors = [];
+  const options = { ...DEFAULT_CRAWL_OPTIONS };
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { options, errors: ['options must be an object'] };
+  }
+
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    if (input[key] === undefined || input[key] === '') {
+      continue;
+    }
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${key} must be an integer between ${min} and ${max}`);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  for (const key of ['include', 'exclude']) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    const patterns = Array.isArray(input[key]) ? input[key] : [input[key]];
+    const valid = [];
+    patterns
+      .filter(pattern => pattern !== '')
+      .forEach(pattern => {
+        if (typeof pattern !== 'string' || pattern.length > 500) {
+          errors.push(`${key} patterns must be strings of at most 500 characters`);
+          return;
+        }
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`Invalid ${key} pattern "${pattern}": ${error.message}`);
+          return;
+        }
+        // Patterns run against every discovered link, so one that backtracks badly would stall the server
+        const unsafe = getUnsafePatternReason(pattern);
+        if (unsafe) {
+          errors.push(`Invalid ${key} pattern "${pattern}": ${unsafe}`);
+        } else {
+          valid.push(pattern);
+        }
+      });
+    options[key] = valid;
+  }
+
+  if (input.scope !== undefined) {
+    if (!SCOPES.includes(input.scope)) {
+      errors.push(`scope must be one of: ${SCOPES.join(', ')}`);
+    } else {
+      options.scope = input.scope;
+    }
+  }
+
+  if (input.robots !== undefined) {
+    if (!ROBOTS_MODES.includes(input.robots)) {
+      errors.push(`robots must be one of: ${ROBOTS_MODES.join(', ')}`);
+    } else {
+      options.robots = input.robots;
+    }
+  }
+
+  if (options.robots === 'ignore') {
+    const justification = typeof input.robotsJustification === 'string' ? input.robotsJustification.trim() : '';
+    if (justification.length < 10) {
+      errors.push('robotsJustification (at least 10 characters) is required when ignoring robots.txt');
+    } else {
+      options.robotsJustification = justification.substring(0, 1000);
+    }
+  }
+
+  for (const key of ['sitemap', 'screenshot', 'pdf']) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    if (typeof input[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    } else {
+      options[key] = input[key];
+    }
+  }
+
+  if (input.assetScope !== undefined) {
+    if (!ASSET_SCOPES.includes(input.assetScope)) {
+      errors.push(`assetScope must be one of: ${ASSET_SCOPES.join(', ')}`);
+    } else {
+      options.assetScope = input.assetScope;
+    }
+  }
+
+  for (const key of ['assetAllow', 'assetDeny']) {
+    if (input[key] === undefined) {
+      continue;
+    }
+    const patterns = (Array.isArray(input[key]) ? input[key] : [input[key]])
+      .map(pattern => (typeof pattern === 'string' ? pattern.trim().toLowerCase() : pattern))
+      .filter(pattern => pattern !== '');
+    const invalid = patterns.filter(pattern => typeof pattern !== 'string' || !HOST_PATTERN.test(pattern));
+    if (invalid.length > 0) {
+      errors.push(`${key} entries must be host names or *.domain patterns (invalid: ${invalid.join(', ')})`);
+    } else {
+      options[key] = patterns;
+    }
+  }
+
+  if (input.behaviors !== undefined) {
+    const behaviors = Array.isArray(input.behaviors) ? input.behaviors : [input.behaviors];
+    const unknown = behaviors.filter(behavior => !BEHAVIORS.includes(behavior));
+    if (unknown.length > 0) {
+      errors.push(`behaviors must be chosen from: ${BEHAVIORS.join(', ')}`);
+    } else {
+      options.behaviors = [...new Set(behaviors)];
+    }
+  }
+
+  if (input.clickSelectors !== undefined) {
+    const selectors = (Array.isArray(input.clickSelectors) ? input.clickSelectors : [input.clickSelectors])
+      .map(selector => (typeof selector === 'string' ? selector.trim() : selector))
+      .filter(selector => selector !== '');
+    if (selectors.some(selector => typeof selector !== 'string' || selector.length > 500)) {
+      errors.push('clickSelectors must be strings of at most 500 characters');
+    } else {
+      options.clickSelectors = selectors;
+    }
+  }
+
+  if (input.baseArchive !== undefined && input.baseArchive !== null && input.baseArchive !== '') {
+    if (input.baseArchive !== 'latest' && !ARCHIVE_ID_PATTERN.test(String(input.baseArchive))) {
+      errors.push('baseArchive must be "latest" or an archive ID');
+    } else {
+      options.baseArchive = String(input.baseArchive).toLowerCase();
+    }
+  }
+
+  if (options.assetScope === 'list' && options.assetAllow.length === 0) {
+    errors.push('assetAllow must list at least one host pattern when assetScope is "list"');
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Check whether a discovered URL is within the crawl scope of a job
+ * @param {URL} linkUrl - Discovered URL
+ * @param {URL} startUrl - Job start URL
+ * @param {Object} options - Validated crawl options
+ * @returns {boolean} Whether the URL is in scope
+ */
+function isInScope(linkUrl, startUrl, options) {
+  if (!['http:', 'https:'].includes(linkUrl.protocol)) {
+    return false;
+  }
+
+  switch (options.scope) {
+    case 'domain': {
+      const startDomain = getDomain(startUrl.hostname) || startUrl.hostname;
+      return (getDomain(linkUrl.hostname) || linkUrl.hostname) === startDomain;
+    }
+    case 'prefix': {
+      const prefix = startUrl.pathname.endsWith('/')
+        ? startUrl.pathname
+        : startUrl.pathname.substring(0, startUrl.pathname.lastIndexOf('/') + 1);
+      return linkUrl.host === startUrl.host && linkUrl.pathname.startsWith(prefix);
+    }
+    default:
+      return linkUrl.hostname === startUrl.hostname;
+  }
+}
+
+/**
+ * Apply the include/exclude URL patterns of a job
+ * @param {string} href - URL to check
+ * @param {Object} options - Validated crawl options
+ * @returns {string|null} Reason the URL is filtered out, or null if it passes
+ */
+function getFilterRejection(href, options) {
+  const { include, exclude } = compileFilters(options);
+  if (include.length > 0 && !include.some(regex => regex.test(href))) {
+    return 'Does not match any include pattern';
+  }
+  const excluded = exclude.find(regex => regex.test(href));
+  return excluded ? `Matches exclude pattern ${excluded.source}` : null;
+}
+
+/**
+ * Compile the include/exclude patterns of a job's options once, however
+ * many links they are tested against
+ */
+function compileFilters(options) {
+  if (!compiledFilters.has(options)) {
+    compiledFilters.set(options, {
+      include: options.include.map(pattern => new RegExp(pattern)),
+      exclude: options.exclude.map(pattern => new RegExp(pattern))
+    });
+  }
+  return compiledFilters.get(options);
+}
+
+/**
+ * Match a host against a pattern: an exact host name, or "*.example.com"
+ * for any subdomain of example.com
+ */
+function hostMatches(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.substring(1));
+  }
+  return host === pattern;
+}
+
+/**
+ * Apply the job's asset policy to an asset host
+ * @param {string} assetHost - Host name of the asset
+ * @param {string} pageHost - Host name of the page referencing it
+ * @param {Object} options - Validated crawl options
+ * @returns {boolean} Whether the asset may be captured
+ */
+function isAssetHostAllowed(assetHost, pageHost, options) {
+  if (options.assetDeny.some(pattern => hostMatches(assetHost, pattern))) {
+    return false;
+  }
+
+  switch (options.assetScope) {
+    case 'all':
+      return true;
+    case 'list':
+      return assetHost === pageHost || options.assetAllow.some(pattern => hostMatches(assetHost, pattern));
+    default:
+      return assetHost === pageHost;
+  }
+}
+
+module.exports = { DEFAULT_CRAWL_OPTIONS, BEHAVIORS, validateCrawlOptions, isInScope, getFilterRejection, isAssetHostAllowed };
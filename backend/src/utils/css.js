@@ -0,0 +1,58 @@
+// url(...) tokens, optionally quoted
+const URL_PATTERN = /url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi;
+// @import "file.css"; (the url(...) form is covered by URL_PATTERN)
+const IMPORT_PATTERN = /@import\s+(['"])([^'"]+)\1/gi;
+
+/**
+ * Whether a CSS reference points at something fetchable
+ */
+function isFetchable(reference) {
+  const trimmed = reference.trim();
+  return trimmed !== '' && !/^(data:|#|about:|javascript:)/i.test(trimmed);
+}
+
+/**
+ * Find every resource referenced from a stylesheet: url() values
+ * (backgrounds, @font-face sources, ...) and @import targets.
+ * @param {string} css - Stylesheet text
+ * @returns {Array<string>} Unique raw references, as written in the CSS
+ */
+function findCssReferences(css) {
+  const references = new Set();
+
+  for (const pattern of [URL_PATTERN, IMPORT_PATTERN]) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(css)) !== null) {
+      if (isFetchable(match[2])) {
+        references.add(match[2].trim());
+      }
+    }
+  }
+
+  return [...references];
+}
+
+/**
+ * Replace resource references in a stylesheet
+ * @param {string} css - Stylesheet text
+ * @param {Function} replacer - Maps a raw reference to its replacement, or null to keep it
+ * @returns {string} Rewritten stylesheet
+ */
+function rewriteCssReferences(css, replacer) {
+  const replace = (match, quote, reference, build) => {
+    if (!isFetchable(reference)) {
+      return match;
+    }
+    const replacement = replacer(reference.trim());
+    return replacement ? build(replacement) : match;
+  };
+
+  return css
+    .replace(URL_PATTERN, (match, quote, reference) =>
+      replace(match, quote, reference, value => `url(${quote || '"'}${value}${quote || '"'})`))
+    .replace(IMPORT_PATTERN, (match, quote, reference) =>
+      replace(match, quote, reference, value => `@import ${quote}${value}${quote}`));
+}
+
+module.exports = { findCssReferences, rewriteCssReferences };
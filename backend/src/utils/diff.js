@@ -0,0 +1,146 @@
+// Above this many cells the LCS table is not built and the differing middle is
+// reported as removed then added
+const MAX_TABLE_CELLS = 4000000;
+
+/**
+ * Diff two sequences by longest common subsequence
+ * @param {Array<string>} before - Old sequence
+ * @param {Array<string>} after - New sequence
+ * @returns {Array<Object>} Operations in order: { type: 'equal'|'delete'|'insert', value }
+ */
+function diffSequences(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+  const middle = [];
+
+  if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+    a.forEach(value => middle.push({ type: 'delete', value }));
+    b.forEach(value => middle.push({ type: 'insert', value }));
+  } else {
+    // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push({ type: 'equal', value: a[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: 'delete', value: a[i++] });
+      } else {
+        middle.push({ type: 'insert', value: b[j++] });
+      }
+    }
+    a.slice(i).forEach(value => middle.push({ type: 'delete', value }));
+    b.slice(j).forEach(value => middle.push({ type: 'insert', value }));
+  }
+
+  return [
+    ...before.slice(0, prefix).map(value => ({ type: 'equal', value })),
+    ...middle,
+    ...before.slice(before.length - suffix).map(value => ({ type: 'equal', value }))
+  ];
+}
+
+/**
+ * Word-level diff of two strings
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Runs: { type: 'equal'|'delete'|'insert', text }
+ */
+function diffWords(before, after) {
+  // Keep whitespace as its own token so runs can be joined back verbatim
+  const split = text => text.split(/(\s+)/).filter(Boolean);
+  const runs = [];
+
+  diffSequences(split(before), split(after)).forEach(({ type, value }) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += value;
+    } else {
+      runs.push({ type, text: value });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Measure how much the text of a page changed, in words. Runs of removed and
+ * added blocks are compared word by word, so editing one word of a long
+ * paragraph counts as one word rather than the whole paragraph.
+ * @param {Array<string>} before - Old text blocks
+ * @param {Array<string>} after - New text blocks
+ * @returns {Object} { wordsBefore, wordsAfter, wordsAdded, wordsRemoved, percentChanged }
+ */
+function measureTextChange(before, after) {
+  const countWords = text => text.split(/\s+/).filter(Boolean).length;
+  const sumWords = blocks => blocks.reduce((sum, block) => sum + countWords(block), 0);
+  let wordsAdded = 0;
+  let wordsRemoved = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    if (removed.length > 0 || added.length > 0) {
+      diffWords(removed.join(' '), added.join(' ')).forEach(({ type, text }) => {
+        if (type === 'delete') {
+          wordsRemoved += countWords(text);
+        } else if (type === 'insert') {
+          wordsAdded += countWords(text);
+        }
+      });
+    }
+    removed = [];
+    added = [];
+  };
+
+  diffSequences(before, after).forEach(({ type, value }) => {
+    if (type === 'delete') {
+      removed.push(value);
+    } else if (type === 'insert') {
+      added.push(value);
+    } else {
+      flush();
+    }
+  });
+  flush();
+
+  const wordsBefore = sumWords(before);
+  const wordsAfter = sumWords(after);
+  const total = wordsBefore + wordsAfter;
+
+  return {
+    wordsBefore,
+    wordsAfter,
+    wordsAdded,
+    wordsRemoved,
+    // Share of all words on either side that were added or removed
+    percentChanged: total > 0 ? Math.round(((wordsAdded + wordsRemoved) / total) * 10000) / 100 : 0
+  };
+}
+
+module.exports = { diffSequences, diffWords, measureTextChange };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * SHA-1 digest in the base32 form conventionally used by WARC and CDX tools
+ * @param {Buffer|string} buffer - Content to hash
+ * @returns {string} e.g. "sha1:2Q3EDP5KOMDLMSHHFBHJGE7DNAF4OCVP"
+ */
+function sha1Base32(buffer) {
+  const digest = crypto.createHash('sha1').update(buffer).digest();
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of digest) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return `sha1:${output}`;
+}
+
+module.exports = { sha1Base32 };
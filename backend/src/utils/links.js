@@ -0,0 +1,93 @@
+const { URL } = require('url');
+
+// Navigational references (as opposed to assets, which are rewritten at capture time)
+const LINK_SOURCES = [
+  { selector: 'a[href]', attribute: 'href' },
+  { selector: 'area[href]', attribute: 'href' },
+  { selector: 'form[action]', attribute: 'action' }
+];
+
+const REFRESH_PATTERN = /^(\s*\d*\.?\d*\s*[;,]\s*url\s*=\s*)(['"]?)(.*?)\2\s*$/i;
+
+/**
+ * Rewrite the hyperlinks of an archived page. Links resolve against the
+ * page's original URL (or its <base href>) and are passed to `mapUrl`.
+ * The <base href> itself is dropped: asset references were rewritten
+ * relative to the page's own location at capture time, and no archived
+ * equivalent of the original base keeps both those and the rest resolving.
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {string} pageUrl - Original URL of the page
+ * @param {Function} mapUrl - (absoluteUrl without fragment) => replacement href, or null to keep the link
+ * @returns {number} Number of rewritten references
+ */
+function rewriteLinks($, pageUrl, mapUrl) {
+  let baseUrl = new URL(pageUrl);
+  let rewritten = 0;
+
+  const base = $('base[href]').first();
+  if (base.length > 0) {
+    try {
+      baseUrl = new URL(base.attr('href'), pageUrl);
+    } catch (error) {
+      // Browsers ignore an invalid base URL
+    }
+  }
+
+  const rewrite = value => {
+    if (!value || value.trim().startsWith('#')) {
+      return null;
+    }
+    let target;
+    try {
+      target = new URL(value.trim(), baseUrl);
+    } catch (error) {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      return null;
+    }
+
+    const fragment = target.hash;
+    target.hash = '';
+    const replacement = mapUrl(target.href);
+    return replacement === null ? null : replacement + fragment;
+  };
+
+  LINK_SOURCES.forEach(({ selector, attribute }) => {
+    $(selector).each((i, element) => {
+      const replacement = rewrite($(element).attr(attribute));
+      if (replacement !== null) {
+        $(element).attr(attribute, replacement);
+        rewritten++;
+      }
+    });
+  });
+
+  $('meta[http-equiv]').each((i, element) => {
+    if (($(element).attr('http-equiv') || '').toLowerCase() !== 'refresh') {
+      return;
+    }
+    const match = ($(element).attr('content') || '').match(REFRESH_PATTERN);
+    if (!match) {
+      return;
+    }
+    const replacement = rewrite(match[3]);
+    if (replacement !== null) {
+      $(element).attr('content', `${match[1]}${replacement}`);
+      rewritten++;
+    }
+  });
+
+  // Only the href goes; a <base target> still applies
+  $('base[href]').each((i, element) => {
+    if ($(element).attr('target')) {
+      $(element).removeAttr('href');
+    } else {
+      $(element).remove();
+    }
+  });
+
+  return rewritten;
+}
+
+module.exports = { rewriteLinks };
@@ -0,0 +1,24 @@
+/**
+ * Run async tasks one at a time per key, in the order they were queued, so
+ * read-modify-write cycles on the same thing (e.g. a manifest) cannot
+ * interleave. Tasks for different keys run concurrently.
+ * @returns {Function} run(key, task) -> Promise of the task's result
+ */
+function createKeyedQueue() {
+  const tails = new Map();
+
+  return function run(key, task) {
+    const result = (tails.get(key) || Promise.resolve()).then(() => task());
+    // The next task waits for this one whether it failed or not
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return result;
+  };
+}
+
+module.exports = { createKeyedQueue };
@@ -0,0 +1,52 @@
+const { pipeline } = require('stream');
+
+/**
+ * Stream a stored resource as the response, answering a single-range Range
+ * header with 206 Partial Content. Multiple or malformed ranges get the whole
+ * resource, as RFC 9110 allows; ranges past the end get 416.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (status and content headers set by the caller)
+ * @param {number} size - Full size of the resource
+ * @param {Function} open - async (range|null) => { stream } for the whole resource or a { start, end } range,
+ *   or null if it has gone since its size was read (answered with 404)
+ */
+async function sendStream(req, res, size, open) {
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  let range = null;
+  if (req.headers.range) {
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  // Open before setting the length: the resource may have been deleted since the caller looked it up
+  const opened = req.method === 'HEAD' ? {} : await open(range);
+  if (!opened) {
+    // The caller has already set the resource's Content-Type
+    return res.status(404).type('json').json({ error: 'File not found in archive' });
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+  }
+  res.setHeader('Content-Length', range ? range.end - range.start + 1 : size);
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  pipeline(opened.stream, res, error => {
+    // Clients aborting a download (e.g. a media player seeking) are expected
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Streaming error:', error);
+    }
+  });
+}
+
+module.exports = { sendStream };
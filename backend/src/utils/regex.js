@@ -0,0 +1,73 @@
+// A quantifier right at the start of a string: *, +, ?, {n}, {n,} or {n,m}
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Check a user-supplied regular expression for constructs that can make
+ * matching take exponential time (catastrophic backtracking): a repeated group
+ * that itself contains a repetition, like (a+)+ or (\w*\.)*, and
+ * backreferences. Patterns are checked as written, without compiling them.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Why the pattern is unsafe, or null if it is fine
+ */
+function getUnsafePatternReason(pattern) {
+  // One entry per open group: whether something inside it repeats
+  const groups = [{ repeats: false }];
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+    let closed = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'backreferences are not supported';
+      }
+      i += 2;
+    } else if (char === '[') {
+      // Character class: quantifier characters inside it are literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') {
+        i++;
+      }
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+      // Skip the ?:, ?=, ?!, ?<=, ?<! or ?<name> after the parenthesis
+      const prefix = pattern.substring(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+      i += 1 + (prefix ? prefix[0].length : 0);
+    } else if (char === ')') {
+      closed = groups.length > 1 ? groups.pop() : { repeats: false };
+      i++;
+    } else if (QUANTIFIER_PATTERN.test(pattern.substring(i))) {
+      // A quantifier after a single character, class or escape (or a lazy ? after another quantifier)
+      groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || isRepeating(pattern.substring(i));
+      i += pattern.substring(i).match(QUANTIFIER_PATTERN)[0].length;
+    } else {
+      i++;
+    }
+
+    if (closed) {
+      const quantifier = pattern.substring(i).match(QUANTIFIER_PATTERN);
+      const repeats = Boolean(quantifier) && isRepeating(quantifier[0]);
+      if (repeats && closed.repeats) {
+        return 'nested quantifiers like (a+)+ can take exponential time to match';
+      }
+      groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || repeats || closed.repeats;
+      i += quantifier ? quantifier[0].length : 0;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a quantifier repeats its atom an open number of times (*, +, {n,} or {n,m})
+ */
+function isRepeating(quantifier) {
+  return /^(?:[*+]|\{\d+,)/.test(quantifier);
+}
+
+module.exports = { getUnsafePatternReason };
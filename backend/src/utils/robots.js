@@ -0,0 +1,124 @@
+const USER_AGENT_TOKEN = 'webarchiver';
+
+/**
+ * Parse a robots.txt file (RFC 9309) into the rule group that applies to our
+ * user agent, falling back to the "*" group.
+ * @param {string} text - robots.txt contents
+ * @param {string} [userAgent] - Product token to match groups against
+ * @returns {Object} { rules: [{ type, pattern }], crawlDelay, sitemaps }
+ */
+function parseRobots(text, userAgent = USER_AGENT_TOKEN) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      return;
+    }
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) {
+        sitemaps.push(value);
+      }
+      return;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) {
+      return;
+    }
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) {
+        current.rules.push({ type: field, pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  });
+
+  // The whole product token must match, case-insensitively: "User-agent: archive" is not for us
+  const token = userAgent.toLowerCase();
+  let matching = groups.filter(group => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter(group => group.agents.includes('*'));
+  }
+
+  return {
+    rules: matching.flatMap(group => group.rules),
+    crawlDelay: matching.reduce((delay, group) => (group.crawlDelay !== null ? group.crawlDelay : delay), null),
+    sitemaps
+  };
+}
+
+/**
+ * Check whether a URL path is allowed by parsed robots rules.
+ * The longest matching rule wins; Allow wins ties.
+ * @param {Object} robots - Result of parseRobots
+ * @param {URL} url - URL to check
+ * @returns {Object} { allowed, rule }
+ */
+function isAllowedByRobots(robots, url) {
+  const target = `${url.pathname}${url.search}`;
+  let best = null;
+
+  for (const rule of robots.rules) {
+    if (!patternMatches(rule.pattern, target)) {
+      continue;
+    }
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.type === 'allow')
+    ) {
+      best = rule;
+    }
+  }
+
+  return { allowed: !best || best.type === 'allow', rule: best };
+}
+
+/**
+ * Match a robots.txt path pattern supporting "*" and a trailing "$"
+ */
+function patternMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  let decodedTarget = target;
+  try {
+    decodedTarget = decodeURI(target);
+  } catch (error) {
+    // Keep the raw path if it is not valid percent-encoding
+  }
+
+  return [target, decodedTarget].some(candidate => new RegExp(`^${regex}${anchored ? '$' : ''}`).test(candidate));
+}
+
+module.exports = { USER_AGENT_TOKEN, parseRobots, isAllowedByRobots };
@@ -0,0 +1,30 @@
+const cheerio = require('cheerio');
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { urls, sitemaps } page URLs and nested sitemap URLs
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const urls = [];
+  const sitemaps = [];
+
+  $('urlset > url > loc').each((i, element) => {
+    const loc = $(element).text().trim();
+    if (loc) {
+      urls.push(loc);
+    }
+  });
+
+  $('sitemapindex > sitemap > loc').each((i, element) => {
+    const loc = $(element).text().trim();
+    if (loc) {
+      sitemaps.push(loc);
+    }
+  });
+
+  return { urls, sitemaps };
+}
+
+module.exports = { parseSitemap };
@@ -0,0 +1,35 @@
+const { URL } = require('url');
+
+/**
+ * Convert a URL into its SURT (Sort-friendly URI Reordering Transform) form,
+ * e.g. https://www.example.com/a?b=1 -> com,example)/a?b=1
+ * @param {string} url - URL to convert
+ * @returns {string} SURT key
+ */
+function toSurt(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return url.toLowerCase().replace(/\s/g, '%20');
+  }
+
+  const hostParts = parsedUrl.hostname.toLowerCase().split('.');
+  if (hostParts[0] === 'www') {
+    hostParts.shift();
+  }
+
+  const host = hostParts.reverse().join(',');
+  const port = parsedUrl.port ? `:${parsedUrl.port}` : '';
+
+  // Sort query parameters so equivalent URLs share a key; keep them encoded
+  // so keys never contain spaces (CDXJ fields are space-separated)
+  const params = new URLSearchParams(
+    [...parsedUrl.searchParams.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  ).toString();
+
+  const pathname = parsedUrl.pathname.toLowerCase();
+  return `${host}${port})${pathname}${params ? `?${params.toLowerCase()}` : ''}`;
+}
+
+module.exports = { toSurt };
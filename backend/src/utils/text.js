@@ -0,0 +1,97 @@
+const cheerio = require('cheerio');
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Elements that start a new line when rendered, so their text must not run together
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+].join(', ');
+// Private-use character that cannot occur in page text
+const BLOCK_SEPARATOR = '\uE000';
+
+/**
+ * Extract the searchable text of an HTML page
+ * @param {string} html - Page HTML
+ * @returns {Object} { title, description, headings, body }
+ */
+function extractText(html) {
+  const $ = cheerio.load(html);
+  const clean = text => text.replace(/\s+/g, ' ').trim();
+
+  removeHiddenText($);
+  markBlocks($, ' ');
+
+  const headings = [];
+  $('h1, h2, h3, h4, h5, h6').each((i, element) => {
+    const text = clean($(element).text());
+    if (text) {
+      headings.push(text);
+    }
+  });
+
+  return {
+    title: clean($('title').first().text()),
+    description: clean($('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || ''),
+    headings: headings.join(' \n '),
+    body: clean($('body').text())
+  };
+}
+
+/**
+ * Split the visible text of an HTML page into blocks (paragraphs, list items,
+ * headings, cells, ...) in document order
+ * @param {string} html - Page HTML
+ * @returns {Array<string>} Non-empty blocks with collapsed whitespace
+ */
+function extractBlocks(html) {
+  const $ = cheerio.load(html);
+  removeHiddenText($);
+  markBlocks($, BLOCK_SEPARATOR);
+
+  return $('body').text()
+    .split(BLOCK_SEPARATOR)
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Drop elements whose text is never rendered
+ */
+function removeHiddenText($) {
+  $('script, style, noscript, template, svg').remove();
+}
+
+/**
+ * Surround block elements with a separator so their text does not run together
+ */
+function markBlocks($, separator) {
+  $(BLOCK_ELEMENTS).each((i, element) => {
+    $(element).before(separator).after(separator);
+  });
+}
+
+/**
+ * Normalize a word for indexing: lowercase, without diacritics
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized terms with their character offsets
+ * @param {string} text - Text to tokenize
+ * @returns {Array<Object>} [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+module.exports = { extractText, extractBlocks, tokenize };
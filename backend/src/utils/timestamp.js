@@ -0,0 +1,42 @@
+/**
+ * Format a date as a 14-digit Wayback-style timestamp (YYYYMMDDhhmmss)
+ * @param {string|Date} date - ISO string or Date
+ * @returns {string} 14-digit timestamp
+ */
+function toTimestamp14(date) {
+  return new Date(date).toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+/**
+ * Parse a (possibly partial) Wayback-style timestamp. Missing digits are
+ * filled from the start of the period, so "2025" means 2025-01-01T00:00:00Z.
+ * @param {string} timestamp - 1 to 14 digits
+ * @returns {Date|null} Date, or null if the timestamp is malformed
+ */
+function fromTimestamp14(timestamp) {
+  if (!/^\d{1,14}$/.test(timestamp)) {
+    return null;
+  }
+  const digits = timestamp + '00000101000000'.substring(timestamp.length);
+  const iso = `${digits.substring(0, 4)}-${digits.substring(4, 6)}-${digits.substring(6, 8)}T` +
+    `${digits.substring(8, 10)}:${digits.substring(10, 12)}:${digits.substring(12, 14)}Z`;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Expand a partial timestamp to 14 digits covering the start or the end of
+ * its period, e.g. "2025" -> "20250101000000" (start) or "20251231235959" (end)
+ * @param {string} timestamp - 1 to 14 digits
+ * @param {boolean} [end] - Expand to the end of the period
+ * @returns {string|null} 14-digit timestamp, or null if malformed
+ */
+function expandTimestamp(timestamp, end = false) {
+  if (!/^\d{1,14}$/.test(timestamp)) {
+    return null;
+  }
+  const padding = end ? '99991231235959' : '00000101000000';
+  return timestamp + padding.substring(timestamp.length);
+}
+
+module.exports = { toTimestamp14, fromTimestamp14, expandTimestamp };
@@ -0,0 +1,201 @@
+jest.mock('../src/services/storage', () => ({
+  getArchive: jest.fn(() => null),
+  fileExists: jest.fn(() => false),
+  saveAsset: jest.fn(),
+  readOriginal: jest.fn(),
+  addSkipped: jest.fn()
+}));
+
+const storageService = require('../src/services/storage');
+const archiverService = require('../src/services/archiver');
+const { DEFAULT_CRAWL_OPTIONS } = require('../src/utils/crawlOptions');
+
+const ARCHIVE_ID = 'test-archive';
+
+const startJob = () => {
+  archiverService.activeJobs.set(ARCHIVE_ID, {
+    options: DEFAULT_CRAWL_OPTIONS,
+    robots: new Map(),
+    host: 'example.com',
+    skippedUrls: new Set(),
+    pendingAssets: new Map(),
+    pendingStylesheets: new Set(),
+    browserResponses: new Map()
+  });
+};
+
+const stylesheet = css => ({
+  status: 200,
+  statusText: 'OK',
+  headers: { 'content-type': 'text/css' },
+  config: { method: 'get', headers: {} },
+  data: Buffer.from(css)
+});
+
+describe('stylesheet capture', () => {
+  beforeEach(() => {
+    startJob();
+    storageService.saveAsset.mockClear();
+  });
+
+  afterEach(() => {
+    archiverService.activeJobs.delete(ARCHIVE_ID);
+    jest.restoreAllMocks();
+  });
+
+  test('finishes when two stylesheets linked from the same page import each other', async () => {
+    const sheets = {
+      'https://example.com/a.css': stylesheet('@import url("b.css");\nbody { color: red; }'),
+      'https://example.com/b.css': stylesheet('@import url("a.css");\np { color: blue; }')
+    };
+    jest.spyOn(archiverService, 'downloadWithRetry').mockImplementation(async url => sheets[url]);
+
+    const pageUrl = 'https://example.com/';
+    const captured = Promise.all([
+      archiverService.captureAsset(ARCHIVE_ID, 'https://example.com/a.css', pageUrl),
+      archiverService.captureAsset(ARCHIVE_ID, 'https://example.com/b.css', pageUrl)
+    ]);
+    let timer;
+    const deadlock = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Stylesheet capture did not finish')), 2000);
+    });
+
+    try {
+      await expect(Promise.race([captured, deadlock])).resolves.toEqual(['assets/a.css', 'assets/b.css']);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    expect(storageService.saveAsset).toHaveBeenCalledTimes(2);
+    const saved = new Map(storageService.saveAsset.mock.calls.map(([, url, content]) => [url, content.toString()]));
+    expect(saved.get('https://example.com/a.css')).toContain('@import url("b.css")');
+    expect(saved.get('https://example.com/b.css')).toContain('@import url("a.css")');
+  });
+
+  test('captures a stylesheet that imports itself once', async () => {
+    jest.spyOn(archiverService, 'downloadWithRetry').mockImplementation(async () => stylesheet('@import "self.css";'));
+
+    await expect(archiverService.captureAsset(ARCHIVE_ID, 'https://example.com/self.css', 'https://example.com/'))
+      .resolves.toBe('assets/self.css');
+    expect(archiverService.downloadWithRetry).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('browser responses', () => {
+  const fakeResponse = (contentType, buffer, { contentLength, resourceType = 'fetch' } = {}) => ({
+    url: () => 'https://example.com/stream',
+    status: () => 200,
+    statusText: () => 'OK',
+    headers: () => ({ 'content-type': contentType, ...(contentLength ? { 'content-length': String(contentLength) } : {}) }),
+    request: () => ({ method: () => 'GET', headers: () => ({}), postData: () => undefined, resourceType: () => resourceType }),
+    fromCache: () => false,
+    buffer
+  });
+
+  test('skips server-sent event streams without reading them', async () => {
+    const buffer = jest.fn();
+    await expect(archiverService.captureFromPuppeteer(fakeResponse('text/event-stream', buffer))).resolves.toBeNull();
+    expect(buffer).not.toHaveBeenCalled();
+  });
+
+  test('drops a body that does not arrive in time', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const response = fakeResponse('application/json', () => new Promise(() => {}));
+    await expect(archiverService.captureFromPuppeteer(response, null, 50)).resolves.toBeNull();
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a body read in time', async () => {
+    const response = fakeResponse('application/json', async () => Buffer.from('{}'));
+    const capture = await archiverService.captureFromPuppeteer(response, null, 1000);
+    expect(capture.body.toString()).toBe('{}');
+  });
+
+  test('does not read a body declared larger than its size limit', async () => {
+    const limits = { ...DEFAULT_CRAWL_OPTIONS, maxAssetSize: 10, maxMediaSize: 100 };
+    const buffer = jest.fn(async () => Buffer.alloc(50));
+
+    const asset = await archiverService.captureFromPuppeteer(fakeResponse('image/png', buffer, { contentLength: 50, resourceType: 'image' }), null, 1000, limits);
+    expect(asset.body).toBeNull();
+    expect(buffer).not.toHaveBeenCalled();
+
+    const media = await archiverService.captureFromPuppeteer(fakeResponse('video/mp4', buffer, { contentLength: 50, resourceType: 'media' }), null, 1000, limits);
+    expect(media.body).toHaveLength(50);
+  });
+
+  test('records unread oversized responses as skipped', async () => {
+    startJob();
+    storageService.addSkipped.mockClear();
+    storageService.saveAsset.mockClear();
+    const limits = { ...DEFAULT_CRAWL_OPTIONS, maxAssetSize: 10 };
+    const capture = await archiverService.captureFromPuppeteer(fakeResponse('application/json', jest.fn(), { contentLength: 50 }), null, 1000, limits);
+
+    await archiverService.saveBrowserResponses(ARCHIVE_ID, 'https://example.com/', [capture]);
+
+    expect(storageService.saveAsset).not.toHaveBeenCalled();
+    expect(storageService.addSkipped).toHaveBeenCalledWith(ARCHIVE_ID, expect.objectContaining({ url: 'https://example.com/stream', type: 'asset' }));
+    archiverService.activeJobs.delete(ARCHIVE_ID);
+  });
+});
+
+describe('incremental revisits', () => {
+  const assetUrl = 'https://example.com/logo.png';
+  const notModified = { status: 304, statusText: 'Not Modified', headers: {}, body: Buffer.alloc(0) };
+  const fresh = { status: 200, statusText: 'OK', headers: { 'content-type': 'image/png' }, body: Buffer.from('fresh') };
+
+  beforeEach(() => {
+    startJob();
+    archiverService.activeJobs.get(ARCHIVE_ID).base = {
+      archiveId: 'base-archive',
+      captures: new Map([[assetUrl, {
+        url: assetUrl,
+        path: 'assets/logo.png',
+        capture: { status: 200, statusText: 'OK', headers: { etag: '"v1"' }, capturedAt: '2025-01-01T00:00:00.000Z', originalPath: '_originals/assets/logo.png' }
+      }]])
+    };
+    storageService.saveAsset.mockClear();
+  });
+
+  afterEach(() => {
+    archiverService.activeJobs.delete(ARCHIVE_ID);
+    jest.restoreAllMocks();
+  });
+
+  test('answers a 304 with the base archive\'s body', async () => {
+    storageService.readOriginal.mockReturnValueOnce(Buffer.from('stored'));
+    jest.spyOn(archiverService, 'downloadAsset').mockResolvedValueOnce(notModified);
+
+    await archiverService.captureAsset(ARCHIVE_ID, assetUrl, 'https://example.com/');
+
+    const [, , content, , capture] = storageService.saveAsset.mock.calls[0];
+    expect(content.toString()).toBe('stored');
+    expect(capture).toMatchObject({ status: 200, revisit: { archiveId: 'base-archive', reason: 'not-modified' } });
+  });
+
+  test('downloads the asset again when the base archive\'s body is unavailable', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storageService.readOriginal.mockImplementationOnce(() => {
+      throw new Error('missing');
+    });
+    const downloadAsset = jest.spyOn(archiverService, 'downloadAsset')
+      .mockResolvedValueOnce(notModified)
+      .mockResolvedValueOnce(fresh);
+
+    await archiverService.captureAsset(ARCHIVE_ID, assetUrl, 'https://example.com/');
+
+    expect(downloadAsset).toHaveBeenLastCalledWith(ARCHIVE_ID, assetUrl, 'asset', expect.any(Number), false);
+    const [, , content, , capture] = storageService.saveAsset.mock.calls[0];
+    expect(content.toString()).toBe('fresh');
+    expect(capture.status).toBe(200);
+    expect(capture.revisit).toBeUndefined();
+  });
+
+  test('never keeps a 304 without a body', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storageService.readOriginal.mockImplementationOnce(() => {
+      throw new Error('missing');
+    });
+
+    await expect(archiverService.toRevisit(ARCHIVE_ID, assetUrl, notModified)).rejects.toThrow('unavailable');
+  });
+});
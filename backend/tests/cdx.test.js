@@ -0,0 +1,82 @@
+const cdxService = require('../src/services/cdx');
+
+describe('CDX query parameters', () => {
+  test('applies defaults to an exact query', () => {
+    const { params, errors } = cdxService.parseQuery({ url: 'example.com/about' });
+
+    expect(errors).toEqual([]);
+    expect(params).toMatchObject({
+      url: 'http://example.com/about',
+      matchType: 'exact',
+      output: 'cdxj',
+      filters: [],
+      collapse: null,
+      limit: 10000
+    });
+  });
+
+  test('treats a trailing * as a prefix query', () => {
+    const { params } = cdxService.parseQuery({ url: 'https://example.com/blog/*' });
+
+    expect(params.url).toBe('https://example.com/blog/');
+    expect(params.matchType).toBe('prefix');
+  });
+
+  test('expands partial timestamps to the start and end of their period', () => {
+    const { params, errors } = cdxService.parseQuery({ url: 'example.com', from: '202502', to: '2025' });
+
+    expect(errors).toEqual([]);
+    expect(params.from).toBe('20250201000000');
+    expect(params.to).toBe('20251231235959');
+  });
+
+  test('parses filters, collapse and negative limits', () => {
+    const { params, errors } = cdxService.parseQuery({
+      url: 'example.com',
+      filter: ['statuscode:200', '!mimetype:image/.*'],
+      collapse: 'digest:8',
+      limit: '-5',
+      output: 'json'
+    });
+
+    expect(errors).toEqual([]);
+    expect(params.filters).toEqual([
+      { negate: false, field: 'status', pattern: /^(?:200)$/ },
+      { negate: true, field: 'mime', pattern: /^(?:image\/.*)$/ }
+    ]);
+    expect(params.collapse).toEqual({ field: 'digest', length: 8 });
+    expect(params.limit).toBe(-5);
+    expect(params.output).toBe('json');
+  });
+
+  test('refuses filters that could backtrack catastrophically', () => {
+    ['url:(a+)+$', 'url:(\\w*\\.)*x', 'url:(a)\\1'].forEach(filter => {
+      const { params, errors } = cdxService.parseQuery({ url: 'example.com', filter });
+
+      expect(params.filters).toEqual([]);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(/^Invalid filter pattern/);
+    });
+  });
+
+  test('reports every invalid parameter', () => {
+    const { errors } = cdxService.parseQuery({
+      matchType: 'everything',
+      output: 'xml',
+      from: '2025-01',
+      filter: 'size:1',
+      collapse: 'digest:x',
+      limit: '0'
+    });
+
+    expect(errors).toEqual([
+      'url is required',
+      'matchType must be one of: exact, prefix, host, domain',
+      'output must be one of: cdxj, json',
+      'from must be a timestamp of 1 to 14 digits (YYYYMMDDhhmmss)',
+      expect.stringMatching(/^Invalid filter "size:1"/),
+      expect.stringMatching(/^collapse must be field or field:N/),
+      expect.stringMatching(/^limit must be a non-zero integer/)
+    ]);
+  });
+});
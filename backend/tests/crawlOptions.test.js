@@ -0,0 +1,26 @@
+const { validateCrawlOptions } = require('../src/utils/crawlOptions');
+
+describe('crawl options', () => {
+  test('keep safe include/exclude patterns and report unsafe ones', () => {
+    const { options, errors } = validateCrawlOptions({ include: ['^https://example\\.com/blog/', '(a+)+$'], exclude: ['(a)\\1'] });
+
+    expect(options.include).toEqual(['^https://example\\.com/blog/']);
+    expect(options.exclude).toEqual([]);
+    expect(errors).toEqual([
+      'Invalid include pattern "(a+)+$": nested quantifiers like (a+)+ can take exponential time to match',
+      'Invalid exclude pattern "(a)\\1": backreferences are not supported'
+    ]);
+  });
+
+  test('cap asset and media sizes at 250 MB', () => {
+    const limit = 250 * 1024 * 1024;
+    expect(validateCrawlOptions({ maxAssetSize: limit, maxMediaSize: limit }).errors).toEqual([]);
+
+    const { options, errors } = validateCrawlOptions({ maxAssetSize: limit + 1, maxMediaSize: 2 * 1024 * 1024 * 1024 });
+    expect(errors).toEqual([
+      `maxAssetSize must be an integer between 1024 and ${limit}`,
+      `maxMediaSize must be an integer between 1024 and ${limit}`
+    ]);
+    expect(options.maxMediaSize).toBe(100 * 1024 * 1024);
+  });
+});
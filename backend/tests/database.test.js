@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const storageService = require('../src/services/storage');
+const webhookService = require('../src/services/webhooks');
+const schedulerService = require('../src/services/scheduler');
+
+const storageDir = process.env.STORAGE_PATH;
+const writeLegacyFile = (name, content) => {
+  fs.mkdirSync(storageDir, { recursive: true });
+  fs.writeFileSync(path.join(storageDir, name), JSON.stringify(content));
+};
+
+describe('archive database', () => {
+  test('imports metadata.json from the storage directory on start, not on require', async () => {
+    writeLegacyFile('metadata.json', {
+      archives: [{
+        id: 'legacy-archive',
+        url: 'https://example.com/',
+        domain: 'example.com',
+        timestamp: '2025-01-01T00:00:00.000Z',
+        status: 'completed',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        pages: [{ url: 'https://example.com/', path: 'index.html', savedAt: '2025-01-01T00:00:01.000Z' }],
+        assets: []
+      }]
+    });
+    expect(storageService.getArchive('legacy-archive')).toBeNull();
+
+    await storageService.start();
+
+    expect(storageService.getArchive('legacy-archive')).toMatchObject({ status: 'completed', pages: [{ path: 'index.html' }] });
+    expect(fs.existsSync(path.join(storageDir, 'metadata.json'))).toBe(false);
+    expect(fs.existsSync(path.join(storageDir, 'metadata.json.imported'))).toBe(true);
+  });
+
+  test('keeps webhooks and their deliveries, and imports webhooks.json', () => {
+    writeLegacyFile('webhooks.json', {
+      webhooks: [{
+        id: 'legacy-webhook',
+        url: 'https://hooks.example.com/legacy',
+        events: ['archive.completed'],
+        secret: 'a-secret-of-enough-length',
+        urlPrefixes: [],
+        changeThreshold: 5,
+        ignoreSelectors: ['.clock'],
+        active: true,
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      }]
+    });
+    writeLegacyFile('webhook-deliveries.json', {
+      deliveries: [{
+        id: 'legacy-delivery',
+        webhookId: 'legacy-webhook',
+        event: 'ping',
+        url: 'https://hooks.example.com/legacy',
+        payload: { webhook: { id: 'legacy-webhook' } },
+        status: 'delivered',
+        attempts: [{ at: '2025-01-01T00:00:01.000Z', statusCode: 204, error: null }],
+        createdAt: '2025-01-01T00:00:00.000Z',
+        nextAttemptAt: null,
+        completedAt: '2025-01-01T00:00:01.000Z'
+      }]
+    });
+    webhookService.importLegacyFiles();
+
+    expect(webhookService.get('legacy-webhook')).toMatchObject({ changeThreshold: 5, ignoreSelectors: ['.clock'], active: true });
+    expect(webhookService.getDeliveries('legacy-webhook', { limit: 10, offset: 0 })).toMatchObject({
+      total: 1,
+      deliveries: [{ id: 'legacy-delivery', status: 'delivered', attempts: [{ statusCode: 204 }] }]
+    });
+    expect(fs.existsSync(path.join(storageDir, 'webhooks.json.imported'))).toBe(true);
+
+    const { webhook } = webhookService.create({ url: 'https://hooks.example.com/new', events: ['page.changed'] });
+    expect(webhookService.update(webhook.id, { active: false }).webhook.active).toBe(false);
+    expect(webhookService.get(webhook.id).active).toBe(false);
+    expect(webhookService.getSubscribers('page.changed')).toEqual([]);
+
+    expect(webhookService.remove('legacy-webhook')).toBe(true);
+    expect(webhookService.getDeliveries('legacy-webhook', { limit: 10, offset: 0 }).total).toBe(0);
+  });
+
+  test('keeps schedules with their run history, and imports schedules.json', () => {
+    writeLegacyFile('schedules.json', {
+      schedules: [{
+        id: 'legacy-schedule',
+        url: 'https://example.com/',
+        options: { maxPages: 5 },
+        intervalMinutes: 60,
+        jitterSeconds: 0,
+        skipIfRunning: true,
+        status: 'paused',
+        runs: [
+          { runAt: '2025-01-02T00:00:00.000Z', status: 'started', archiveId: 'legacy-archive' },
+          { runAt: '2025-01-01T00:00:00.000Z', status: 'skipped', reason: 'Previous capture still running' }
+        ],
+        lastRunAt: '2025-01-02T00:00:00.000Z',
+        nextRunAt: null,
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      }]
+    });
+    schedulerService.importLegacyFile();
+
+    const schedule = schedulerService.get('legacy-schedule');
+    expect(schedule).toMatchObject({ options: { maxPages: 5 }, intervalMinutes: 60, cron: null, status: 'paused' });
+    expect(schedule.runs.map(run => run.runAt)).toEqual(['2025-01-02T00:00:00.000Z', '2025-01-01T00:00:00.000Z']);
+
+    const updated = schedulerService.update('legacy-schedule', { cron: '0 3 * * *', status: 'active' }).schedule;
+    expect(updated).toMatchObject({ cron: '0 3 * * *', intervalMinutes: null, status: 'active' });
+    expect(schedulerService.get('legacy-schedule').runs).toHaveLength(2);
+
+    expect(schedulerService.remove('legacy-schedule')).toBe(true);
+    expect(schedulerService.get('legacy-schedule')).toBeNull();
+  });
+});
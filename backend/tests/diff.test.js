@@ -0,0 +1,57 @@
+const { diffSequences, diffWords, measureTextChange } = require('../src/utils/diff');
+
+describe('text diff', () => {
+  test('diffs sequences by longest common subsequence', () => {
+    expect(diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'e', 'd'])).toEqual([
+      { type: 'equal', value: 'a' },
+      { type: 'delete', value: 'b' },
+      { type: 'equal', value: 'c' },
+      { type: 'insert', value: 'e' },
+      { type: 'equal', value: 'd' }
+    ]);
+  });
+
+  test('joins word runs back into the original text', () => {
+    const runs = diffWords('the quick brown fox', 'the slow brown fox');
+
+    expect(runs).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox' }
+    ]);
+    expect(runs.filter(run => run.type !== 'insert').map(run => run.text).join('')).toBe('the quick brown fox');
+  });
+
+  test('counts an edited word in a long paragraph as one word', () => {
+    const before = ['Heading', 'one two three four five six seven eight'];
+    const after = ['Heading', 'one two three four FIVE six seven eight'];
+
+    expect(measureTextChange(before, after)).toEqual({
+      wordsBefore: 9,
+      wordsAfter: 9,
+      wordsAdded: 1,
+      wordsRemoved: 1,
+      percentChanged: 11.11
+    });
+  });
+
+  test('counts added and removed blocks in full', () => {
+    const change = measureTextChange(['kept block', 'old news here'], ['kept block', 'fresh']);
+
+    expect(change.wordsAdded).toBe(1);
+    expect(change.wordsRemoved).toBe(3);
+    expect(change.percentChanged).toBe(50);
+  });
+
+  test('reports no change for identical or empty text', () => {
+    expect(measureTextChange(['same text'], ['same text']).percentChanged).toBe(0);
+    expect(measureTextChange([], [])).toEqual({
+      wordsBefore: 0,
+      wordsAfter: 0,
+      wordsAdded: 0,
+      wordsRemoved: 0,
+      percentChanged: 0
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalDriver = require('../src/drivers/local');
+
+describe('local storage driver', () => {
+  let parent;
+  let driver;
+
+  beforeEach(() => {
+    // A file next to the root, which no key may reach
+    parent = fs.mkdtempSync(path.join(os.tmpdir(), 'web-archiver-driver-'));
+    fs.writeFileSync(path.join(parent, 'secret.json'), '{"secret":"s3cr3t"}');
+    driver = new LocalDriver({ root: path.join(parent, 'archives') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(parent, { recursive: true, force: true });
+  });
+
+  test('stores, streams and deletes keys below the root', async () => {
+    await driver.put('archive-1/assets/site.css', 'body {}');
+
+    expect((await driver.get('archive-1/assets/site.css')).toString()).toBe('body {}');
+    expect(await driver.stat('archive-1/assets/site.css')).toMatchObject({ size: 7 });
+    expect(await driver.list('archive-1/')).toEqual([{ key: 'archive-1/assets/site.css', size: 7 }]);
+
+    await driver.delete('archive-1/assets/site.css');
+    expect(await driver.get('archive-1/assets/site.css')).toBeNull();
+    // Directories left empty are removed
+    expect(fs.readdirSync(driver.root)).toEqual([]);
+  });
+
+  test('refuses a ..%2F path from a view URL', async () => {
+    // With the default configuration the database and webhooks live in the storage root
+    fs.writeFileSync(path.join(driver.root, 'webhooks.json'), '{"secret":"s3cr3t"}');
+    // Express decodes /api/view/archive-1/..%2Fwebhooks.json to this
+    const key = `archive-1/${decodeURIComponent('..%2Fwebhooks.json')}`;
+
+    await expect(driver.get(key)).rejects.toThrow('Invalid storage key');
+    await expect(driver.stat(key)).rejects.toThrow('Invalid storage key');
+    await expect(driver.stream(key)).rejects.toThrow('Invalid storage key');
+    await expect(driver.get(`archive-1/${decodeURIComponent('..%2F..%2Fsecret.json')}`)).rejects.toThrow('Invalid storage key');
+  });
+
+  test('refuses .. segments even when they stay inside the root', async () => {
+    await driver.put('archive-2/index.html', '<html></html>');
+
+    await expect(driver.get('archive-1/../archive-2/index.html')).rejects.toThrow('Invalid storage key');
+    await expect(driver.put('archive-1/./index.html', 'x')).rejects.toThrow('Invalid storage key');
+    await expect(driver.get('archive-1\\..\\..\\secret.json')).rejects.toThrow('Invalid storage key');
+  });
+});
@@ -0,0 +1,38 @@
+const storageService = require('../src/services/storage');
+const archiverService = require('../src/services/archiver');
+const jobQueue = require('../src/services/jobQueue');
+
+const waitFor = async condition => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
+
+describe('job queue', () => {
+  test('keeps the error of a retried job on the job, not the live archive', async () => {
+    const archive = storageService.createArchive('https://example.com/', 'example.com');
+    let finishSecondAttempt;
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockImplementationOnce(() => new Promise(resolve => {
+        finishSecondAttempt = resolve;
+      }));
+
+    jobQueue.start(handler);
+    jobQueue.enqueue(archive.id);
+    await waitFor(() => handler.mock.calls.length === 2);
+
+    const status = archiverService.getJobStatus(archive.id);
+    expect(status.status).toBe('pending');
+    expect(status.error).toBeNull();
+    expect(status.queue).toMatchObject({ state: 'running', attempts: 2, error: 'socket hang up' });
+
+    finishSecondAttempt(null);
+    await waitFor(() => jobQueue.getJob(archive.id).state === 'completed');
+  });
+
+  test('has no status for an unknown job', () => {
+    expect(archiverService.getJobStatus('no-such-archive')).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+const cheerio = require('cheerio');
+const { rewriteLinks } = require('../src/utils/links');
+
+const captured = {
+  'https://example.com/docs/guide': 'docs/guide.html',
+  'https://example.com/about': 'about.html'
+};
+const toArchive = url => captured[url] || null;
+
+describe('link rewriting', () => {
+  test('resolves links against <base href> and keeps fragments and refresh targets', () => {
+    const $ = cheerio.load([
+      '<base href="https://example.com/docs/">',
+      '<meta http-equiv="refresh" content="5; url=/about">',
+      '<a href="guide#intro">Guide</a>',
+      '<a href="https://other.example/">Other</a>',
+      '<a href="#top">Top</a>'
+    ].join(''));
+
+    expect(rewriteLinks($, 'https://example.com/', toArchive)).toBe(2);
+    expect($('a').eq(0).attr('href')).toBe('docs/guide.html#intro');
+    expect($('a').eq(1).attr('href')).toBe('https://other.example/');
+    expect($('a').eq(2).attr('href')).toBe('#top');
+    expect($('meta').attr('content')).toBe('5; url=about.html');
+  });
+
+  test('drops the <base href> so archive-relative references resolve from the page', () => {
+    const $ = cheerio.load('<head><base href="https://cdn.example.com/"></head><body><img src="assets/logo.png"></body>');
+    rewriteLinks($, 'https://example.com/', toArchive);
+    expect($('base')).toHaveLength(0);
+
+    const $target = cheerio.load('<head><base href="/docs/" target="_blank"></head>');
+    rewriteLinks($target, 'https://example.com/', toArchive);
+    expect($target('base').attr('href')).toBeUndefined();
+    expect($target('base').attr('target')).toBe('_blank');
+  });
+});
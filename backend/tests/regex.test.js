@@ -0,0 +1,34 @@
+const { getUnsafePatternReason } = require('../src/utils/regex');
+
+describe('unsafe pattern guard', () => {
+  test.each([
+    '^/blog/',
+    '\\.pdf$',
+    '/(en|de)/docs/',
+    'a+b*c?',
+    '(ab)+',
+    '(a|b){2,5}',
+    '[(a+)+]*',
+    '\\(a+\\)+',
+    '(?:page|post)-\\d+',
+    '(?<year>\\d{4})/'
+  ])('accepts %s', pattern => {
+    expect(getUnsafePatternReason(pattern)).toBeNull();
+  });
+
+  test.each([
+    '(a+)+',
+    '(\\w*\\.)*',
+    '(a*)*b',
+    '((ab)+)+',
+    '(?:x+y)+',
+    '(a{2,})+',
+    '(.*a){2,}'
+  ])('rejects nested quantifiers in %s', pattern => {
+    expect(getUnsafePatternReason(pattern)).toMatch(/nested quantifiers/);
+  });
+
+  test.each(['(a)\\1', '(?<x>a)\\k<x>'])('rejects backreferences in %s', pattern => {
+    expect(getUnsafePatternReason(pattern)).toMatch(/backreferences/);
+  });
+});
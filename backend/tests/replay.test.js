@@ -0,0 +1,72 @@
+jest.mock('../src/services/storage', () => ({
+  getCaptures: jest.fn(),
+  getArchive: jest.fn(),
+  getAllArchives: jest.fn()
+}));
+
+const storageService = require('../src/services/storage');
+const replayService = require('../src/services/replay');
+const mementoService = require('../src/services/memento');
+
+const pageUrl = 'https://replay.example/';
+const styleUrl = 'https://replay.example/style.css';
+const archives = {
+  early: {
+    id: 'early',
+    pages: [{ url: pageUrl, path: 'index.html' }],
+    assets: [{ url: styleUrl, path: 'assets/style.css' }]
+  },
+  late: {
+    id: 'late',
+    pages: [{ url: pageUrl, path: 'index.html' }],
+    assets: []
+  }
+};
+const captures = {
+  [pageUrl]: [
+    { archiveId: 'early', path: 'index.html', kind: 'page', capturedAt: '2025-01-01T00:00:00.000Z' },
+    { archiveId: 'late', path: 'index.html', kind: 'page', capturedAt: '2025-06-01T00:00:00.000Z' }
+  ],
+  [styleUrl]: [
+    { archiveId: 'early', path: 'assets/style.css', kind: 'asset', capturedAt: '2025-01-01T00:00:00.000Z' }
+  ]
+};
+
+describe('replay', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storageService.getCaptures.mockImplementation(url => captures[url] || []);
+    storageService.getArchive.mockImplementation(id => archives[id] || null);
+  });
+
+  test('finds the capture of a page closest to a timestamp', () => {
+    const nearest = replayService.findNearestCapture(pageUrl, new Date('2025-02-20T00:00:00Z'));
+    expect(nearest.archive.id).toBe('early');
+    expect(nearest.isPage).toBe(true);
+    expect(nearest.entry.path).toBe('index.html');
+    expect(nearest.timestamp).toBe('20250101000000');
+
+    expect(replayService.findNearestCapture(pageUrl, new Date('2025-04-01T00:00:00Z')).archive.id).toBe('late');
+  });
+
+  test('finds asset captures and nothing for unknown URLs', () => {
+    const nearest = replayService.findNearestCapture(styleUrl, new Date('2025-06-01T00:00:00Z'));
+    expect(nearest.archive.id).toBe('early');
+    expect(nearest.isPage).toBe(false);
+    expect(nearest.entry.path).toBe('assets/style.css');
+
+    expect(replayService.findNearestCapture('https://replay.example/missing', new Date())).toBeNull();
+  });
+
+  test('loads only the archive holding the capture', () => {
+    replayService.findNearestCapture(pageUrl, new Date());
+    expect(storageService.getCaptures).toHaveBeenCalledWith(pageUrl);
+    expect(storageService.getArchive).toHaveBeenCalledTimes(1);
+    expect(storageService.getAllArchives).not.toHaveBeenCalled();
+  });
+
+  test('has mementos of assets as well as pages', () => {
+    expect(mementoService.selectCapture(mementoService.getCaptures(styleUrl), new Date())).toMatchObject({ archiveId: 'early', kind: 'asset' });
+    expect(mementoService.selectCapture(mementoService.getCaptures(pageUrl))).toMatchObject({ archiveId: 'late', kind: 'page' });
+  });
+});
@@ -0,0 +1,62 @@
+const { parseRobots, isAllowedByRobots } = require('../src/utils/robots');
+
+const check = (robots, path) => isAllowedByRobots(robots, new URL(path, 'https://example.com'));
+
+describe('robots.txt', () => {
+  test('uses the group for our user agent instead of the "*" group', () => {
+    const robots = parseRobots([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: Googlebot',
+      'User-agent: WebArchiver',
+      'Disallow: /private',
+      'Crawl-delay: 2.5',
+      '',
+      'Sitemap: https://example.com/sitemap.xml'
+    ].join('\r\n'));
+
+    expect(robots.rules).toEqual([{ type: 'disallow', pattern: '/private' }]);
+    expect(robots.crawlDelay).toBe(2.5);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  test('only matches the whole product token', () => {
+    const robots = parseRobots('User-agent: web\nDisallow: /\n\nUser-agent: *\nDisallow: /tmp\n');
+
+    expect(robots.rules).toEqual([{ type: 'disallow', pattern: '/tmp' }]);
+  });
+
+  test('lets the longest matching rule win, and Allow win ties', () => {
+    const robots = parseRobots([
+      'User-agent: *',
+      'Disallow: /docs',
+      'Allow: /docs/public',
+      'Disallow: /same',
+      'Allow: /same',
+      'Disallow: /*.pdf$',
+      'Disallow:'
+    ].join('\n'));
+
+    expect(check(robots, '/docs/secret').allowed).toBe(false);
+    expect(check(robots, '/docs/public/a').allowed).toBe(true);
+    expect(check(robots, '/same').allowed).toBe(true);
+    expect(check(robots, '/files/report.pdf').allowed).toBe(false);
+    expect(check(robots, '/files/report.pdf?download=1').allowed).toBe(true);
+    expect(check(robots, '/other')).toEqual({ allowed: true, rule: null });
+  });
+
+  test('matches percent-encoded paths against unencoded rules', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /café\n');
+
+    expect(check(robots, '/caf%C3%A9/menu').allowed).toBe(false);
+  });
+
+  test('allows everything without rules for us', () => {
+    const robots = parseRobots('User-agent: otherbot\nDisallow: /\n');
+
+    expect(robots.rules).toEqual([]);
+    expect(robots.crawlDelay).toBeNull();
+    expect(check(robots, '/').allowed).toBe(true);
+  });
+});
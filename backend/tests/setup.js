@@ -0,0 +1,8 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file gets its own database and storage, never the real archives directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-archiver-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'archive.db');
+process.env.STORAGE_PATH = path.join(dir, 'storage');
@@ -0,0 +1,136 @@
+jest.mock('../src/services/storage', () => ({
+  readOriginal: jest.fn(),
+  readFile: jest.fn()
+}));
+
+const zlib = require('zlib');
+const storageService = require('../src/services/storage');
+const warcService = require('../src/services/warc');
+const importService = require('../src/services/importer');
+
+const PAGE_HTML = Buffer.from('<html><head><title>Home</title></head><body>Hello</body></html>');
+const LOGO = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x0d, 0x0a, 0xff]);
+
+const archive = {
+  id: 'test-archive',
+  url: 'https://example.com/',
+  domain: 'example.com',
+  timestamp: '2025-09-25T07:27:02.000Z',
+  pages: [{
+    url: 'https://example.com/?q=1',
+    path: 'index.html',
+    savedAt: '2025-09-25T07:27:03.000Z',
+    capture: {
+      method: 'GET',
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'text/html; charset=utf-8', 'content-encoding': 'gzip', 'set-cookie': ['a=1', 'b=2'] },
+      requestHeaders: { 'user-agent': 'WebArchiver' },
+      capturedAt: '2025-09-25T07:27:02.500Z'
+    }
+  }],
+  assets: [{
+    url: 'https://example.com/logo.png',
+    path: 'assets/logo.png',
+    savedAt: '2025-09-25T07:27:04.000Z'
+  }]
+};
+
+describe('WARC export and import', () => {
+  beforeEach(() => {
+    storageService.readOriginal.mockImplementation(async () => PAGE_HTML);
+    storageService.readFile.mockImplementation(async (archiveId, path) => (path === 'assets/logo.png' ? LOGO : null));
+  });
+
+  test('reads back the records and HTTP exchanges it wrote', async () => {
+    const { buffer, index } = await warcService.buildWarc(archive);
+    const { records, errors } = warcService.parseWarc(buffer);
+
+    expect(errors).toEqual([]);
+    expect(records.map(record => record.type)).toEqual(['warcinfo', 'response', 'request', 'metadata', 'resource']);
+
+    const response = records[1];
+    expect(response.targetUri).toBe('https://example.com/?q=1');
+    expect(response.headers['warc-date']).toBe('2025-09-25T07:27:02.500Z');
+    const message = warcService.parseHttpMessage(response.block);
+    expect(message.status).toBe(200);
+    expect(message.statusText).toBe('OK');
+    expect(message.body.equals(PAGE_HTML)).toBe(true);
+    // The stored body is decoded, so the original encoding is only kept for reference
+    expect(message.headers['content-encoding']).toBeUndefined();
+    expect(message.headers['x-archive-orig-content-encoding']).toBe('gzip');
+    expect(message.headers['content-length']).toBe(String(PAGE_HTML.length));
+    expect(message.headers['set-cookie']).toEqual(['a=1', 'b=2']);
+
+    const request = warcService.parseHttpMessage(records[2].block);
+    expect(request.startLine).toBe('GET /?q=1 HTTP/1.1');
+    expect(request.headers.host).toBe('example.com');
+    expect(records[2].headers['warc-concurrent-to']).toBe(response.recordId);
+
+    expect(records[4].block.equals(LOGO)).toBe(true);
+    expect(records[4].headers['content-type']).toBe('image/png');
+
+    // Index offsets point at each record's own gzip member
+    expect(index).toHaveLength(2);
+    index.forEach(entry => {
+      const member = warcService.parseWarc(buffer.slice(entry.offset, entry.offset + entry.length));
+      expect(member.records).toHaveLength(1);
+      expect(member.records[0].targetUri).toBe(entry.url);
+    });
+  });
+
+  test('indexes every capture in a sorted CDXJ file', async () => {
+    const { index } = await warcService.buildWarc(archive);
+    const lines = warcService.buildCdxj(index).trim().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^com,example\)\/\?q=1 20250925072702 /);
+    expect(JSON.parse(lines[0].split(' ').slice(2).join(' '))).toMatchObject({ status: '200', mime: 'text/html', filename: 'data.warc.gz' });
+    expect(lines[1]).toMatch(/^com,example\)\/logo\.png 20250925072704 /);
+  });
+
+  test('reports a truncated record without losing the ones before it', async () => {
+    const { buffer } = await warcService.buildWarc(archive);
+    const plain = zlib.gunzipSync(buffer);
+    const { records, errors } = warcService.parseWarc(plain.slice(0, plain.length - 8));
+
+    expect(records).toHaveLength(4);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error).toMatch(/^Truncated record/);
+    expect(errors[0].targetUri).toBe('https://example.com/logo.png');
+  });
+
+  test('decodes chunked and compressed bodies of imported responses', () => {
+    const body = zlib.gzipSync(Buffer.from('compressed body'));
+    const chunked = Buffer.concat([
+      Buffer.from(`${body.length.toString(16)}\r\n`),
+      body,
+      Buffer.from('\r\n0\r\n\r\n')
+    ]);
+    const block = Buffer.concat([
+      Buffer.from('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\nContent-Encoding: gzip\r\n\r\n'),
+      chunked
+    ]);
+
+    expect(warcService.parseHttpMessage(block).body.toString()).toBe('compressed body');
+  });
+
+  test('packages a WACZ that reads back with its WARC and pages', async () => {
+    const wacz = await warcService.buildWacz(archive);
+    const { warcs, datapackage, pages } = await warcService.readWacz(wacz);
+
+    expect(warcs.map(warc => warc.name)).toEqual(['archive/data.warc.gz']);
+    expect(warcService.parseWarc(warcs[0].buffer).records).toHaveLength(5);
+    expect(datapackage.mainPageUrl).toBe('https://example.com/?q=1');
+    expect(datapackage.resources.map(resource => resource.path))
+      .toEqual(['archive/data.warc.gz', 'indexes/index.cdxj', 'pages/pages.jsonl']);
+    expect(pages.map(page => page.url)).toEqual(['https://example.com/?q=1']);
+  });
+
+  test('refuses a main page URL that is not http(s)', () => {
+    ['javascript:alert(1)', 'not a url', undefined].forEach(url => {
+      expect(() => importService.parseStartUrl(url)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+    expect(importService.parseStartUrl('https://example.com/').hostname).toBe('example.com');
+  });
+});
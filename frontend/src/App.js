@@ -1,7 +1,11 @@
-import React, { useState } from "react";
+import React, { useState, useCallback } from "react";
 import ArchiveForm from "./components/ArchiveForm";
+import ImportForm from "./components/ImportForm";
 import ArchiveList from "./components/ArchiveList";
 import ArchiveViewer from "./components/ArchiveViewer";
+import SearchPanel from "./components/SearchPanel";
+import DiffViewer from "./components/DiffViewer";
+import SchedulesPanel from "./components/SchedulesPanel";
 import JobStatus from "./components/JobStatus";
 import "./App.css";
 
@@ -9,6 +13,7 @@ function App() {
 	const [currentJob, setCurrentJob] = useState(null);
 	const [selectedArchive, setSelectedArchive] = useState(null);
 	const [viewUrl, setViewUrl] = useState(null);
+	const [comparison, setComparison] = useState(null);
 	const [error, setError] = useState(null);
 	const [success, setSuccess] = useState(null);
 
@@ -31,6 +36,19 @@ function App() {
 		setTimeout(() => setSuccess(null), 10000);
 	};
 
+	const handleImportComplete = (job) => {
+		setCurrentJob(job);
+		setError(null);
+		setSuccess(
+			job.errors > 0
+				? `Imported ${job.pagesArchived} pages from ${job.domain} (${job.errors} records could not be read — see archive info).`
+				: `✅ Imported ${job.pagesArchived} pages from ${job.domain}.`
+		);
+
+		// Clear success message after 10 seconds
+		setTimeout(() => setSuccess(null), 10000);
+	};
+
 	const handleViewArchive = (archive, url) => {
 		setSelectedArchive(archive);
 		setViewUrl(url);
@@ -41,11 +59,16 @@ function App() {
 		setViewUrl(null);
 	};
 
-	const handleError = (errorMessage) => {
+	const handleCompareArchives = (fromArchive, toArchive) => {
+		setComparison({ fromArchive, toArchive });
+	};
+
+	// Stable, so panels can load data in effects that depend on it
+	const handleError = useCallback((errorMessage) => {
 		setError(errorMessage);
 		// Clear error after 10 seconds
 		setTimeout(() => setError(null), 10000);
-	};
+	}, []);
 
 	const clearMessages = () => {
 		setError(null);
@@ -101,6 +124,10 @@ function App() {
 						onArchiveStarted={handleArchiveStarted}
 						onError={handleError}
 					/>
+					<ImportForm
+						onImportComplete={handleImportComplete}
+						onError={handleError}
+					/>
 				</section>
 
 				{/* Job Status */}
@@ -114,11 +141,22 @@ function App() {
 					</section>
 				)}
 
+				{/* Full-Text Search */}
+				<section className='search-section'>
+					<SearchPanel onViewArchive={handleViewArchive} onError={handleError} />
+				</section>
+
+				{/* Scheduled Captures */}
+				<section className='schedule-section'>
+					<SchedulesPanel onViewArchive={handleViewArchive} onError={handleError} />
+				</section>
+
 				{/* Archive List */}
 				<section className='list-section'>
 					<ArchiveList
 						currentJob={currentJob}
 						onViewArchive={handleViewArchive}
+						onCompareArchives={handleCompareArchives}
 						onError={handleError}
 					/>
 				</section>
@@ -133,6 +171,15 @@ function App() {
 				/>
 			)}
 
+			{/* Snapshot Diff Modal */}
+			{comparison && (
+				<DiffViewer
+					fromArchive={comparison.fromArchive}
+					toArchive={comparison.toArchive}
+					onClose={() => setComparison(null)}
+				/>
+			)}
+
 			<footer className='app-footer'>
 				<div className='footer-content'>
 					<p>Built with 🥲 using React and Node.js</p>
@@ -1,9 +1,94 @@
 import React, { useState } from "react";
 import apiService from "../services/api";
 
+const DEFAULT_OPTIONS = {
+	maxDepth: "",
+	maxPages: "",
+	pageTimeout: "",
+	delay: "",
+	include: "",
+	exclude: "",
+	scope: "host",
+	robots: "obey",
+	robotsJustification: "",
+	sitemap: false,
+	screenshot: true,
+	pdf: false,
+	incremental: false,
+	maxAssetSize: "",
+	maxMediaSize: "",
+	assetScope: "same-host",
+	assetAllow: "",
+	assetDeny: "",
+	behaviors: ["autoscroll", "lazyload", "networkidle"],
+	clickSelectors: "",
+	maxScrolls: "",
+};
+
+const BEHAVIOR_LABELS = {
+	autoscroll: "Scroll to the bottom (infinite scroll)",
+	lazyload: "Load lazy images",
+	click: "Click \"load more\" buttons",
+	networkidle: "Wait for network idle",
+};
+
 const ArchiveForm = ({ onArchiveStarted, onError }) => {
 	const [url, setUrl] = useState("");
 	const [isLoading, setIsLoading] = useState(false);
+	const [showAdvanced, setShowAdvanced] = useState(false);
+	const [options, setOptions] = useState(DEFAULT_OPTIONS);
+
+	const updateOption = (name, value) => {
+		setOptions((prev) => ({ ...prev, [name]: value }));
+	};
+
+	const toggleBehavior = (behavior, enabled) => {
+		setOptions((prev) => ({
+			...prev,
+			behaviors: enabled
+				? [...prev.behaviors, behavior]
+				: prev.behaviors.filter((name) => name !== behavior),
+		}));
+	};
+
+	// Only send settings the user actually changed; the server fills in defaults
+	const buildOptions = () => {
+		const result = {};
+		["maxDepth", "maxPages", "pageTimeout", "delay", "maxScrolls"].forEach((name) => {
+			if (options[name] !== "") {
+				result[name] = Number(options[name]);
+			}
+		});
+		// Size caps are entered in MB but sent in bytes
+		["maxAssetSize", "maxMediaSize"].forEach((name) => {
+			if (options[name] !== "") {
+				result[name] = Math.round(Number(options[name]) * 1024 * 1024);
+			}
+		});
+		["include", "exclude", "assetAllow", "assetDeny", "clickSelectors"].forEach((name) => {
+			const patterns = options[name]
+				.split("\n")
+				.map((pattern) => pattern.trim())
+				.filter(Boolean);
+			if (patterns.length > 0) {
+				result[name] = patterns;
+			}
+		});
+		result.scope = options.scope;
+		result.robots = options.robots;
+		if (options.robots === "ignore") {
+			result.robotsJustification = options.robotsJustification.trim();
+		}
+		result.sitemap = options.sitemap;
+		result.screenshot = options.screenshot;
+		result.pdf = options.pdf;
+		if (options.incremental) {
+			result.baseArchive = "latest";
+		}
+		result.assetScope = options.assetScope;
+		result.behaviors = options.behaviors;
+		return result;
+	};
 
 	const handleSubmit = async (e) => {
 		e.preventDefault();
@@ -31,7 +116,7 @@ const ArchiveForm = ({ onArchiveStarted, onError }) => {
 		setIsLoading(true);
 
 		try {
-			const job = await apiService.startArchiving(processedUrl);
+			const job = await apiService.startArchiving(processedUrl, buildOptions());
 			onArchiveStarted(job);
 			setUrl(""); // Clear form on success
 		} catch (error) {
@@ -73,6 +158,260 @@ const ArchiveForm = ({ onArchiveStarted, onError }) => {
 						)}
 					</button>
 				</div>
+
+				<button
+					type='button'
+					className='advanced-toggle'
+					onClick={() => setShowAdvanced(!showAdvanced)}
+				>
+					{showAdvanced ? "▾" : "▸"} Advanced options
+				</button>
+
+				{showAdvanced && (
+					<div className='advanced-options'>
+						<label>
+							Max depth
+							<input
+								type='number'
+								min='0'
+								max='20'
+								value={options.maxDepth}
+								onChange={(e) => updateOption("maxDepth", e.target.value)}
+								placeholder='3'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Page limit
+							<input
+								type='number'
+								min='1'
+								max='5000'
+								value={options.maxPages}
+								onChange={(e) => updateOption("maxPages", e.target.value)}
+								placeholder='50'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Page timeout (ms)
+							<input
+								type='number'
+								min='1000'
+								max='300000'
+								value={options.pageTimeout}
+								onChange={(e) => updateOption("pageTimeout", e.target.value)}
+								placeholder='30000'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Delay between pages (ms)
+							<input
+								type='number'
+								min='0'
+								max='60000'
+								value={options.delay}
+								onChange={(e) => updateOption("delay", e.target.value)}
+								placeholder='1000'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Max asset size (MB)
+							<input
+								type='number'
+								min='0.001'
+								step='any'
+								value={options.maxAssetSize}
+								onChange={(e) => updateOption("maxAssetSize", e.target.value)}
+								placeholder='20'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Max audio/video size (MB)
+							<input
+								type='number'
+								min='0.001'
+								step='any'
+								value={options.maxMediaSize}
+								onChange={(e) => updateOption("maxMediaSize", e.target.value)}
+								placeholder='100'
+								disabled={isLoading}
+							/>
+						</label>
+						<label>
+							Scope
+							<select
+								value={options.scope}
+								onChange={(e) => updateOption("scope", e.target.value)}
+								disabled={isLoading}
+							>
+								<option value='host'>Same host</option>
+								<option value='domain'>Same registrable domain</option>
+								<option value='prefix'>Same path prefix</option>
+							</select>
+						</label>
+						<label>
+							robots.txt
+							<select
+								value={options.robots}
+								onChange={(e) => updateOption("robots", e.target.value)}
+								disabled={isLoading}
+							>
+								<option value='obey'>Obey</option>
+								<option value='ignore'>Ignore (requires justification)</option>
+							</select>
+						</label>
+						<label className='checkbox'>
+							<input
+								type='checkbox'
+								checked={options.sitemap}
+								onChange={(e) => updateOption("sitemap", e.target.checked)}
+								disabled={isLoading}
+							/>
+							Seed from sitemap.xml
+						</label>
+						<label className='checkbox'>
+							<input
+								type='checkbox'
+								checked={options.screenshot}
+								onChange={(e) => updateOption("screenshot", e.target.checked)}
+								disabled={isLoading}
+							/>
+							Save screenshots
+						</label>
+						<label className='checkbox'>
+							<input
+								type='checkbox'
+								checked={options.pdf}
+								onChange={(e) => updateOption("pdf", e.target.checked)}
+								disabled={isLoading}
+							/>
+							Save PDF prints
+						</label>
+						<label className='checkbox'>
+							<input
+								type='checkbox'
+								checked={options.incremental}
+								onChange={(e) => updateOption("incremental", e.target.checked)}
+								disabled={isLoading}
+							/>
+							Incremental (reuse what is unchanged since the latest archive)
+						</label>
+						{options.robots === "ignore" && (
+							<label className='wide'>
+								Justification for ignoring robots.txt
+								<textarea
+									rows='2'
+									value={options.robotsJustification}
+									onChange={(e) =>
+										updateOption("robotsJustification", e.target.value)
+									}
+									placeholder='e.g. Capturing our own site with approval from legal'
+									disabled={isLoading}
+								/>
+							</label>
+						)}
+						<label>
+							Third-party assets
+							<select
+								value={options.assetScope}
+								onChange={(e) => updateOption("assetScope", e.target.value)}
+								disabled={isLoading}
+							>
+								<option value='same-host'>Same host only</option>
+								<option value='list'>Same host + allowlist</option>
+								<option value='all'>All hosts</option>
+							</select>
+						</label>
+						{options.assetScope === "list" && (
+							<label className='wide'>
+								Allowed asset hosts (one per line, *.domain for subdomains)
+								<textarea
+									rows='2'
+									value={options.assetAllow}
+									onChange={(e) => updateOption("assetAllow", e.target.value)}
+									placeholder='*.redditstatic.com'
+									disabled={isLoading}
+								/>
+							</label>
+						)}
+						{options.assetScope !== "same-host" && (
+							<label className='wide'>
+								Never capture assets from (one host per line)
+								<textarea
+									rows='2'
+									value={options.assetDeny}
+									onChange={(e) => updateOption("assetDeny", e.target.value)}
+									placeholder='*.doubleclick.net'
+									disabled={isLoading}
+								/>
+							</label>
+						)}
+						<div className='wide behaviors'>
+							Page behaviors (browser mode)
+							{Object.entries(BEHAVIOR_LABELS).map(([behavior, label]) => (
+								<label key={behavior} className='checkbox'>
+									<input
+										type='checkbox'
+										checked={options.behaviors.includes(behavior)}
+										onChange={(e) => toggleBehavior(behavior, e.target.checked)}
+										disabled={isLoading}
+									/>
+									{label}
+								</label>
+							))}
+						</div>
+						{options.behaviors.includes("autoscroll") && (
+							<label>
+								Max scroll steps
+								<input
+									type='number'
+									min='0'
+									max='200'
+									value={options.maxScrolls}
+									onChange={(e) => updateOption("maxScrolls", e.target.value)}
+									placeholder='20'
+									disabled={isLoading}
+								/>
+							</label>
+						)}
+						{options.behaviors.includes("click") && (
+							<label className='wide'>
+								Buttons to click (one CSS selector per line)
+								<textarea
+									rows='2'
+									value={options.clickSelectors}
+									onChange={(e) => updateOption("clickSelectors", e.target.value)}
+									placeholder='button.load-more'
+									disabled={isLoading}
+								/>
+							</label>
+						)}
+						<label className='wide'>
+							Include URLs matching (one regex per line)
+							<textarea
+								rows='2'
+								value={options.include}
+								onChange={(e) => updateOption("include", e.target.value)}
+								placeholder='/blog/'
+								disabled={isLoading}
+							/>
+						</label>
+						<label className='wide'>
+							Exclude URLs matching (one regex per line)
+							<textarea
+								rows='2'
+								value={options.exclude}
+								onChange={(e) => updateOption("exclude", e.target.value)}
+								placeholder='\?page=\d+'
+								disabled={isLoading}
+							/>
+						</label>
+					</div>
+				)}
 			</form>
 
 			<div className='form-info'>
@@ -188,6 +527,78 @@ const ArchiveForm = ({ onArchiveStarted, onError }) => {
 					}
 				}
 
+				.advanced-toggle {
+					margin-top: 1rem;
+					padding: 0;
+					background: none;
+					border: none;
+					color: #3498db;
+					font-size: 0.95rem;
+					font-weight: 600;
+					cursor: pointer;
+				}
+
+				.advanced-options {
+					display: grid;
+					grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+					gap: 1rem;
+					margin-top: 1rem;
+					padding: 1rem;
+					background: #f8f9fa;
+					border-radius: 8px;
+				}
+
+				.advanced-options label {
+					display: flex;
+					flex-direction: column;
+					gap: 0.25rem;
+					font-size: 0.85rem;
+					font-weight: 600;
+					color: #5a6c7d;
+				}
+
+				.advanced-options label.wide {
+					grid-column: 1 / -1;
+				}
+
+				.advanced-options label.checkbox {
+					flex-direction: row;
+					align-items: center;
+					gap: 0.5rem;
+				}
+
+				.advanced-options .behaviors {
+					grid-column: 1 / -1;
+					display: flex;
+					flex-wrap: wrap;
+					gap: 0.5rem 1.25rem;
+					font-size: 0.85rem;
+					font-weight: 600;
+					color: #5a6c7d;
+				}
+
+				.advanced-options .behaviors label.checkbox {
+					font-weight: normal;
+				}
+
+				.advanced-options input,
+				.advanced-options select,
+				.advanced-options textarea {
+					padding: 0.5rem;
+					font-size: 0.9rem;
+					font-weight: normal;
+					border: 2px solid #e0e0e0;
+					border-radius: 6px;
+					outline: none;
+					font-family: inherit;
+				}
+
+				.advanced-options input:focus,
+				.advanced-options select:focus,
+				.advanced-options textarea:focus {
+					border-color: #3498db;
+				}
+
 				.form-info {
 					background: #f8f9fa;
 					padding: 1.5rem;
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from "react";
 import apiService from "../services/api";
 
-const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
+const ArchiveList = ({ currentJob, onViewArchive, onCompareArchives, onError }) => {
 	const [archives, setArchives] = useState([]);
 	const [loading, setLoading] = useState(false);
 	const [selectedDomain, setSelectedDomain] = useState("");
 	const [allDomains, setAllDomains] = useState([]);
+	const [compareIds, setCompareIds] = useState([]);
 
 	// Load all archives on component mount
 	useEffect(() => {
@@ -56,9 +57,31 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 
 	const handleDomainChange = (domain) => {
 		setSelectedDomain(domain);
+		setCompareIds([]);
 		loadArchivesForDomain(domain);
 	};
 
+	// Keep at most two archives selected: picking a third drops the oldest pick
+	const toggleCompare = (archiveId) => {
+		setCompareIds((ids) =>
+			ids.includes(archiveId)
+				? ids.filter((id) => id !== archiveId)
+				: [...ids, archiveId].slice(-2)
+		);
+	};
+
+	const handleCompare = () => {
+		const [before, after] = archives
+			.filter((archive) => compareIds.includes(archive.id))
+			.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+		onCompareArchives({ ...before, domain: selectedDomain }, { ...after, domain: selectedDomain });
+	};
+
+	// Comparing starts from a single domain's snapshots
+	const canCompare =
+		selectedDomain &&
+		archives.filter((archive) => archive.status === "completed").length > 1;
+
 	const handleViewArchive = (archive) => {
 		const viewUrl = apiService.getArchiveViewUrl(archive.id);
 		onViewArchive(archive, viewUrl);
@@ -70,6 +93,9 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 			processing: { color: "#3498db", text: "Processing" },
 			completed: { color: "#27ae60", text: "Completed" },
 			failed: { color: "#e74c3c", text: "Failed" },
+			interrupted: { color: "#e67e22", text: "Interrupted" },
+			paused: { color: "#8e44ad", text: "Paused" },
+			cancelled: { color: "#7f8c8d", text: "Cancelled" },
 		};
 
 		const config = statusConfig[status] || statusConfig.pending;
@@ -107,6 +133,16 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 							</option>
 						))}
 					</select>
+					{canCompare && (
+						<button
+							onClick={handleCompare}
+							className='compare-button'
+							disabled={compareIds.length !== 2}
+							title='Select two snapshots to see what changed'
+						>
+							🔀 Compare ({compareIds.length}/2)
+						</button>
+					)}
 					<button
 						onClick={loadAllArchives}
 						className='refresh-button'
@@ -131,6 +167,17 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 				<div className='archives-grid'>
 					{archives.map((archive) => (
 						<div key={archive.id} className='archive-card'>
+							{archive.renditions && archive.renditions.thumbnail && (
+								<img
+									src={apiService.getArchiveViewUrl(
+										archive.id,
+										archive.renditions.thumbnail
+									)}
+									alt={`Start page of ${archive.domain} when archived`}
+									className='archive-thumbnail'
+									loading='lazy'
+								/>
+							)}
 							<div className='archive-header'>
 								<div className='archive-url'>
 									<strong>{archive.domain}</strong>
@@ -139,6 +186,17 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 								{getStatusBadge(archive.status)}
 							</div>
 
+							{canCompare && archive.status === "completed" && (
+								<label className='compare-toggle'>
+									<input
+										type='checkbox'
+										checked={compareIds.includes(archive.id)}
+										onChange={() => toggleCompare(archive.id)}
+									/>
+									Select to compare
+								</label>
+							)}
+
 							<div className='archive-meta'>
 								<div className='meta-item'>
 									<span className='meta-label'>📅 Archived:</span>
@@ -158,16 +216,74 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 										<span className='meta-value'>{archive.pagesArchived}</span>
 									</div>
 								)}
+								{archive.incremental && (
+									<div className='meta-item'>
+										<span className='meta-label'>🔁 Reused:</span>
+										<span className='meta-value'>
+											{archive.incremental.revisited} unchanged, {archive.incremental.changed} changed,{" "}
+											{archive.incremental.new} new
+										</span>
+									</div>
+								)}
 							</div>
 
 							<div className='archive-actions'>
-								{archive.status === "completed" ? (
-									<button
-										onClick={() => handleViewArchive(archive)}
-										className='view-button'
-									>
-										👁️ View Archive
-									</button>
+								{archive.status === "cancelled" || archive.status === "interrupted" ? (
+									// Stopped early: the pages saved until then can be browsed and exported
+									<>
+										<button
+											onClick={() => handleViewArchive(archive)}
+											className='view-button'
+										>
+											👁️ View Pages Saved
+										</button>
+										<a
+											href={apiService.getArchiveExportUrl(archive.id, "warc")}
+											className='export-link'
+											title='Download the pages saved as WARC'
+										>
+											⬇️ WARC
+										</a>
+										<a
+											href={apiService.getArchiveExportUrl(archive.id, "wacz")}
+											className='export-link'
+											title='Download the pages saved as WACZ'
+										>
+											⬇️ WACZ
+										</a>
+									</>
+								) : archive.status === "completed" ? (
+									<>
+										<button
+											onClick={() => handleViewArchive(archive)}
+											className='view-button'
+										>
+											👁️ View Archive
+										</button>
+										<a
+											href={apiService.getArchiveExportUrl(archive.id, "warc")}
+											className='export-link'
+											title='Download as WARC'
+										>
+											⬇️ WARC
+										</a>
+										<a
+											href={apiService.getArchiveExportUrl(archive.id, "wacz")}
+											className='export-link'
+											title='Download as WACZ'
+										>
+											⬇️ WACZ
+										</a>
+										<a
+											href={apiService.getReplayUrl(archive.timestamp, archive.url)}
+											className='export-link'
+											title='Shareable link to this snapshot'
+											target='_blank'
+											rel='noopener noreferrer'
+										>
+											🔗 Link
+										</a>
+									</>
 								) : archive.status === "processing" ? (
 									<div className='processing-indicator'>
 										<span className='spinner-small'></span>
@@ -175,6 +291,8 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 									</div>
 								) : archive.status === "failed" ? (
 									<div className='error-indicator'>❌ Failed to archive</div>
+								) : archive.status === "paused" ? (
+									<div className='pending-indicator'>⏸️ Paused</div>
 								) : (
 									<div className='pending-indicator'>
 										⏳ Waiting to start...
@@ -266,6 +384,37 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 					cursor: not-allowed;
 				}
 
+				.compare-button {
+					padding: 0.5rem 1rem;
+					background: #3498db;
+					color: white;
+					border: 2px solid #3498db;
+					border-radius: 6px;
+					cursor: pointer;
+					font-size: 0.9rem;
+					font-weight: 600;
+					transition: all 0.3s ease;
+				}
+
+				.compare-button:hover:not(:disabled) {
+					background: #2980b9;
+				}
+
+				.compare-button:disabled {
+					opacity: 0.6;
+					cursor: not-allowed;
+				}
+
+				.compare-toggle {
+					display: flex;
+					align-items: center;
+					gap: 0.4rem;
+					margin-bottom: 1rem;
+					font-size: 0.9rem;
+					color: #5a6c7d;
+					cursor: pointer;
+				}
+
 				.empty-state {
 					text-align: center;
 					padding: 4rem 2rem;
@@ -310,6 +459,18 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 					box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
 				}
 
+				.archive-thumbnail {
+					display: block;
+					width: 100%;
+					aspect-ratio: 16 / 10;
+					object-fit: cover;
+					object-position: top;
+					margin-bottom: 1rem;
+					border: 1px solid #e9ecef;
+					border-radius: 8px;
+					background: #f8f9fa;
+				}
+
 				.archive-header {
 					display: flex;
 					justify-content: space-between;
@@ -390,6 +551,24 @@ const ArchiveList = ({ currentJob, onViewArchive, onError }) => {
 					transform: translateY(-1px);
 				}
 
+				.export-link {
+					padding: 0.75rem;
+					background: #f8f9fa;
+					border: 2px solid #e0e0e0;
+					border-radius: 8px;
+					color: #2c3e50;
+					font-size: 0.85rem;
+					font-weight: 600;
+					text-decoration: none;
+					white-space: nowrap;
+					transition: all 0.3s ease;
+				}
+
+				.export-link:hover {
+					background: #e9ecef;
+					border-color: #3498db;
+				}
+
 				.processing-indicator,
 				.error-indicator,
 				.pending-indicator {
@@ -1,8 +1,14 @@
 import React, { useState } from 'react';
+import apiService from '../services/api';
 
 const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [mode, setMode] = useState('html');
+
+  const renditions = archive.renditions || {};
+  const screenshotUrl = renditions.screenshot && apiService.getArchiveViewUrl(archive.id, renditions.screenshot);
+  const pdfUrl = renditions.pdf && apiService.getArchiveViewUrl(archive.id, renditions.pdf);
 
   const handleIframeLoad = () => {
     setIsLoading(false);
@@ -40,6 +46,33 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
           </div>
           
           <div className="viewer-controls">
+            {screenshotUrl && (
+              <div className="mode-switch" role="group" aria-label="Rendition">
+                <button
+                  onClick={() => setMode('html')}
+                  className={`mode-button ${mode === 'html' ? 'active' : ''}`}
+                >
+                  🌐 Replay
+                </button>
+                <button
+                  onClick={() => setMode('screenshot')}
+                  className={`mode-button ${mode === 'screenshot' ? 'active' : ''}`}
+                >
+                  🖼️ Screenshot
+                </button>
+              </div>
+            )}
+            {pdfUrl && (
+              <a
+                href={pdfUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="control-button pdf-button"
+                title="Open PDF print"
+              >
+                📄 PDF
+              </a>
+            )}
             <button 
               onClick={openInNewTab}
               className="control-button open-button"
@@ -58,14 +91,23 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
         </div>
 
         <div className="viewer-content">
-          {isLoading && (
+          {mode === 'screenshot' && (
+            <div className="screenshot-view">
+              <img
+                src={screenshotUrl}
+                alt={`Screenshot of ${archive.url} at capture time`}
+              />
+            </div>
+          )}
+
+          {mode === 'html' && isLoading && (
             <div className="loading-overlay">
               <div className="loading-spinner"></div>
               <p>Loading archived content...</p>
             </div>
           )}
           
-          {error && (
+          {mode === 'html' && error && (
             <div className="error-overlay">
               <div className="error-icon">⚠️</div>
               <h4>Error Loading Archive</h4>
@@ -83,6 +125,7 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
             onLoad={handleIframeLoad}
             onError={handleIframeError}
             sandbox="allow-same-origin allow-scripts allow-forms allow-popups"
+            hidden={mode !== 'html'}
           />
         </div>
 
@@ -160,6 +203,7 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
 
         .viewer-controls {
           display: flex;
+          align-items: center;
           gap: 0.5rem;
         }
 
@@ -182,6 +226,38 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
           background: #2980b9;
         }
 
+        .pdf-button {
+          background: #7f8c8d;
+          color: white;
+          text-decoration: none;
+        }
+
+        .pdf-button:hover {
+          background: #6c7a7d;
+        }
+
+        .mode-switch {
+          display: flex;
+          border: 2px solid #3498db;
+          border-radius: 6px;
+          overflow: hidden;
+        }
+
+        .mode-button {
+          padding: 0.4rem 0.9rem;
+          border: none;
+          background: white;
+          color: #3498db;
+          font-size: 0.9rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .mode-button.active {
+          background: #3498db;
+          color: white;
+        }
+
         .close-button {
           background: #e74c3c;
           color: white;
@@ -204,6 +280,22 @@ const ArchiveViewer = ({ archive, viewUrl, onClose }) => {
           background: white;
         }
 
+        .archive-frame[hidden] {
+          display: none;
+        }
+
+        .screenshot-view {
+          position: absolute;
+          inset: 0;
+          overflow: auto;
+          text-align: center;
+        }
+
+        .screenshot-view img {
+          max-width: 100%;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+        }
+
         .loading-overlay,
         .error-overlay {
           position: absolute;
@@ -0,0 +1,633 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+
+// Word runs of a changed block, as seen from one side (or both, for inline)
+const renderWords = (words, side) => words.map((word, i) => {
+  if (word.type === 'equal') {
+    return <span key={i}>{word.text}</span>;
+  }
+  if (word.type === 'delete' && side !== 'after') {
+    return <del key={i}>{word.text}</del>;
+  }
+  if (word.type === 'insert' && side !== 'before') {
+    return <ins key={i}>{word.text}</ins>;
+  }
+  return null;
+});
+
+const DiffViewer = ({ fromArchive, toArchive, onClose }) => {
+  const [url, setUrl] = useState(toArchive.url);
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState('inline');
+  const [onlyChanges, setOnlyChanges] = useState(false);
+  const [comparedUrl, setComparedUrl] = useState(toArchive.url);
+  const [visual, setVisual] = useState(null);
+  const [archiveVisual, setArchiveVisual] = useState(null);
+  const [visualError, setVisualError] = useState(null);
+  const [sliderPosition, setSliderPosition] = useState(50);
+  const [showDiffImage, setShowDiffImage] = useState(false);
+
+  const loadDiff = useCallback(async (pageUrl) => {
+    setIsLoading(true);
+    setError(null);
+    setComparedUrl(pageUrl);
+    setVisual(null);
+    setVisualError(null);
+    try {
+      setDiff(await apiService.getDiff(pageUrl, fromArchive.id, toArchive.id));
+    } catch (err) {
+      setDiff(null);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fromArchive.id, toArchive.id]);
+
+  useEffect(() => {
+    loadDiff(toArchive.url);
+  }, [loadDiff, toArchive.url]);
+
+  // Screenshots are compared only once the visual mode is opened
+  useEffect(() => {
+    if (mode !== 'visual' || visual || visualError) {
+      return;
+    }
+    const params = { from: fromArchive.id, to: toArchive.id };
+    apiService.getVisualDiff({ ...params, url: comparedUrl })
+      .then(setVisual)
+      .catch(err => setVisualError(err.message));
+    if (!archiveVisual) {
+      apiService.getVisualDiff(params)
+        .then(setArchiveVisual)
+        .catch(() => setArchiveVisual({ pages: [] }));
+    }
+  }, [mode, visual, visualError, archiveVisual, comparedUrl, fromArchive.id, toArchive.id]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadDiff(url.trim());
+  };
+
+  const blocks = diff
+    ? diff.text.filter(block => !onlyChanges || block.type !== 'unchanged')
+    : [];
+
+  const renderInline = (block, i) => {
+    switch (block.type) {
+      case 'added':
+        return <p key={i} className="block added"><ins>{block.text}</ins></p>;
+      case 'removed':
+        return <p key={i} className="block removed"><del>{block.text}</del></p>;
+      case 'changed':
+        return <p key={i} className="block changed">{renderWords(block.words)}</p>;
+      default:
+        return <p key={i} className="block">{block.text}</p>;
+    }
+  };
+
+  const renderSideBySide = (block, i) => {
+    const before = {
+      unchanged: block.text,
+      removed: <del>{block.text}</del>,
+      changed: block.words && renderWords(block.words, 'before')
+    }[block.type];
+    const after = {
+      unchanged: block.text,
+      added: <ins>{block.text}</ins>,
+      changed: block.words && renderWords(block.words, 'after')
+    }[block.type];
+
+    return (
+      <div key={i} className={`diff-row ${block.type}`}>
+        <p className={`block ${before ? '' : 'empty'}`}>{before}</p>
+        <p className={`block ${after ? '' : 'empty'}`}>{after}</p>
+      </div>
+    );
+  };
+
+  const renderChangeList = (title, changes, describe) => {
+    const total = changes.added.length + changes.removed.length + changes.changed.length;
+    if (total === 0) {
+      return null;
+    }
+    return (
+      <div className="change-list">
+        <h4>{title} ({total})</h4>
+        <ul>
+          {changes.added.map(item => <li key={`a:${item.url}`} className="added">+ {describe(item)}</li>)}
+          {changes.removed.map(item => <li key={`r:${item.url}`} className="removed">− {describe(item)}</li>)}
+          {changes.changed.map(item => <li key={`c:${item.url}`} className="changed">~ {describe(item)}</li>)}
+        </ul>
+      </div>
+    );
+  };
+
+  return (
+    <div className="diff-viewer-overlay">
+      <div className="diff-viewer">
+        <div className="viewer-header">
+          <div className="diff-info">
+            <h3>🔀 Changes on {fromArchive.domain}</h3>
+            <div className="diff-versions">
+              <span className="version before">📅 {new Date(fromArchive.timestamp).toLocaleString()}</span>
+              <span>→</span>
+              <span className="version after">📅 {new Date(toArchive.timestamp).toLocaleString()}</span>
+            </div>
+            <form onSubmit={handleSubmit} className="page-form">
+              <input
+                type="url"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                className="page-input"
+                aria-label="Page to compare"
+              />
+              <button type="submit" className="control-button compare-button" disabled={isLoading}>
+                Compare page
+              </button>
+            </form>
+          </div>
+
+          <div className="viewer-controls">
+            <label className="only-changes">
+              <input
+                type="checkbox"
+                checked={onlyChanges}
+                onChange={(e) => setOnlyChanges(e.target.checked)}
+              />
+              Only changes
+            </label>
+            <div className="mode-switch" role="group" aria-label="Diff layout">
+              <button
+                onClick={() => setMode('inline')}
+                className={`mode-button ${mode === 'inline' ? 'active' : ''}`}
+              >
+                Inline
+              </button>
+              <button
+                onClick={() => setMode('side-by-side')}
+                className={`mode-button ${mode === 'side-by-side' ? 'active' : ''}`}
+              >
+                Side by side
+              </button>
+              <button
+                onClick={() => setMode('visual')}
+                className={`mode-button ${mode === 'visual' ? 'active' : ''}`}
+              >
+                Visual
+              </button>
+            </div>
+            <button
+              onClick={onClose}
+              className="control-button close-button"
+              title="Close diff"
+            >
+              ✕ Close
+            </button>
+          </div>
+        </div>
+
+        <div className="viewer-content">
+          {isLoading && (
+            <div className="diff-message">
+              <div className="loading-spinner"></div>
+              <p>Comparing snapshots...</p>
+            </div>
+          )}
+
+          {!isLoading && error && (
+            <div className="diff-message">
+              <div className="error-icon">⚠️</div>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {!isLoading && mode === 'visual' && (
+            <div className="visual-diff">
+              {archiveVisual && archiveVisual.pages.length > 0 && (
+                <p className="visual-score">
+                  🖼️ {archiveVisual.percentChanged}% of pixels changed across {archiveVisual.pages.length} page
+                  {archiveVisual.pages.length === 1 ? '' : 's'} with screenshots in both snapshots
+                </p>
+              )}
+              {visualError && <p className="no-changes">{visualError}</p>}
+              {!visual && !visualError && <p className="no-changes">Comparing screenshots...</p>}
+              {visual && (
+                <>
+                  <div className="visual-controls">
+                    <span className="visual-score">
+                      This page: <strong>{visual.percentChanged}%</strong> changed
+                    </span>
+                    <label className="only-changes">
+                      <input
+                        type="checkbox"
+                        checked={showDiffImage}
+                        onChange={(e) => setShowDiffImage(e.target.checked)}
+                      />
+                      Highlight changed pixels
+                    </label>
+                    {!showDiffImage && (
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={sliderPosition}
+                        onChange={(e) => setSliderPosition(Number(e.target.value))}
+                        aria-label="Before/after position"
+                      />
+                    )}
+                  </div>
+                  {showDiffImage ? (
+                    <img
+                      src={apiService.getVisualDiffImageUrl(visual.diff)}
+                      alt="Changed pixels highlighted"
+                      className="visual-image"
+                    />
+                  ) : (
+                    <div className="visual-slider">
+                      <img
+                        src={apiService.getArchiveViewUrl(visual.to.archiveId, visual.to.screenshot)}
+                        alt="After"
+                        className="visual-image"
+                      />
+                      <img
+                        src={apiService.getArchiveViewUrl(visual.from.archiveId, visual.from.screenshot)}
+                        alt="Before"
+                        className="visual-image before-image"
+                        style={{ clipPath: `inset(0 ${100 - sliderPosition}% 0 0)` }}
+                      />
+                      <div className="slider-handle" style={{ left: `${sliderPosition}%` }}></div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {!isLoading && diff && mode !== 'visual' && (
+            <>
+              <div className="diff-summary">
+                <span className="added">+{diff.summary.blocksAdded} added</span>
+                <span className="removed">−{diff.summary.blocksRemoved} removed</span>
+                <span className="changed">~{diff.summary.blocksChanged} changed</span>
+                <span>
+                  🔗 {diff.summary.linksAdded + diff.summary.linksRemoved + diff.summary.linksChanged} link changes
+                </span>
+                <span>
+                  🧩 {diff.summary.assetsAdded + diff.summary.assetsRemoved + diff.summary.assetsChanged} asset changes
+                </span>
+              </div>
+
+              <div className={`diff-text ${mode}`}>
+                {mode === 'side-by-side' && (
+                  <div className="diff-row heading">
+                    <p>Before</p>
+                    <p>After</p>
+                  </div>
+                )}
+                {blocks.length === 0 && <p className="no-changes">No text changes on this page.</p>}
+                {blocks.map(mode === 'inline' ? renderInline : renderSideBySide)}
+              </div>
+
+              {renderChangeList('Links', diff.links, item => (
+                item.fromText !== undefined
+                  ? `${item.url} (“${item.fromText}” → “${item.toText}”)`
+                  : `${item.url}${item.text ? ` (“${item.text}”)` : ''}`
+              ))}
+              {renderChangeList('Assets', diff.assets, item => item.url)}
+            </>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .diff-viewer-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.8);
+          z-index: 1000;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 1rem;
+        }
+
+        .diff-viewer {
+          width: 100%;
+          height: 100%;
+          max-width: 1400px;
+          max-height: 900px;
+          background: white;
+          border-radius: 12px;
+          display: flex;
+          flex-direction: column;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+          overflow: hidden;
+        }
+
+        .viewer-header {
+          background: #f8f9fa;
+          padding: 1rem 1.5rem;
+          border-bottom: 1px solid #e9ecef;
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          flex-wrap: wrap;
+          gap: 1rem;
+        }
+
+        .diff-info {
+          flex: 1;
+        }
+
+        .diff-info h3 {
+          margin: 0 0 0.5rem 0;
+          color: #2c3e50;
+          font-size: 1.3rem;
+        }
+
+        .diff-versions {
+          display: flex;
+          gap: 0.5rem;
+          font-size: 0.9rem;
+          color: #5a6c7d;
+          margin-bottom: 0.5rem;
+        }
+
+        .page-form {
+          display: flex;
+          gap: 0.5rem;
+        }
+
+        .page-input {
+          flex: 1;
+          max-width: 600px;
+          padding: 0.4rem 0.75rem;
+          border: 2px solid #e0e0e0;
+          border-radius: 6px;
+          font-size: 0.9rem;
+        }
+
+        .page-input:focus {
+          outline: none;
+          border-color: #3498db;
+        }
+
+        .viewer-controls {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .only-changes {
+          display: flex;
+          align-items: center;
+          gap: 0.25rem;
+          font-size: 0.9rem;
+          color: #5a6c7d;
+        }
+
+        .control-button {
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .compare-button {
+          background: #3498db;
+          color: white;
+        }
+
+        .compare-button:disabled {
+          background: #bdc3c7;
+          cursor: not-allowed;
+        }
+
+        .mode-switch {
+          display: flex;
+          border: 2px solid #3498db;
+          border-radius: 6px;
+          overflow: hidden;
+        }
+
+        .mode-button {
+          padding: 0.4rem 0.9rem;
+          border: none;
+          background: white;
+          color: #3498db;
+          font-size: 0.9rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .mode-button.active {
+          background: #3498db;
+          color: white;
+        }
+
+        .close-button {
+          background: #e74c3c;
+          color: white;
+        }
+
+        .close-button:hover {
+          background: #c0392b;
+        }
+
+        .viewer-content {
+          flex: 1;
+          overflow: auto;
+          padding: 1rem 1.5rem;
+        }
+
+        .diff-message {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          height: 100%;
+          color: #7f8c8d;
+        }
+
+        .loading-spinner {
+          width: 50px;
+          height: 50px;
+          border: 4px solid #e0e0e0;
+          border-top: 4px solid #3498db;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin-bottom: 1rem;
+        }
+
+        .error-icon {
+          font-size: 3rem;
+        }
+
+        .diff-summary {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 1rem;
+          margin-bottom: 1rem;
+          font-weight: 600;
+          color: #5a6c7d;
+        }
+
+        .diff-summary .added,
+        .change-list .added {
+          color: #1e8449;
+        }
+
+        .diff-summary .removed,
+        .change-list .removed {
+          color: #c0392b;
+        }
+
+        .diff-summary .changed,
+        .change-list .changed {
+          color: #b9770e;
+        }
+
+        .block {
+          margin: 0;
+          padding: 0.35rem 0.5rem;
+          line-height: 1.5;
+          border-left: 3px solid transparent;
+        }
+
+        .block.added,
+        .diff-row.added .block:last-child {
+          border-left-color: #27ae60;
+        }
+
+        .block.removed,
+        .diff-row.removed .block:first-child {
+          border-left-color: #e74c3c;
+        }
+
+        .block.changed,
+        .diff-row.changed .block {
+          border-left-color: #f39c12;
+        }
+
+        .block.empty {
+          background: #f8f9fa;
+        }
+
+        .diff-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 1rem;
+        }
+
+        .diff-row.heading p {
+          margin: 0 0 0.5rem 0;
+          font-weight: 600;
+          color: #2c3e50;
+        }
+
+        .no-changes {
+          color: #7f8c8d;
+        }
+
+        ins {
+          background: #d4efdf;
+          text-decoration: none;
+        }
+
+        del {
+          background: #fadbd8;
+        }
+
+        .change-list {
+          margin-top: 1.5rem;
+        }
+
+        .visual-controls {
+          display: flex;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+
+        .visual-score {
+          color: #2c3e50;
+        }
+
+        .visual-slider {
+          position: relative;
+          display: inline-block;
+        }
+
+        .visual-image {
+          display: block;
+          max-width: 100%;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+        }
+
+        .before-image {
+          position: absolute;
+          top: 0;
+          left: 0;
+        }
+
+        .slider-handle {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 2px;
+          background: #e74c3c;
+          pointer-events: none;
+        }
+
+        .change-list h4 {
+          margin: 0 0 0.5rem 0;
+          color: #2c3e50;
+        }
+
+        .change-list ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          font-size: 0.9rem;
+          word-break: break-all;
+        }
+
+        .change-list li {
+          padding: 0.2rem 0;
+        }
+
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+
+        @media (max-width: 768px) {
+          .diff-viewer-overlay {
+            padding: 0;
+          }
+
+          .diff-viewer {
+            max-width: none;
+            max-height: none;
+            border-radius: 0;
+          }
+
+          .diff-row {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default DiffViewer;
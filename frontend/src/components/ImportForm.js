@@ -0,0 +1,174 @@
+import React, { useState, useRef } from "react";
+import apiService from "../services/api";
+
+const ImportForm = ({ onImportComplete, onError }) => {
+	const [file, setFile] = useState(null);
+	const [isLoading, setIsLoading] = useState(false);
+	const fileInputRef = useRef(null);
+
+	const handleFileChange = (e) => {
+		setFile(e.target.files[0] || null);
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		if (!file) {
+			onError("Please choose a WARC or WACZ file");
+			return;
+		}
+
+		if (!/\.(warc|warc\.gz|wacz)$/i.test(file.name)) {
+			onError("Only .warc, .warc.gz and .wacz files can be imported");
+			return;
+		}
+
+		setIsLoading(true);
+
+		try {
+			const job = await apiService.importArchive(file);
+			onImportComplete(job);
+			setFile(null);
+			if (fileInputRef.current) {
+				fileInputRef.current.value = "";
+			}
+		} catch (error) {
+			onError(error.message);
+		} finally {
+			setIsLoading(false);
+		}
+	};
+
+	return (
+		<div className='import-form'>
+			<div className='import-header'>
+				<h3>📥 Import Existing Captures</h3>
+				<p>Upload a WARC or WACZ file from another crawler to browse it here</p>
+			</div>
+
+			<form onSubmit={handleSubmit} className='file-form'>
+				<input
+					ref={fileInputRef}
+					type='file'
+					accept='.warc,.gz,.wacz'
+					onChange={handleFileChange}
+					className='file-input'
+					disabled={isLoading}
+				/>
+				<button
+					type='submit'
+					className='import-button'
+					disabled={isLoading || !file}
+				>
+					{isLoading ? (
+						<>
+							<span className='spinner'></span>
+							Importing...
+						</>
+					) : (
+						"📥 Import"
+					)}
+				</button>
+			</form>
+
+			<style jsx>{`
+				.import-form {
+					max-width: 800px;
+					margin: 1.5rem auto 0;
+					padding: 1.5rem 2rem;
+					background: white;
+					border-radius: 12px;
+					box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+				}
+
+				.import-header h3 {
+					margin: 0 0 0.25rem 0;
+					color: #2c3e50;
+					font-size: 1.3rem;
+				}
+
+				.import-header p {
+					margin: 0 0 1rem 0;
+					color: #7f8c8d;
+				}
+
+				.file-form {
+					display: flex;
+					gap: 1rem;
+					align-items: center;
+				}
+
+				.file-input {
+					flex: 1;
+					padding: 0.75rem;
+					border: 2px dashed #e0e0e0;
+					border-radius: 8px;
+					font-size: 0.95rem;
+				}
+
+				.import-button {
+					padding: 0.75rem 1.5rem;
+					font-size: 1rem;
+					font-weight: 600;
+					background: linear-gradient(135deg, #27ae60, #219a52);
+					color: white;
+					border: none;
+					border-radius: 8px;
+					cursor: pointer;
+					display: flex;
+					align-items: center;
+					gap: 0.5rem;
+					white-space: nowrap;
+					transition: all 0.3s ease;
+				}
+
+				.import-button:hover:not(:disabled) {
+					background: linear-gradient(135deg, #219a52, #1e8449);
+					transform: translateY(-2px);
+				}
+
+				.import-button:disabled {
+					background: #bdc3c7;
+					cursor: not-allowed;
+					transform: none;
+				}
+
+				.spinner {
+					width: 16px;
+					height: 16px;
+					border: 2px solid transparent;
+					border-top: 2px solid white;
+					border-radius: 50%;
+					animation: spin 1s linear infinite;
+				}
+
+				@keyframes spin {
+					0% {
+						transform: rotate(0deg);
+					}
+					100% {
+						transform: rotate(360deg);
+					}
+				}
+
+				@media (max-width: 768px) {
+					.import-form {
+						margin: 1rem;
+						padding: 1.5rem;
+					}
+
+					.file-form {
+						flex-direction: column;
+						align-items: stretch;
+					}
+
+					.import-button {
+						justify-content: center;
+					}
+				}
+			`}</style>
+		</div>
+	);
+};
+
+export default ImportForm;
@@ -1,29 +1,33 @@
 import React, { useState, useEffect } from 'react';
 import apiService from '../services/api';
 
+// Statuses that do not change without the user (or never again)
+const SETTLED_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled', 'paused'];
+
 const JobStatus = ({ job, onJobComplete, onError }) => {
   const [status, setStatus] = useState(job);
   const [progress, setProgress] = useState(0);
+  const [isActing, setIsActing] = useState(false);
+
+  const jobId = job && job.jobId;
+  const isActive = Boolean(status) && !SETTLED_STATUSES.includes(status.status);
 
   useEffect(() => {
-    if (!job || job.status === 'completed' || job.status === 'failed') {
+    if (!jobId || !isActive) {
       return;
     }
 
     const pollInterval = setInterval(async () => {
       try {
-        const updatedStatus = await apiService.getJobStatus(job.jobId);
+        const updatedStatus = await apiService.getJobStatus(jobId);
         setStatus(updatedStatus);
         
-        // Update progress based on status
+        // Update progress based on status; polling stops once the status settles
         if (updatedStatus.status === 'processing') {
           setProgress(prev => Math.min(prev + Math.random() * 10, 90));
         } else if (updatedStatus.status === 'completed') {
           setProgress(100);
           onJobComplete(updatedStatus);
-          clearInterval(pollInterval);
-        } else if (updatedStatus.status === 'failed') {
-          clearInterval(pollInterval);
         }
       } catch (error) {
         onError(error.message);
@@ -32,10 +36,29 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
     }, 2000); // Poll every 2 seconds
 
     return () => clearInterval(pollInterval);
-  }, [job, onJobComplete, onError]);
+  }, [jobId, isActive, onJobComplete, onError]);
 
   if (!status) return null;
 
+  const runAction = async (action) => {
+    setIsActing(true);
+    try {
+      setStatus(await action(status.jobId));
+    } catch (error) {
+      onError(error.message);
+    } finally {
+      setIsActing(false);
+    }
+  };
+
+  const handleCancel = () => {
+    if (window.confirm(`Cancel archiving ${status.url}? Pages archived so far are kept.`)) {
+      runAction(id => apiService.cancelJob(id));
+    }
+  };
+
+  const stopping = status.queue && status.queue.stopping;
+
   const getStatusConfig = () => {
     switch (status.status) {
       case 'pending':
@@ -43,7 +66,9 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
           color: '#f39c12',
           icon: '⏳',
           title: 'Queued for Processing',
-          description: 'Your archiving request is in the queue and will start shortly.'
+          description: status.queue && status.queue.position
+            ? `Your archiving request is number ${status.queue.position} in the queue and will start when a crawl slot is free.`
+            : 'Your archiving request is in the queue and will start shortly.'
         };
       case 'processing':
         return {
@@ -66,6 +91,27 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
           title: 'Archive Failed',
           description: status.error || 'An error occurred while archiving the website.'
         };
+      case 'paused':
+        return {
+          color: '#8e44ad',
+          icon: '⏸️',
+          title: 'Archiving Paused',
+          description: `${status.pagesArchived || 0} pages archived so far. Resume to continue where the crawl stopped.`
+        };
+      case 'cancelled':
+        return {
+          color: '#7f8c8d',
+          icon: '⏹️',
+          title: 'Archiving Cancelled',
+          description: `The crawl was stopped; the ${status.pagesArchived || 0} pages archived from ${status.domain} before that were kept.`
+        };
+      case 'interrupted':
+        return {
+          color: '#e67e22',
+          icon: '⚠️',
+          title: 'Archive Interrupted',
+          description: `The server stopped during the last attempt; the ${status.pagesArchived || 0} pages archived from ${status.domain} before that were kept.`
+        };
       default:
         return {
           color: '#95a5a6',
@@ -91,6 +137,12 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
           </div>
         </div>
 
+        {stopping && (
+          <p className="stopping-note">
+            {stopping === 'pause' ? 'Pausing' : 'Cancelling'} after the current page is aborted...
+          </p>
+        )}
+
         {status.status === 'processing' && (
           <div className="progress-section">
             <div className="progress-bar">
@@ -123,14 +175,75 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
               {apiService.formatTimestamp(status.timestamp)}
             </span>
           </div>
+          {status.options && (
+            <div className="detail-row">
+              <span className="detail-label">Crawl Settings:</span>
+              <span className="detail-value">
+                depth {status.options.maxDepth}, up to {status.options.maxPages} pages,
+                {' '}{status.options.scope} scope, {status.options.delay}ms delay,
+                {' '}robots.txt {status.options.robots === 'ignore' ? 'ignored' : 'obeyed'},
+                {' '}{status.options.assetScope === 'all' ? 'all' : status.options.assetScope === 'list' ? 'allowlisted' : 'same-host'} assets
+              </span>
+            </div>
+          )}
+          {status.queue && status.queue.attempts > 1 && (
+            <div className="detail-row">
+              <span className="detail-label">Attempt:</span>
+              <span className="detail-value">
+                {status.queue.attempts} of {status.queue.maxAttempts}
+                {status.queue.error && ` (previous attempt: ${status.queue.error})`}
+              </span>
+            </div>
+          )}
           {status.pagesArchived > 0 && (
             <div className="detail-row">
               <span className="detail-label">Pages Archived:</span>
               <span className="detail-value">{status.pagesArchived}</span>
             </div>
           )}
+          {status.incremental && (
+            <div className="detail-row">
+              <span className="detail-label">Incremental:</span>
+              <span className="detail-value">
+                {status.incremental.new} new, {status.incremental.changed} changed,
+                {' '}{status.incremental.revisited} unchanged (reused)
+              </span>
+            </div>
+          )}
         </div>
 
+        {status.queue && ['pending', 'processing', 'paused'].includes(status.status) && (
+          <div className="job-actions">
+            {status.status === 'paused' ? (
+              <button
+                type="button"
+                className="job-action"
+                onClick={() => runAction(id => apiService.resumeJob(id))}
+                disabled={isActing}
+              >
+                ▶️ Resume
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="job-action"
+                onClick={() => runAction(id => apiService.pauseJob(id))}
+                disabled={isActing || Boolean(stopping)}
+              >
+                ⏸️ Pause
+              </button>
+            )}
+            <button
+              type="button"
+              className="job-action cancel"
+              onClick={handleCancel}
+              disabled={isActing || stopping === 'cancel'}
+            >
+              ⏹️ Cancel
+            </button>
+          </div>
+        )}
+
         {status.status === 'processing' && (
           <div className="processing-animation">
             <div className="pulse-dot"></div>
@@ -259,6 +372,42 @@ const JobStatus = ({ job, onJobComplete, onError }) => {
           max-width: 60%;
         }
 
+        .stopping-note {
+          margin: 0 0 1rem 0;
+          color: #8e44ad;
+          font-size: 0.9rem;
+        }
+
+        .job-actions {
+          display: flex;
+          gap: 0.75rem;
+          margin-top: 1.5rem;
+        }
+
+        .job-action {
+          padding: 0.5rem 1rem;
+          border: 1px solid #d0d7de;
+          border-radius: 6px;
+          background: white;
+          color: #2c3e50;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+
+        .job-action:hover:not(:disabled) {
+          background: #f8f9fa;
+        }
+
+        .job-action.cancel {
+          border-color: #e74c3c;
+          color: #e74c3c;
+        }
+
+        .job-action:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
         .processing-animation {
           position: absolute;
           bottom: 1rem;
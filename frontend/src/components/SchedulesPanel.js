@@ -0,0 +1,532 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiService from "../services/api";
+
+const EMPTY_FORM = {
+	url: "",
+	timing: "interval",
+	intervalMinutes: "1440",
+	cron: "0 3 * * *",
+	jitterSeconds: "60",
+	skipIfRunning: true,
+	maxDepth: "",
+	maxPages: "",
+};
+
+// Run history refresh while the panel is open (ms)
+const REFRESH_INTERVAL = 30000;
+
+const RUN_STATUS_LABELS = {
+	started: "▶️ Started",
+	skipped: "⏭️ Skipped",
+	failed: "❌ Failed",
+};
+
+const describeTiming = (schedule) =>
+	schedule.cron
+		? `cron "${schedule.cron}"`
+		: `every ${schedule.intervalMinutes >= 60 && schedule.intervalMinutes % 60 === 0
+			? `${schedule.intervalMinutes / 60} h`
+			: `${schedule.intervalMinutes} min`}`;
+
+const SchedulesPanel = ({ onViewArchive, onError }) => {
+	const [schedules, setSchedules] = useState([]);
+	const [form, setForm] = useState(EMPTY_FORM);
+	const [editingId, setEditingId] = useState(null);
+	const [expandedId, setExpandedId] = useState(null);
+	const [isSaving, setIsSaving] = useState(false);
+
+	const loadSchedules = useCallback(async () => {
+		try {
+			const data = await apiService.getSchedules();
+			setSchedules(data.schedules);
+		} catch (error) {
+			onError(error.message);
+		}
+	}, [onError]);
+
+	useEffect(() => {
+		loadSchedules();
+		const timer = setInterval(loadSchedules, REFRESH_INTERVAL);
+		return () => clearInterval(timer);
+	}, [loadSchedules]);
+
+	const updateField = (name, value) => {
+		setForm((prev) => ({ ...prev, [name]: value }));
+	};
+
+	const resetForm = () => {
+		setForm(EMPTY_FORM);
+		setEditingId(null);
+	};
+
+	const startEditing = (schedule) => {
+		setEditingId(schedule.id);
+		setForm({
+			url: schedule.url,
+			timing: schedule.cron ? "cron" : "interval",
+			intervalMinutes: schedule.intervalMinutes ? String(schedule.intervalMinutes) : EMPTY_FORM.intervalMinutes,
+			cron: schedule.cron || EMPTY_FORM.cron,
+			jitterSeconds: String(schedule.jitterSeconds),
+			skipIfRunning: schedule.skipIfRunning,
+			maxDepth: String(schedule.options.maxDepth),
+			maxPages: String(schedule.options.maxPages),
+		});
+	};
+
+	const handleSubmit = async (e) => {
+		e.preventDefault();
+
+		let url = form.url.trim();
+		if (url && !url.startsWith("http://") && !url.startsWith("https://")) {
+			url = "https://" + url;
+		}
+		if (!apiService.isValidUrl(url)) {
+			onError("Please enter a valid URL");
+			return;
+		}
+
+		// Keep the other crawl options of an edited schedule as they were
+		const existing = schedules.find((schedule) => schedule.id === editingId);
+		const options = { ...(existing ? existing.options : {}) };
+		["maxDepth", "maxPages"].forEach((name) => {
+			if (form[name] !== "") {
+				options[name] = Number(form[name]);
+			}
+		});
+
+		const schedule = {
+			url,
+			options,
+			jitterSeconds: Number(form.jitterSeconds || 0),
+			skipIfRunning: form.skipIfRunning,
+			...(form.timing === "cron"
+				? { cron: form.cron.trim() }
+				: { intervalMinutes: Number(form.intervalMinutes) }),
+		};
+
+		setIsSaving(true);
+		try {
+			if (editingId) {
+				await apiService.updateSchedule(editingId, schedule);
+			} else {
+				await apiService.createSchedule(schedule);
+			}
+			resetForm();
+			loadSchedules();
+		} catch (error) {
+			onError(error.message);
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	const handleAction = async (action) => {
+		try {
+			await action();
+			loadSchedules();
+		} catch (error) {
+			onError(error.message);
+		}
+	};
+
+	const handleDelete = (schedule) => {
+		if (!window.confirm(`Delete the schedule for ${schedule.url}? Its archives are kept.`)) {
+			return;
+		}
+		handleAction(() => apiService.deleteSchedule(schedule.id));
+		if (editingId === schedule.id) {
+			resetForm();
+		}
+	};
+
+	const handleViewRun = (schedule, run) => {
+		onViewArchive(
+			{
+				...run.archive,
+				url: schedule.url,
+				domain: apiService.extractDomain(schedule.url),
+			},
+			apiService.getArchiveViewUrl(run.archive.id)
+		);
+	};
+
+	return (
+		<div className='schedules-panel'>
+			<div className='schedules-header'>
+				<h3>⏰ Scheduled Captures</h3>
+				<p>Archive a URL again and again to build up its version history</p>
+			</div>
+
+			<form onSubmit={handleSubmit} className='schedule-form'>
+				<input
+					type='text'
+					value={form.url}
+					onChange={(e) => updateField("url", e.target.value)}
+					placeholder='https://example.com'
+					className='schedule-url'
+					disabled={isSaving}
+				/>
+				<div className='schedule-fields'>
+					<label>
+						Repeat
+						<select
+							value={form.timing}
+							onChange={(e) => updateField("timing", e.target.value)}
+							disabled={isSaving}
+						>
+							<option value='interval'>Every N minutes</option>
+							<option value='cron'>Cron expression</option>
+						</select>
+					</label>
+					{form.timing === "interval" ? (
+						<label>
+							Minutes
+							<input
+								type='number'
+								min='5'
+								value={form.intervalMinutes}
+								onChange={(e) => updateField("intervalMinutes", e.target.value)}
+								disabled={isSaving}
+							/>
+						</label>
+					) : (
+						<label>
+							Cron (server time)
+							<input
+								type='text'
+								value={form.cron}
+								onChange={(e) => updateField("cron", e.target.value)}
+								placeholder='0 3 * * *'
+								disabled={isSaving}
+							/>
+						</label>
+					)}
+					<label>
+						Jitter (seconds)
+						<input
+							type='number'
+							min='0'
+							max='3600'
+							value={form.jitterSeconds}
+							onChange={(e) => updateField("jitterSeconds", e.target.value)}
+							disabled={isSaving}
+						/>
+					</label>
+					<label>
+						Max depth
+						<input
+							type='number'
+							min='0'
+							value={form.maxDepth}
+							onChange={(e) => updateField("maxDepth", e.target.value)}
+							placeholder='3'
+							disabled={isSaving}
+						/>
+					</label>
+					<label>
+						Max pages
+						<input
+							type='number'
+							min='1'
+							value={form.maxPages}
+							onChange={(e) => updateField("maxPages", e.target.value)}
+							placeholder='50'
+							disabled={isSaving}
+						/>
+					</label>
+				</div>
+				<label className='checkbox-label'>
+					<input
+						type='checkbox'
+						checked={form.skipIfRunning}
+						onChange={(e) => updateField("skipIfRunning", e.target.checked)}
+						disabled={isSaving}
+					/>
+					Skip a run while the previous capture is still going
+				</label>
+				<div className='form-actions'>
+					<button type='submit' className='save-button' disabled={isSaving}>
+						{editingId ? "💾 Save changes" : "➕ Add schedule"}
+					</button>
+					{editingId && (
+						<button type='button' className='secondary-button' onClick={resetForm}>
+							Cancel
+						</button>
+					)}
+				</div>
+			</form>
+
+			{schedules.length > 0 && (
+				<ul className='schedule-list'>
+					{schedules.map((schedule) => (
+						<li key={schedule.id} className={`schedule-item ${schedule.status}`}>
+							<div className='schedule-summary'>
+								<div className='schedule-info'>
+									<strong>{schedule.url}</strong>
+									<small>
+										{describeTiming(schedule)}
+										{schedule.status === "paused"
+											? " · ⏸️ Paused"
+											: ` · next run ${apiService.formatTimestamp(schedule.nextRunAt)}`}
+										{schedule.lastRunAt &&
+											` · last run ${apiService.getRelativeTime(schedule.lastRunAt)}`}
+									</small>
+								</div>
+								<div className='schedule-actions'>
+									<button
+										onClick={() => handleAction(() => apiService.updateSchedule(schedule.id, {
+											status: schedule.status === "active" ? "paused" : "active",
+										}))}
+										className='secondary-button'
+									>
+										{schedule.status === "active" ? "⏸️ Pause" : "▶️ Resume"}
+									</button>
+									<button
+										onClick={() => handleAction(() => apiService.runSchedule(schedule.id))}
+										className='secondary-button'
+									>
+										⚡ Run now
+									</button>
+									<button onClick={() => startEditing(schedule)} className='secondary-button'>
+										✏️ Edit
+									</button>
+									<button onClick={() => handleDelete(schedule)} className='delete-button'>
+										🗑️
+									</button>
+								</div>
+							</div>
+
+							<button
+								className='history-toggle'
+								onClick={() => setExpandedId(expandedId === schedule.id ? null : schedule.id)}
+							>
+								{expandedId === schedule.id ? "▾" : "▸"} Run history ({schedule.runs.length})
+							</button>
+							{expandedId === schedule.id && (
+								<ul className='run-list'>
+									{schedule.runs.length === 0 && <li>No runs yet.</li>}
+									{schedule.runs.map((run) => (
+										<li key={run.runAt}>
+											<span>{apiService.formatTimestamp(run.runAt)}</span>
+											<span>{RUN_STATUS_LABELS[run.status]}</span>
+											{run.reason && <span className='run-reason'>{run.reason}</span>}
+											{run.archive && (
+												run.archive.status === "completed" ? (
+													<button
+														className='link-button'
+														onClick={() => handleViewRun(schedule, run)}
+													>
+														👁️ View archive ({run.archive.pagesArchived} pages)
+													</button>
+												) : (
+													<span className='run-reason'>Archive {run.archive.status}</span>
+												)
+											)}
+											{run.archiveId && !run.archive && (
+												<span className='run-reason'>Archive deleted</span>
+											)}
+										</li>
+									))}
+								</ul>
+							)}
+						</li>
+					))}
+				</ul>
+			)}
+
+			<style jsx>{`
+				.schedules-panel {
+					max-width: 800px;
+					margin: 1.5rem auto 0;
+					padding: 1.5rem 2rem;
+					background: white;
+					border-radius: 12px;
+					box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+				}
+
+				.schedules-header h3 {
+					margin: 0 0 0.25rem 0;
+					color: #2c3e50;
+					font-size: 1.3rem;
+				}
+
+				.schedules-header p {
+					margin: 0 0 1rem 0;
+					color: #7f8c8d;
+				}
+
+				.schedule-form {
+					display: flex;
+					flex-direction: column;
+					gap: 0.75rem;
+				}
+
+				.schedule-url {
+					padding: 0.75rem;
+					border: 2px solid #e0e0e0;
+					border-radius: 8px;
+					font-size: 1rem;
+				}
+
+				.schedule-fields {
+					display: flex;
+					flex-wrap: wrap;
+					gap: 1rem;
+				}
+
+				.schedule-fields label {
+					display: flex;
+					flex-direction: column;
+					gap: 0.25rem;
+					font-size: 0.85rem;
+					color: #7f8c8d;
+				}
+
+				.schedule-fields input,
+				.schedule-fields select {
+					padding: 0.5rem;
+					border: 2px solid #e0e0e0;
+					border-radius: 6px;
+					font-size: 0.9rem;
+					width: 9rem;
+				}
+
+				.schedule-url:focus,
+				.schedule-fields input:focus,
+				.schedule-fields select:focus {
+					outline: none;
+					border-color: #3498db;
+				}
+
+				.checkbox-label {
+					display: flex;
+					align-items: center;
+					gap: 0.5rem;
+					font-size: 0.9rem;
+					color: #2c3e50;
+				}
+
+				.form-actions {
+					display: flex;
+					gap: 0.5rem;
+				}
+
+				.save-button {
+					padding: 0.6rem 1.25rem;
+					font-size: 0.95rem;
+					font-weight: 600;
+					background: linear-gradient(135deg, #3498db, #2980b9);
+					color: white;
+					border: none;
+					border-radius: 8px;
+					cursor: pointer;
+				}
+
+				.save-button:disabled {
+					background: #bdc3c7;
+					cursor: not-allowed;
+				}
+
+				.secondary-button,
+				.delete-button {
+					padding: 0.4rem 0.75rem;
+					background: #f8f9fa;
+					border: 2px solid #e0e0e0;
+					border-radius: 6px;
+					cursor: pointer;
+					font-size: 0.85rem;
+					white-space: nowrap;
+				}
+
+				.secondary-button:hover {
+					border-color: #3498db;
+				}
+
+				.delete-button:hover {
+					border-color: #e74c3c;
+				}
+
+				.schedule-list {
+					list-style: none;
+					margin: 1.5rem 0 0 0;
+					padding: 0;
+				}
+
+				.schedule-item {
+					padding: 0.75rem 0;
+					border-top: 1px solid #ecf0f1;
+				}
+
+				.schedule-item.paused .schedule-info {
+					opacity: 0.6;
+				}
+
+				.schedule-summary {
+					display: flex;
+					justify-content: space-between;
+					align-items: center;
+					gap: 1rem;
+					flex-wrap: wrap;
+				}
+
+				.schedule-info {
+					display: flex;
+					flex-direction: column;
+					word-break: break-all;
+				}
+
+				.schedule-info small {
+					color: #7f8c8d;
+				}
+
+				.schedule-actions {
+					display: flex;
+					gap: 0.4rem;
+					flex-wrap: wrap;
+				}
+
+				.history-toggle,
+				.link-button {
+					background: none;
+					border: none;
+					padding: 0;
+					margin-top: 0.5rem;
+					color: #3498db;
+					cursor: pointer;
+					font-size: 0.85rem;
+				}
+
+				.run-list {
+					list-style: none;
+					margin: 0.5rem 0 0 0;
+					padding: 0 0 0 1rem;
+					font-size: 0.85rem;
+				}
+
+				.run-list li {
+					display: flex;
+					gap: 1rem;
+					align-items: center;
+					padding: 0.2rem 0;
+				}
+
+				.run-list .link-button {
+					margin: 0;
+				}
+
+				.run-reason {
+					color: #7f8c8d;
+				}
+
+				@media (max-width: 768px) {
+					.schedules-panel {
+						margin: 1rem;
+						padding: 1.5rem;
+					}
+				}
+			`}</style>
+		</div>
+	);
+};
+
+export default SchedulesPanel;
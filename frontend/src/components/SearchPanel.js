@@ -0,0 +1,355 @@
+import React, { useState } from "react";
+import apiService from "../services/api";
+
+const PAGE_SIZE = 20;
+
+// Wrap the matched character ranges of a text in <mark>
+const highlight = (text, ranges = []) => {
+	const parts = [];
+	let last = 0;
+	[...ranges]
+		.sort((a, b) => a[0] - b[0])
+		.forEach(([start, end]) => {
+			if (start < last) {
+				return;
+			}
+			parts.push(text.substring(last, start));
+			parts.push(<mark key={start}>{text.substring(start, end)}</mark>);
+			last = end;
+		});
+	parts.push(text.substring(last));
+	return parts;
+};
+
+// "2025-03-14" -> "20250314"
+const toTimestamp = (date) => date.replace(/-/g, "");
+
+const SearchPanel = ({ onViewArchive, onError }) => {
+	const [query, setQuery] = useState("");
+	const [domain, setDomain] = useState("");
+	const [from, setFrom] = useState("");
+	const [to, setTo] = useState("");
+	const [results, setResults] = useState([]);
+	const [total, setTotal] = useState(null);
+	const [isLoading, setIsLoading] = useState(false);
+
+	const runSearch = async (offset) => {
+		setIsLoading(true);
+		try {
+			const data = await apiService.search({
+				q: query,
+				domain: domain.trim() || undefined,
+				from: from ? toTimestamp(from) : undefined,
+				to: to ? toTimestamp(to) : undefined,
+				limit: PAGE_SIZE,
+				offset,
+			});
+			setResults(offset === 0 ? data.results : [...results, ...data.results]);
+			setTotal(data.total);
+		} catch (error) {
+			onError(error.message);
+		} finally {
+			setIsLoading(false);
+		}
+	};
+
+	const handleSubmit = (e) => {
+		e.preventDefault();
+
+		if (!query.trim()) {
+			onError("Please enter something to search for");
+			return;
+		}
+
+		runSearch(0);
+	};
+
+	const handleOpen = (result) => {
+		// Show the matching page itself, with its own capture time and renditions
+		onViewArchive(
+			{
+				...result.archive,
+				url: result.url,
+				timestamp: result.timestamp,
+				renditions: result.renditions,
+			},
+			apiService.getArchiveViewUrl(result.archiveId, result.path)
+		);
+	};
+
+	return (
+		<div className='search-panel'>
+			<div className='search-header'>
+				<h3>🔎 Search Archives</h3>
+				<p>Find archived pages by their text. Put "exact phrases" in quotes.</p>
+			</div>
+
+			<form onSubmit={handleSubmit} className='search-form'>
+				<input
+					type='search'
+					value={query}
+					onChange={(e) => setQuery(e.target.value)}
+					placeholder='e.g. "climate report" 2024'
+					className='search-input'
+					disabled={isLoading}
+				/>
+				<button
+					type='submit'
+					className='search-button'
+					disabled={isLoading || !query.trim()}
+				>
+					{isLoading ? <span className='spinner'></span> : "🔎 Search"}
+				</button>
+				<div className='search-filters'>
+					<label>
+						Domain
+						<input
+							type='text'
+							value={domain}
+							onChange={(e) => setDomain(e.target.value)}
+							placeholder='example.com'
+							disabled={isLoading}
+						/>
+					</label>
+					<label>
+						From
+						<input
+							type='date'
+							value={from}
+							onChange={(e) => setFrom(e.target.value)}
+							disabled={isLoading}
+						/>
+					</label>
+					<label>
+						To
+						<input
+							type='date'
+							value={to}
+							onChange={(e) => setTo(e.target.value)}
+							disabled={isLoading}
+						/>
+					</label>
+				</div>
+			</form>
+
+			{total !== null && (
+				<div className='search-results'>
+					<p className='results-count'>
+						{total === 0
+							? "No archived pages match your search."
+							: `${total} matching page${total === 1 ? "" : "s"}`}
+					</p>
+
+					{results.map((result) => (
+						<button
+							key={`${result.archiveId}:${result.path}`}
+							type='button'
+							className='search-result'
+							onClick={() => handleOpen(result)}
+						>
+							<span className='result-title'>
+								{result.title
+									? highlight(result.title, result.titleHighlights)
+									: result.url}
+							</span>
+							<span className='result-meta'>
+								{result.url} · 📅 {new Date(result.timestamp).toLocaleString()}
+							</span>
+							{result.snippet && (
+								<span className='result-snippet'>
+									{highlight(result.snippet, result.highlights)}
+								</span>
+							)}
+						</button>
+					))}
+
+					{results.length < total && (
+						<button
+							type='button'
+							className='more-button'
+							onClick={() => runSearch(results.length)}
+							disabled={isLoading}
+						>
+							Show more results
+						</button>
+					)}
+				</div>
+			)}
+
+			<style jsx>{`
+				.search-panel {
+					max-width: 800px;
+					margin: 1.5rem auto 0;
+					padding: 1.5rem 2rem;
+					background: white;
+					border-radius: 12px;
+					box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+				}
+
+				.search-header h3 {
+					margin: 0 0 0.25rem 0;
+					color: #2c3e50;
+					font-size: 1.3rem;
+				}
+
+				.search-header p {
+					margin: 0 0 1rem 0;
+					color: #7f8c8d;
+				}
+
+				.search-form {
+					display: flex;
+					flex-wrap: wrap;
+					gap: 1rem;
+				}
+
+				.search-input {
+					flex: 1;
+					padding: 0.75rem;
+					border: 2px solid #e0e0e0;
+					border-radius: 8px;
+					font-size: 1rem;
+				}
+
+				.search-input:focus,
+				.search-filters input:focus {
+					outline: none;
+					border-color: #3498db;
+				}
+
+				.search-button {
+					padding: 0.75rem 1.5rem;
+					font-size: 1rem;
+					font-weight: 600;
+					background: linear-gradient(135deg, #3498db, #2980b9);
+					color: white;
+					border: none;
+					border-radius: 8px;
+					cursor: pointer;
+					white-space: nowrap;
+					transition: all 0.3s ease;
+				}
+
+				.search-button:hover:not(:disabled) {
+					background: linear-gradient(135deg, #2980b9, #21618c);
+					transform: translateY(-2px);
+				}
+
+				.search-button:disabled {
+					background: #bdc3c7;
+					cursor: not-allowed;
+					transform: none;
+				}
+
+				.search-filters {
+					display: flex;
+					gap: 1rem;
+					width: 100%;
+					flex-wrap: wrap;
+				}
+
+				.search-filters label {
+					display: flex;
+					flex-direction: column;
+					gap: 0.25rem;
+					font-size: 0.85rem;
+					color: #7f8c8d;
+				}
+
+				.search-filters input {
+					padding: 0.5rem;
+					border: 2px solid #e0e0e0;
+					border-radius: 6px;
+					font-size: 0.9rem;
+				}
+
+				.search-results {
+					margin-top: 1.5rem;
+				}
+
+				.results-count {
+					color: #7f8c8d;
+					margin: 0 0 0.5rem 0;
+				}
+
+				.search-result {
+					display: flex;
+					flex-direction: column;
+					gap: 0.25rem;
+					width: 100%;
+					padding: 0.75rem 0;
+					background: none;
+					border: none;
+					border-bottom: 1px solid #ecf0f1;
+					text-align: left;
+					cursor: pointer;
+					font: inherit;
+				}
+
+				.search-result:hover .result-title {
+					text-decoration: underline;
+				}
+
+				.result-title {
+					color: #2980b9;
+					font-size: 1.05rem;
+					font-weight: 600;
+				}
+
+				.result-meta {
+					color: #27ae60;
+					font-size: 0.85rem;
+					word-break: break-all;
+				}
+
+				.result-snippet {
+					color: #2c3e50;
+					font-size: 0.9rem;
+					line-height: 1.5;
+				}
+
+				.search-result mark {
+					background: #fff3b0;
+					padding: 0 0.1rem;
+				}
+
+				.more-button {
+					margin-top: 1rem;
+					padding: 0.5rem 1rem;
+					border: 2px solid #e0e0e0;
+					border-radius: 6px;
+					background: white;
+					cursor: pointer;
+				}
+
+				.spinner {
+					display: inline-block;
+					width: 16px;
+					height: 16px;
+					border: 2px solid transparent;
+					border-top: 2px solid white;
+					border-radius: 50%;
+					animation: spin 1s linear infinite;
+				}
+
+				@keyframes spin {
+					0% {
+						transform: rotate(0deg);
+					}
+					100% {
+						transform: rotate(360deg);
+					}
+				}
+
+				@media (max-width: 768px) {
+					.search-panel {
+						margin: 1rem;
+						padding: 1.5rem;
+					}
+				}
+			`}</style>
+		</div>
+	);
+};
+
+export default SearchPanel;
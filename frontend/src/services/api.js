@@ -1,6 +1,8 @@
 import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+// Timestamped replay (/web/...) is served next to the API
+const REPLAY_BASE_URL = API_BASE_URL.replace(/\/api\/?$/, '');
 
 class ApiService {
   constructor() {
@@ -16,11 +18,31 @@ class ApiService {
   /**
    * Start archiving a website
    * @param {string} url - URL to archive
+   * @param {Object} [options] - Crawl options (depth, page limit, scope, ...)
    * @returns {Promise<Object>} Job information
    */
-  async startArchiving(url) {
+  async startArchiving(url, options = {}) {
     try {
-      const response = await this.client.post('/archive', { url });
+      const response = await this.client.post('/archive', { url, options });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Import a WARC or WACZ file as a new archive
+   * @param {File} file - File selected by the user
+   * @returns {Promise<Object>} Imported archive summary
+   */
+  async importArchive(file) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await this.client.post('/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 0 // Large captures can take a while to parse
+      });
       return response.data;
     } catch (error) {
       throw this.handleError(error);
@@ -41,6 +63,48 @@ class ApiService {
     }
   }
 
+  /**
+   * Cancel an archiving job (the pages saved so far are kept)
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job status
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await this.client.post(`/archive/${jobId}/cancel`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Pause an archiving job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job status
+   */
+  async pauseJob(jobId) {
+    try {
+      const response = await this.client.post(`/archive/${jobId}/pause`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Resume a paused archiving job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Job status
+   */
+  async resumeJob(jobId) {
+    try {
+      const response = await this.client.post(`/archive/${jobId}/resume`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Get archives for a domain
    * @param {string} domain - Domain name
@@ -82,6 +146,120 @@ class ApiService {
     }
   }
 
+  /**
+   * Search the text of archived pages
+   * @param {Object} params - { q, domain, from, to, limit, offset }; quoted text in q is a phrase
+   * @returns {Promise<Object>} { total, results } with snippets and highlight ranges
+   */
+  async search(params) {
+    try {
+      const response = await this.client.get('/search', { params });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Compare two captures of a page
+   * @param {string} url - Original page URL
+   * @param {string} from - Archive ID (or timestamp) of the older capture
+   * @param {string} to - Archive ID (or timestamp) of the newer capture
+   * @returns {Promise<Object>} { summary, text, links, assets }
+   */
+  async getDiff(url, from, to) {
+    try {
+      const response = await this.client.get('/diff', { params: { url, from, to } });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Compare capture-time screenshots pixel by pixel
+   * @param {Object} params - { from, to, url, threshold }; without url, every page both archives share
+   * @returns {Promise<Object>} Percent changed, and for a single page the ID of the highlighted diff image
+   */
+  async getVisualDiff(params) {
+    try {
+      const response = await this.client.get('/visual-diff', { params, timeout: 0 });
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Get all recurring capture schedules
+   * @returns {Promise<Object>} { schedules } with their run history
+   */
+  async getSchedules() {
+    try {
+      const response = await this.client.get('/schedules');
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Create a recurring capture
+   * @param {Object} schedule - { url, options, cron | intervalMinutes, jitterSeconds, skipIfRunning }
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(schedule) {
+    try {
+      const response = await this.client.post('/schedules', schedule);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Edit, pause ({ status: 'paused' }) or resume ({ status: 'active' }) a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(scheduleId, changes) {
+    try {
+      const response = await this.client.patch(`/schedules/${scheduleId}`, changes);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Run a schedule now
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Run record
+   */
+  async runSchedule(scheduleId) {
+    try {
+      const response = await this.client.post(`/schedules/${scheduleId}/run`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Delete a schedule (its archives are kept)
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const response = await this.client.delete(`/schedules/${scheduleId}`);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   /**
    * Get URL for viewing archived content
    * @param {string} archiveId - Archive ID
@@ -92,6 +270,36 @@ class ApiService {
     return `${API_BASE_URL}/view/${archiveId}/${path}`;
   }
 
+  /**
+   * Get URL of a highlighted visual diff image
+   * @param {string} imageId - Image ID returned by getVisualDiff
+   * @returns {string} Image URL
+   */
+  getVisualDiffImageUrl(imageId) {
+    return `${API_BASE_URL}/visual-diff/image/${imageId}`;
+  }
+
+  /**
+   * Get a shareable Wayback-style replay URL (/web/<timestamp>/<url>)
+   * @param {string} timestamp - Capture time (ISO string)
+   * @param {string} url - Original URL
+   * @returns {string} Replay URL
+   */
+  getReplayUrl(timestamp, url) {
+    const timestamp14 = new Date(timestamp).toISOString().replace(/[-:T]/g, '').substring(0, 14);
+    return `${REPLAY_BASE_URL}/web/${timestamp14}/${url}`;
+  }
+
+  /**
+   * Get URL for downloading an archive as WARC or WACZ
+   * @param {string} archiveId - Archive ID
+   * @param {string} format - Export format ('warc' or 'wacz')
+   * @returns {string} Download URL
+   */
+  getArchiveExportUrl(archiveId, format = 'warc') {
+    return `${API_BASE_URL}/archive/${archiveId}/export?format=${format}`;
+  }
+
   /**
    * Delete an archive
    * @param {string} archiveId - Archive ID